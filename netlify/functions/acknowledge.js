@@ -0,0 +1,146 @@
+import { getClientIP } from '../lib/auth.js';
+import { getViewer, CLIENT_TYPE_IDS } from '../lib/clients.js';
+import { loadDocuments, canView } from '../lib/documents.js';
+import { getVersion, listVersions } from '../lib/versions.js';
+import {
+  recordAcknowledgement,
+  listAcknowledgements,
+  toReceipt,
+  verifyReceipt,
+} from '../lib/acknowledgements.js';
+
+// Click-to-accept for documents (see lib/acknowledgements.js).
+//   GET  ?id=<docId>&clientType=       this client's receipts for the document
+//   POST { action: 'acknowledge', id, clientType, version, name, title, agree: true }
+//   POST { action: 'verify', receipt } no sign-in needed, so a board can check a receipt
+function sanitizeInput(str, max = 120) {
+  if (typeof str !== 'string') return '';
+  return str.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim().slice(0, max);
+}
+
+export default async (req) => {
+  const headers = {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  };
+
+  if (req.method === 'OPTIONS') {
+    return new Response(null, { status: 204, headers });
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return new Response(
+      JSON.stringify({ error: 'Method not allowed' }),
+      { status: 405, headers }
+    );
+  }
+
+  try {
+    const url = new URL(req.url);
+    const body = req.method === 'POST' ? await req.json().catch(() => ({})) : {};
+
+    if (req.method === 'POST' && body.action === 'verify') {
+      return new Response(
+        JSON.stringify(await verifyReceipt(body.receipt)),
+        { status: 200, headers: { ...headers, 'Cache-Control': 'no-store' } }
+      );
+    }
+
+    if (req.method === 'POST' && body.action !== 'acknowledge') {
+      return new Response(
+        JSON.stringify({ error: 'Unknown action' }),
+        { status: 400, headers }
+      );
+    }
+
+    const id = String((req.method === 'POST' ? body.id : url.searchParams.get('id')) || '');
+    const requestedType = String(
+      (req.method === 'POST' ? body.clientType : url.searchParams.get('clientType')) || ''
+    );
+    if (!id || (requestedType && !CLIENT_TYPE_IDS.includes(requestedType))) {
+      return new Response(
+        JSON.stringify({ error: 'Missing or invalid id or clientType' }),
+        { status: 400, headers }
+      );
+    }
+
+    const viewer = await getViewer(req, requestedType);
+    if (!viewer) {
+      return new Response(
+        JSON.stringify({ error: 'Unauthorized' }),
+        { status: 401, headers }
+      );
+    }
+
+    const doc = (await loadDocuments()).find((d) => d.id === id);
+    if (!doc || !canView(doc, viewer)) {
+      return new Response(
+        JSON.stringify({ error: 'Document not found' }),
+        { status: 404, headers }
+      );
+    }
+
+    if (req.method === 'GET') {
+      const receipts = (await listAcknowledgements(doc.id, viewer.client?.id)).map(toReceipt);
+      return new Response(
+        JSON.stringify({ id: doc.id, receipts }),
+        { status: 200, headers: { ...headers, 'Cache-Control': 'private, no-store' } }
+      );
+    }
+
+    const name = sanitizeInput(body.name);
+    const title = sanitizeInput(body.title);
+    if (name.length < 2 || !title || body.agree !== true) {
+      return new Response(
+        JSON.stringify({ error: 'Name, title and agreement are required' }),
+        { status: 400, headers }
+      );
+    }
+
+    const version = String(body.version || '');
+    const revision = /^[a-f0-9]{16}$/.test(version) ? await getVersion(doc.id, version) : null;
+    if (!revision) {
+      return new Response(
+        JSON.stringify({ error: 'Version not found' }),
+        { status: 404, headers }
+      );
+    }
+
+    // Only the current revision can be acknowledged
+    const [latest] = await listVersions(doc.id);
+    if (latest.version !== version) {
+      return new Response(
+        JSON.stringify({ error: 'This document was updated since you opened it. Reload it and review the latest version.' }),
+        { status: 409, headers }
+      );
+    }
+
+    const record = await recordAcknowledgement(
+      {
+        docId: doc.id,
+        docTitle: doc.title,
+        version,
+        name,
+        title,
+        clientType: viewer.clientType,
+        clientId: viewer.client?.id || null,
+        email: viewer.client?.email || null,
+        ip: getClientIP(req),
+        userAgent: sanitizeInput(req.headers.get('user-agent') || '', 300),
+      },
+      revision.html
+    );
+
+    return new Response(
+      JSON.stringify({ receipt: toReceipt(record) }),
+      { status: 200, headers: { ...headers, 'Cache-Control': 'no-store' } }
+    );
+  } catch (err) {
+    return new Response(
+      JSON.stringify({ error: err?.message || 'Unknown error' }),
+      { status: 500, headers }
+    );
+  }
+};
@@ -0,0 +1,447 @@
+import crypto from 'node:crypto';
+import {
+  hashPin,
+  signSession,
+  getSession,
+  getClientIP,
+  createLockout,
+  createThrottle,
+} from '../lib/auth.js';
+import { CLIENT_TYPE_IDS, normalizeEmail } from '../lib/clients.js';
+import { DEFAULT_DOCUMENTS, loadDocuments } from '../lib/documents.js';
+import { cleanSource } from '../lib/sources.js';
+import { cleanLifecycle } from '../lib/lifecycle.js';
+import { verifyChain } from '../lib/acknowledgements.js';
+import { cleanItemDates, storeItemFile, itemStatus, MAX_FILE_BYTES } from '../lib/compliance.js';
+import { updateChangeOrder, getChangeOrder, readPhoto, orderLabel, TRANSITIONS } from '../lib/change-orders.js';
+import { cleanSynonyms, loadSynonyms, recentSearches } from '../lib/synonyms.js';
+import { latestVersion } from '../lib/versions.js';
+import { closeSeason, listSeasons } from '../lib/seasons.js';
+import { cleanFaq, loadFaq } from '../lib/faq.js';
+import {
+  DEFAULT_COMPLIANCE_PACKET,
+  EDITABLE_CLIENT_TYPE_FIELDS,
+  loadClientTypes,
+  loadCompliancePacket,
+} from '../lib/settings.js';
+import { readCollection, updateCollection, writeCollection } from '../lib/store.js';
+import { recordAudit } from '../lib/audit.js';
+import { notifyChangeOrder } from './change-orders.js';
+
+const ADMIN_SESSION_TTL = 4 * 60 * 60 * 1000; // 4 hours
+const MAX_LOGIN_ATTEMPTS = 5;
+const lockout = createLockout({ window: 15 * 60 * 1000, duration: 15 * 60 * 1000 });
+// Across all IPs, wrong keys past the first 20 slow the login to one try per 30 seconds
+const loginThrottle = createThrottle({ window: 15 * 60 * 1000, free: 20, maxDelay: 30 * 1000 });
+
+const GATED_TYPES = ['commercial', 'hoa', 'municipal'];
+
+function sanitizeInput(str, max = 200) {
+  if (typeof str !== 'string') return '';
+  return str.replace(/<[^>]*>/g, '').trim().slice(0, max);
+}
+
+function cleanIds(arr) {
+  return Array.isArray(arr)
+    ? [...new Set(arr.map((x) => sanitizeInput(x, 60)).filter(Boolean))]
+    : [];
+}
+
+function newId(prefix) {
+  return `${prefix}_${crypto.randomBytes(6).toString('hex')}`;
+}
+
+function isHttpUrl(str) {
+  try {
+    return ['http:', 'https:'].includes(new URL(str).protocol);
+  } catch {
+    return false;
+  }
+}
+
+// Validate a document from the console; throws with a message staff can act on
+function cleanDocument(input) {
+  const doc = {
+    id: sanitizeInput(input.id, 60),
+    title: sanitizeInput(input.title, 120),
+    type: sanitizeInput(input.type, 60) || 'Core Contract',
+    season: sanitizeInput(input.season, 60),
+    // Documents saved before sources existed send a bare googleDocId
+    source: cleanSource(
+      input.source || (input.googleDocId ? { type: 'google', id: input.googleDocId } : null)
+    ),
+    slot: sanitizeInput(input.slot, 40),
+    lifecycle: cleanLifecycle(input.lifecycle),
+    template: Boolean(input.template),
+    retired: Boolean(input.retired),
+    assign: {
+      clientTypes: cleanIds(input.assign?.clientTypes).filter((t) => CLIENT_TYPE_IDS.includes(t)),
+      clientIds: cleanIds(input.assign?.clientIds),
+      propertyIds: cleanIds(input.assign?.propertyIds),
+    },
+  };
+
+  if (!/^[a-z0-9_-]{2,60}$/i.test(doc.id)) throw new Error('Document ID must be 2-60 letters, numbers, - or _');
+  if (!doc.title) throw new Error('Document title is required');
+  return doc;
+}
+
+function cleanClient(input) {
+  const client = {
+    id: sanitizeInput(input.id, 60) || newId('cl'),
+    email: normalizeEmail(sanitizeInput(input.email)),
+    name: sanitizeInput(input.name, 120),
+    clientType: sanitizeInput(input.clientType, 20),
+    active: input.active !== false,
+    properties: (Array.isArray(input.properties) ? input.properties : [])
+      .map((p) => ({
+        id: sanitizeInput(p?.id, 60) || newId('pr'),
+        name: sanitizeInput(p?.name, 120),
+        address: sanitizeInput(p?.address, 200),
+      }))
+      .filter((p) => p.name),
+    // Per-document contract terms for this client, overriding the document's own
+    lifecycles: Object.fromEntries(
+      Object.entries(input.lifecycles && typeof input.lifecycles === 'object' ? input.lifecycles : {})
+        .map(([docId, lifecycle]) => [sanitizeInput(docId, 60), cleanLifecycle(lifecycle)])
+        .filter(([docId, lifecycle]) => docId && lifecycle)
+    ),
+  };
+
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(client.email)) throw new Error('A valid email is required');
+  if (!client.name) throw new Error('Client name is required');
+  if (!CLIENT_TYPE_IDS.includes(client.clientType)) throw new Error('Unknown client type');
+  return client;
+}
+
+// Approved and declined change orders have nowhere left to go
+const isClosed = (order) => Number(TRANSITIONS[order.status]?.length === 0);
+
+async function getState() {
+  const [documents, clients, clientTypes, compliancePacket, accessCodes, acknowledgements, changeOrders, synonyms, seasons, faq] =
+    await Promise.all([
+      loadDocuments({ includeRetired: true }),
+      readCollection('clients'),
+      loadClientTypes(),
+      loadCompliancePacket(),
+      readCollection('access_codes', {}),
+      readCollection('acknowledgements'),
+      readCollection('change_orders'),
+      loadSynonyms(),
+      listSeasons(),
+      loadFaq(),
+    ]);
+
+  return {
+    documents,
+    clients,
+    clientTypes,
+    compliancePacket: compliancePacket.map((item) => ({ ...item, status: itemStatus(item) })),
+    // Never send hashes back, only when each code was last rotated
+    accessCodes: Object.fromEntries(
+      GATED_TYPES.map((t) => [t, { rotatedAt: accessCodes[t]?.updatedAt || null }])
+    ),
+    // Latest first; the chain check covers every record on file
+    acknowledgements: acknowledgements.slice(-100).reverse(),
+    acknowledgementChain: verifyChain(acknowledgements),
+    // Open requests first, then the most recently updated
+    changeOrders: changeOrders
+      .slice()
+      .sort((a, b) => isClosed(a) - isClosed(b) || b.updatedAt.localeCompare(a.updatedAt))
+      .slice(0, 200)
+      .map((order) => ({ ...order, label: orderLabel(order) })),
+    synonyms,
+    seasons,
+    faq,
+  };
+}
+
+// What the console needs to preview a synonym edit: recent portal searches and the
+// latest fetched copy of each live document, with the client types it is assigned to
+async function getSynonymPreview() {
+  const [documents, searches] = await Promise.all([loadDocuments(), recentSearches()]);
+  const withHtml = await Promise.all(
+    documents.map(async (doc) => {
+      const latest = await latestVersion(doc.id);
+      return latest && { id: doc.id, title: doc.title, clientTypes: doc.assign?.clientTypes || [], html: latest.html };
+    })
+  );
+  return {
+    documents: withHtml.filter(Boolean),
+    searches: searches.map(({ query, clientType }) => ({ query, clientType })).reverse(),
+  };
+}
+
+const actions = {
+  async 'save-document'(body) {
+    const doc = cleanDocument(body.document || {});
+    await updateCollection(
+      'documents',
+      (docs) => {
+        const idx = docs.findIndex((d) => d.id === doc.id);
+        // Keep any fields the console doesn't edit; `source` replaces a legacy googleDocId
+        if (idx === -1) {
+          docs.push(doc);
+        } else {
+          docs[idx] = { ...docs[idx], ...doc };
+          delete docs[idx].googleDocId;
+        }
+      },
+      DEFAULT_DOCUMENTS
+    );
+  },
+
+  async 'retire-document'(body) {
+    const id = sanitizeInput(body.id, 60);
+    let found = false;
+    await updateCollection(
+      'documents',
+      (docs) => {
+        const doc = docs.find((d) => d.id === id);
+        if (doc) {
+          found = true;
+          doc.retired = body.retired !== false;
+        }
+      },
+      DEFAULT_DOCUMENTS
+    );
+    if (!found) throw new Error('Document not found');
+  },
+
+  // Freeze a season's documents for good and tag the live ones with the next season
+  async 'close-season'(body) {
+    const season = await closeSeason(sanitizeInput(body.season, 60), sanitizeInput(body.nextSeason, 60));
+    return { archived: season.documents.length };
+  },
+
+  async 'rotate-code'(body) {
+    const clientType = sanitizeInput(body.clientType, 20);
+    if (!GATED_TYPES.includes(clientType)) throw new Error('Only gated portals have access codes');
+
+    const pin = body.pin ? String(body.pin) : String(crypto.randomInt(0, 10000)).padStart(4, '0');
+    if (!/^\d{4}$/.test(pin)) throw new Error('Access codes are 4 digits');
+
+    await updateCollection(
+      'access_codes',
+      (codes) => {
+        codes[clientType] = { hash: hashPin(pin), updatedAt: new Date().toISOString() };
+      },
+      {}
+    );
+    // The new code is only ever shown once, in this response
+    return { pin };
+  },
+
+  async 'save-compliance'(body) {
+    const saved = await loadCompliancePacket();
+    const items = (Array.isArray(body.items) ? body.items : DEFAULT_COMPLIANCE_PACKET)
+      .map((item) => {
+        const id = sanitizeInput(item?.id, 60) || newId('cp');
+        const name = sanitizeInput(item?.name, 120);
+        return {
+          id,
+          name,
+          url: sanitizeInput(item?.url, 500),
+          ...cleanItemDates(item || {}, name),
+          // Files only change through upload-compliance-file
+          file: saved.find((s) => s.id === id)?.file || null,
+        };
+      })
+      .filter((item) => item.name);
+
+    const bad = items.find((item) => item.url && !isHttpUrl(item.url));
+    if (bad) throw new Error(`"${bad.name}" needs an http(s) link`);
+    await writeCollection('compliance_packet', items);
+  },
+
+  async 'upload-compliance-file'(body) {
+    const id = sanitizeInput(body.id, 60);
+    const data = typeof body.data === 'string' ? body.data : '';
+    if (data.length > Math.ceil(MAX_FILE_BYTES / 3) * 4) throw new Error('Files must be 4 MB or smaller');
+    const items = await loadCompliancePacket();
+    if (!items.some((item) => item.id === id)) throw new Error('Save the item before uploading its file');
+
+    const file = await storeItemFile(id, sanitizeInput(body.filename, 200), Buffer.from(data, 'base64'));
+    await updateCollection(
+      'compliance_packet',
+      (current) => current.map((item) => (item.id === id ? { ...item, file } : item)),
+      items
+    );
+  },
+
+  // Quote, re-quote, decline, or record the client's decision; the client is emailed
+  async 'update-change-order'(body) {
+    const order = await updateChangeOrder(sanitizeInput(body.id, 60), sanitizeInput(body.status, 20), {
+      by: 'staff',
+      amount: body.amount,
+      note: body.note,
+    });
+    return { notified: await notifyChangeOrder(order, 'staff') };
+  },
+
+  async 'save-client-type'(body) {
+    const id = sanitizeInput(body.id, 20);
+    if (!CLIENT_TYPE_IDS.includes(id)) throw new Error('Unknown client type');
+
+    await updateCollection(
+      'client_types',
+      (types) => {
+        types[id] = types[id] || {};
+        for (const field of EDITABLE_CLIENT_TYPE_FIELDS) {
+          if (typeof body[field] === 'string') types[id][field] = sanitizeInput(body[field], 80);
+        }
+      },
+      {}
+    );
+  },
+
+  async 'save-synonyms'(body) {
+    await writeCollection('synonyms', { ...cleanSynonyms(body.synonyms), updatedAt: new Date().toISOString() });
+  },
+
+  async 'save-faq'(body) {
+    await writeCollection('faq', cleanFaq(body.faq, await loadDocuments({ includeRetired: true })));
+  },
+
+  async 'save-client'(body) {
+    const client = cleanClient(body.client || {});
+    await updateCollection('clients', (clients) => {
+      const clash = clients.find((c) => c.email === client.email && c.id !== client.id);
+      if (clash) throw new Error(`${client.email} already belongs to ${clash.name}`);
+      const idx = clients.findIndex((c) => c.id === client.id);
+      if (idx === -1) clients.push({ ...client, createdAt: new Date().toISOString() });
+      else clients[idx] = { ...clients[idx], ...client };
+    });
+  },
+};
+
+export default async (req) => {
+  const headers = {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  };
+
+  if (req.method === 'OPTIONS') {
+    return new Response(null, { status: 204, headers });
+  }
+
+  try {
+    const body = req.method === 'POST' ? await req.json().catch(() => ({})) : {};
+
+    // POST login: exchange the staff key for an admin session
+    if (req.method === 'POST' && body.action === 'login') {
+      const adminKey = process.env.ADMIN_KEY;
+      if (!adminKey) {
+        return new Response(
+          JSON.stringify({ error: 'Server not configured (missing ADMIN_KEY)' }),
+          { status: 500, headers }
+        );
+      }
+
+      const ip = getClientIP(req);
+      const ipKey = `ip:${ip}`;
+      const locked = lockout.check(ipKey);
+      const retryAfter = locked.locked ? locked.retryAfter : loginThrottle.wait('login');
+      if (retryAfter) {
+        return new Response(
+          JSON.stringify({ error: `Too many attempts. Try again in ${retryAfter}s.` }),
+          { status: 429, headers: { ...headers, 'Retry-After': String(retryAfter) } }
+        );
+      }
+
+      const given = Buffer.from(String(body.key || ''));
+      const expected = Buffer.from(adminKey);
+      if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        lockout.fail(ipKey, MAX_LOGIN_ATTEMPTS);
+        loginThrottle.fail('login', ip);
+        return new Response(
+          JSON.stringify({ error: 'Invalid admin key' }),
+          { status: 401, headers }
+        );
+      }
+
+      lockout.clear(ipKey);
+      const { token, expiresAt } = signSession({ role: 'admin' }, ADMIN_SESSION_TTL);
+      return new Response(
+        JSON.stringify({ token, expiresAt }),
+        { status: 200, headers }
+      );
+    }
+
+    // Everything else needs an admin session
+    if (getSession(req)?.role !== 'admin') {
+      return new Response(
+        JSON.stringify({ error: 'Unauthorized' }),
+        { status: 401, headers }
+      );
+    }
+
+    if (req.method === 'GET') {
+      const url = new URL(req.url);
+      if (url.searchParams.get('synonymPreview')) {
+        return new Response(
+          JSON.stringify(await getSynonymPreview()),
+          { status: 200, headers: { ...headers, 'Cache-Control': 'no-store' } }
+        );
+      }
+      if (url.searchParams.get('changeOrder')) {
+        const order = await getChangeOrder(url.searchParams.get('changeOrder'));
+        const photo = order ? await readPhoto(order, Number(url.searchParams.get('photo'))) : null;
+        if (!photo) {
+          return new Response(
+            JSON.stringify({ error: 'Photo not found' }),
+            { status: 404, headers }
+          );
+        }
+        return new Response(photo.bytes, {
+          status: 200,
+          headers: { ...headers, 'Content-Type': photo.type, 'Cache-Control': 'private, no-store' },
+        });
+      }
+
+      return new Response(
+        JSON.stringify(await getState()),
+        { status: 200, headers: { ...headers, 'Cache-Control': 'no-store' } }
+      );
+    }
+
+    if (req.method === 'POST') {
+      // Own keys only: `constructor`, `toString` and the like are not actions
+      const action = Object.hasOwn(actions, body.action) ? actions[body.action] : null;
+      if (!action) {
+        return new Response(
+          JSON.stringify({ error: 'Unknown action' }),
+          { status: 400, headers }
+        );
+      }
+
+      let result;
+      try {
+        result = await action(body);
+      } catch (err) {
+        return new Response(
+          JSON.stringify({ error: err.message }),
+          { status: 400, headers }
+        );
+      }
+
+      await recordAudit({ action: body.action, ip: getClientIP(req) });
+      return new Response(
+        JSON.stringify({ ok: true, ...result, state: await getState() }),
+        { status: 200, headers }
+      );
+    }
+
+    return new Response(
+      JSON.stringify({ error: 'Method not allowed' }),
+      { status: 405, headers }
+    );
+  } catch (err) {
+    return new Response(
+      JSON.stringify({ error: err?.message || 'Unknown error' }),
+      { status: 500, headers }
+    );
+  }
+};
@@ -1,8 +1,27 @@
+import { getSession, getClientIP } from '../lib/auth.js';
+import { recordSearch } from '../lib/synonyms.js';
+
 // In-memory analytics store (resets on cold start)
 // For production, use a database like Supabase, PlanetScale, or Netlify Blobs
 const analyticsStore = [];
 const MAX_EVENTS = 10000;
 
+// Searches written to the data store, per client account or IP
+const searchLimitMap = new Map();
+const SEARCH_LIMIT = 60; // per hour
+const SEARCH_WINDOW = 60 * 60 * 1000; // 1 hour
+
+function allowSearchRecord(key) {
+  const now = Date.now();
+  const record = searchLimitMap.get(key);
+  if (!record || now - record.windowStart > SEARCH_WINDOW) {
+    searchLimitMap.set(key, { windowStart: now, count: 1 });
+    return true;
+  }
+  record.count++;
+  return record.count <= SEARCH_LIMIT;
+}
+
 function sanitizeInput(str) {
   if (typeof str !== 'string') return '';
   return str.replace(/<[^>]*>/g, '').slice(0, 500);
@@ -24,6 +43,8 @@ export default async (req) => {
   if (req.method === 'POST') {
     try {
       const body = await req.json().catch(() => ({}));
+      // Attribution comes from the signed session, never from the request body
+      const session = process.env.SESSION_SECRET ? getSession(req) : null;
 
       const event = {
         event: sanitizeInput(body.event || 'unknown'),
@@ -32,13 +53,23 @@ export default async (req) => {
         path: sanitizeInput(body.path || ''),
         query: sanitizeInput(body.query || ''),
         mode: sanitizeInput(body.mode || ''),
+        clientId: session?.sub || '',
+        clientType: session?.clientType || '',
         userAgent: req.headers.get('user-agent')?.slice(0, 200) || '',
-        ip:
-          req.headers.get('x-forwarded-for')?.split(',')[0]?.trim() ||
-          'unknown',
+        ip: getClientIP(req),
       };
 
       analyticsStore.push(event);
+      // Searches from signed-in viewers are also kept in the data store, for
+      // previewing synonym edits; anonymous posts never reach it
+      if (
+        session &&
+        event.event === 'search' &&
+        event.query &&
+        allowSearchRecord(session.sub ? `client:${session.sub}` : `ip:${event.ip}`)
+      ) {
+        await recordSearch(event.query, session.clientType, session.sub).catch(() => {});
+      }
 
       // Cap stored events
       if (analyticsStore.length > MAX_EVENTS) {
@@ -87,6 +118,7 @@ export default async (req) => {
         searches: last24h.filter((e) => e.event === 'search').length,
         ai_queries: last24h.filter((e) => e.event === 'ai_query').length,
         unique_sessions: new Set(last24h.map((e) => e.sessionId)).size,
+        active_clients: new Set(last24h.map((e) => e.clientId).filter(Boolean)).size,
       },
       last_7d: {
         events: last7d.length,
@@ -94,7 +126,12 @@ export default async (req) => {
         searches: last7d.filter((e) => e.event === 'search').length,
         ai_queries: last7d.filter((e) => e.event === 'ai_query').length,
         unique_sessions: new Set(last7d.map((e) => e.sessionId)).size,
+        active_clients: new Set(last7d.map((e) => e.clientId).filter(Boolean)).size,
       },
+      top_clients: getTopItems(
+        last7d.filter((e) => e.clientId).map((e) => e.clientId),
+        10
+      ),
       top_searches: getTopItems(
         last7d.filter((e) => e.event === 'search').map((e) => e.query),
         10
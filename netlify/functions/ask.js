@@ -1,3 +1,5 @@
+import { getSession, getClientIP } from '../lib/auth.js';
+
 // Rate limiting store (in-memory, resets on cold start)
 const rateLimitMap = new Map();
 const RATE_LIMIT = 20; // requests per hour
@@ -7,13 +9,8 @@ const RATE_WINDOW = 60 * 60 * 1000; // 1 hour
 const responseCache = new Map();
 const CACHE_TTL = 60 * 60 * 1000; // 1 hour
 
-function getClientIP(req) {
-  return (
-    req.headers.get('x-forwarded-for')?.split(',')[0]?.trim() ||
-    req.headers.get('x-real-ip') ||
-    'unknown'
-  );
-}
+// Languages an answer can be written in (the portal's languages, src/js/i18n.js)
+const RESPONSE_LANGUAGES = { en: 'English', es: 'Spanish' };
 
 function checkRateLimit(ip) {
   const now = Date.now();
@@ -33,10 +30,10 @@ function checkRateLimit(ip) {
   return { allowed: true, remaining: RATE_LIMIT - record.count };
 }
 
-function getCacheKey(question, excerpts) {
+function getCacheKey(question, excerpts, language = 'en') {
   const normalized = question.toLowerCase().trim();
-  const excerptKey = excerpts.map((e) => e.heading).join('|');
-  return `${normalized}::${excerptKey}`;
+  const excerptKey = excerpts.map((e) => `${e.document}/${e.heading}`).join('|');
+  return `${language}:${normalized}::${excerptKey}`;
 }
 
 function sanitizeInput(str) {
@@ -49,7 +46,7 @@ export default async (req) => {
     'Content-Type': 'application/json',
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Methods': 'POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
   };
 
   // Handle CORS preflight
@@ -64,9 +61,10 @@ export default async (req) => {
     );
   }
 
-  // Rate limiting
+  // Rate limiting (per signed-in client when known, else per IP)
+  const session = process.env.SESSION_SECRET ? getSession(req) : null;
   const clientIP = getClientIP(req);
-  const rateCheck = checkRateLimit(clientIP);
+  const rateCheck = checkRateLimit(session?.sub ? `client:${session.sub}` : clientIP);
 
   if (!rateCheck.allowed) {
     return new Response(
@@ -89,6 +87,7 @@ export default async (req) => {
     const body = await req.json().catch(() => ({}));
     const question = sanitizeInput(body.question);
     const excerpts = Array.isArray(body.excerpts) ? body.excerpts : [];
+    const language = Object.hasOwn(RESPONSE_LANGUAGES, body.language) ? body.language : 'en';
 
     if (!question || excerpts.length === 0) {
       return new Response(
@@ -97,14 +96,20 @@ export default async (req) => {
       );
     }
 
-    // Sanitize excerpts
+    // Sanitize excerpts; each names the document it came from
     const cleanExcerpts = excerpts.slice(0, 5).map((e) => ({
+      document: sanitizeInput(e.document || '').slice(0, 120),
       heading: sanitizeInput(e.heading || ''),
       text: sanitizeInput(e.text || '').slice(0, 1500),
     }));
+    // Titles of the documents that were searched (one when the client scoped the question)
+    const documents = (Array.isArray(body.documents) ? body.documents : [])
+      .slice(0, 20)
+      .map((title) => sanitizeInput(title).slice(0, 120))
+      .filter(Boolean);
 
     // Check cache
-    const cacheKey = getCacheKey(question, cleanExcerpts);
+    const cacheKey = getCacheKey(question, cleanExcerpts, language);
     const cached = responseCache.get(cacheKey);
     if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
       return new Response(
@@ -127,19 +132,27 @@ export default async (req) => {
 
     // Build prompt
     const context = cleanExcerpts
-      .map((x, i) => `SOURCE ${i + 1}: ${x.heading}\n${x.text}`)
+      .map((x, i) => `SOURCE ${i + 1}: ${x.document ? `${x.document} > ` : ''}${x.heading}\n${x.text}`)
       .join('\n\n---\n\n');
 
+    // The agreements are in English and that text controls: other languages explain in
+    // their own words but quote the clauses as written
+    const languageRules = language === 'en' ? '' : `
+- Write the answer in ${RESPONSE_LANGUAGES[language]}. When you quote a clause, quote its original English text word for word, in quotation marks, and never translate the quote.
+- Say that the English text of the agreement is the controlling language and any translation is for convenience only.`;
+
     const prompt = `You are a contract assistant for Freshwater Landscaping.
-Answer the user's question in plain English, and cite which SOURCE number(s) you used.
+Answer the user's question in plain ${RESPONSE_LANGUAGES[language]}, and cite which SOURCE number(s) you used,
+naming the document and section (e.g. "SOURCE 1, Master Service Agreement, 7.2 Snow Trigger").
 Rules:
 - Be clear this is informational only and the signed agreement controls.
 - If the excerpt does not contain enough info, say so and suggest what to search.
 - Keep answers concise and helpful.
 - Do not make up terms or conditions not present in the sources.
+- Sources can come from different documents; never attribute one document's terms to another.${languageRules}
 
 USER QUESTION: ${question}
-
+${documents.length ? `\nDOCUMENTS SEARCHED: ${documents.join('; ')}\n` : ''}
 EXCERPTS:
 ${context}`.trim();
 
@@ -0,0 +1,273 @@
+import crypto from 'node:crypto';
+import {
+  verifyPin,
+  signSession,
+  getSession,
+  getClientIP,
+  createLockout,
+  createThrottle,
+} from '../lib/auth.js';
+import { findClientByEmail, getClient, publicClient } from '../lib/clients.js';
+import { updateCollection } from '../lib/store.js';
+import { loadAccessCodes } from '../lib/settings.js';
+import { sendNotification } from './notify.js';
+
+const ATTEMPT_WINDOW = 15 * 60 * 1000; // 15 minutes
+const LOCKOUT_DURATION = 15 * 60 * 1000; // 15 minutes
+const MAX_IP_ATTEMPTS = 5;
+const lockout = createLockout({ window: ATTEMPT_WINDOW, duration: LOCKOUT_DURATION });
+
+// A portal is never locked outright: everyone using it shares the code, so a few IPs
+// could shut its clients out. Instead it is throttled (each wrong code past the first
+// PORTAL_FREE_FAILURES makes the portal wait, up to PORTAL_MAX_DELAY), so clients see a
+// short "try again" rather than a lockout, and staff are emailed (REMINDER_EMAIL) when it
+// reaches ALERT_FAILURES, so they can rotate the code.
+const PORTAL_FREE_FAILURES = 20;
+const PORTAL_MAX_DELAY = 30 * 1000; // 30 seconds
+const ALERT_FAILURES = 50;
+const portalThrottle = createThrottle({
+  window: ATTEMPT_WINDOW,
+  free: PORTAL_FREE_FAILURES,
+  maxDelay: PORTAL_MAX_DELAY,
+});
+
+async function alertStaff(clientType, { count, sources }) {
+  const staffEmail = process.env.REMINDER_EMAIL;
+  if (!staffEmail) return;
+  await sendNotification({
+    to: staffEmail,
+    subject: `Access code alert: ${clientType} portal`,
+    message: `${count} wrong access codes have been tried for the ${clientType} portal, with no 15-minute pause, from ${sources.size} IP address${sources.size === 1 ? '' : 'es'}. Each IP is locked out after ${MAX_IP_ATTEMPTS}, and the portal now takes at most one try every ${PORTAL_MAX_DELAY / 1000} seconds, but it stays open to its clients. If this continues, rotate the code in the admin console.`,
+    type: 'alert',
+  }).catch(() => {});
+}
+
+// 429 with Retry-After, for both the IP lockout and the portal throttle
+function tooManyAttempts(retryAfter, headers) {
+  return new Response(
+    JSON.stringify({
+      error: `Too many attempts. Try again in ${retryAfter}s.`,
+      retryAfter,
+    }),
+    {
+      status: 429,
+      headers: { ...headers, 'Retry-After': String(retryAfter) },
+    }
+  );
+}
+
+const GATED_TYPES = ['commercial', 'hoa', 'municipal'];
+
+// Magic sign-in links
+const LINK_TTL = 15 * 60 * 1000; // 15 minutes
+const MAX_LINK_REQUESTS = 5; // per email or IP per ATTEMPT_WINDOW
+const linkRequestMap = new Map();
+
+function hashLinkToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function allowLinkRequest(key) {
+  const now = Date.now();
+  const record = linkRequestMap.get(key);
+  if (!record || now - record.windowStart > ATTEMPT_WINDOW) {
+    linkRequestMap.set(key, { windowStart: now, count: 1 });
+    return true;
+  }
+  record.count++;
+  return record.count <= MAX_LINK_REQUESTS;
+}
+
+function getSiteUrl(req) {
+  return process.env.URL || new URL(req.url).origin;
+}
+
+async function handlePin(req, body, headers) {
+  const clientType = typeof body.clientType === 'string' ? body.clientType : '';
+  const pin = typeof body.pin === 'string' ? body.pin : '';
+
+  if (!GATED_TYPES.includes(clientType) || !/^\d{4}$/.test(pin)) {
+    return new Response(
+      JSON.stringify({ error: 'Missing or invalid clientType or pin' }),
+      { status: 400, headers }
+    );
+  }
+
+  const ip = getClientIP(req);
+  const ipKey = `ip:${ip}`;
+  const locked = lockout.check(ipKey);
+  if (locked.locked) return tooManyAttempts(locked.retryAfter, headers);
+
+  const wait = portalThrottle.wait(clientType);
+  if (wait) return tooManyAttempts(wait, headers);
+
+  const stored = (await loadAccessCodes())[clientType];
+  if (!stored || !verifyPin(pin, stored)) {
+    const remaining = lockout.fail(ipKey, MAX_IP_ATTEMPTS);
+    const failures = portalThrottle.fail(clientType, ip);
+    if (failures.count === ALERT_FAILURES) await alertStaff(clientType, failures);
+    return new Response(
+      JSON.stringify({ error: 'Invalid access code', remaining }),
+      { status: 401, headers }
+    );
+  }
+
+  lockout.clear(ipKey);
+  const { token, expiresAt } = signSession({ clientType });
+
+  return new Response(
+    JSON.stringify({ token, expiresAt, clientType, client: null }),
+    { status: 200, headers }
+  );
+}
+
+// Always answers the same way so the endpoint can't be used to probe for accounts
+async function handleRequestLink(req, body, headers) {
+  const email = typeof body.email === 'string' ? body.email.trim().slice(0, 200) : '';
+  const ok = new Response(
+    JSON.stringify({ ok: true, message: 'If that email has an account, a sign-in link is on its way.' }),
+    { status: 200, headers }
+  );
+
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    return new Response(
+      JSON.stringify({ error: 'A valid email is required' }),
+      { status: 400, headers }
+    );
+  }
+
+  if (!allowLinkRequest(`ip:${getClientIP(req)}`) || !allowLinkRequest(`email:${email.toLowerCase()}`)) {
+    return new Response(
+      JSON.stringify({ error: 'Too many sign-in requests. Try again later.' }),
+      { status: 429, headers }
+    );
+  }
+
+  // Without SendGrid the link could only be logged, and a live token never goes to
+  // the logs. Checked before the account lookup so the answer is the same for all.
+  if (!process.env.SENDGRID_API_KEY) {
+    return new Response(
+      JSON.stringify({ error: 'Email sign-in is not available right now. Contact Freshwater support.' }),
+      { status: 503, headers }
+    );
+  }
+
+  const client = await findClientByEmail(email);
+  if (!client) return ok;
+
+  const linkToken = crypto.randomBytes(32).toString('base64url');
+  const now = Date.now();
+  await updateCollection('login_links', (links) =>
+    links
+      .filter((l) => l.expiresAt > now && !l.usedAt)
+      .concat({ hash: hashLinkToken(linkToken), clientId: client.id, expiresAt: now + LINK_TTL })
+  );
+
+  const link = `${getSiteUrl(req)}/?login=${encodeURIComponent(linkToken)}`;
+  await sendNotification({
+    to: client.email,
+    subject: 'Your Freshwater Vault sign-in link',
+    message: `Hi ${client.name || 'there'}, use the button below to sign in to your client portal. The link works once and expires in 15 minutes. If you didn't request it, you can ignore this email.`,
+    type: 'info',
+    link,
+    linkLabel: 'Sign in to Freshwater Vault',
+  });
+
+  return ok;
+}
+
+async function handleRedeemLink(req, body, headers) {
+  const linkToken = typeof body.token === 'string' ? body.token : '';
+  const hash = hashLinkToken(linkToken);
+  const now = Date.now();
+  let match = null;
+
+  if (linkToken) {
+    await updateCollection('login_links', (links) => {
+      match = links.find((l) => l.hash === hash && !l.usedAt && l.expiresAt > now) || null;
+      if (match) match.usedAt = now;
+    });
+  }
+
+  const client = match && (await getClient(match.clientId));
+  if (!client) {
+    return new Response(
+      JSON.stringify({ error: 'This sign-in link is invalid or has expired' }),
+      { status: 401, headers }
+    );
+  }
+
+  const { token, expiresAt } = signSession({
+    sub: client.id,
+    clientType: client.clientType,
+    name: client.name,
+  });
+
+  return new Response(
+    JSON.stringify({ token, expiresAt, clientType: client.clientType, client: publicClient(client) }),
+    { status: 200, headers }
+  );
+}
+
+export default async (req) => {
+  const headers = {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  };
+
+  if (req.method === 'OPTIONS') {
+    return new Response(null, { status: 204, headers });
+  }
+
+  try {
+    // GET: Validate an existing session token
+    if (req.method === 'GET') {
+      const session = getSession(req);
+      const client = session?.sub ? await getClient(session.sub) : null;
+      if (!session || (session.sub && !client)) {
+        return new Response(
+          JSON.stringify({ error: 'Invalid or expired session' }),
+          { status: 401, headers }
+        );
+      }
+      return new Response(
+        JSON.stringify({
+          clientType: session.clientType,
+          expiresAt: session.exp,
+          client: publicClient(client),
+        }),
+        { status: 200, headers }
+      );
+    }
+
+    // POST: Exchange an access code or sign-in link for a session token
+    if (req.method === 'POST') {
+      const body = await req.json().catch(() => ({}));
+      switch (body.action || 'pin') {
+        case 'pin':
+          return await handlePin(req, body, headers);
+        case 'request-link':
+          return await handleRequestLink(req, body, headers);
+        case 'redeem-link':
+          return await handleRedeemLink(req, body, headers);
+        default:
+          return new Response(
+            JSON.stringify({ error: 'Unknown action' }),
+            { status: 400, headers }
+          );
+      }
+    }
+
+    return new Response(
+      JSON.stringify({ error: 'Method not allowed' }),
+      { status: 405, headers }
+    );
+  } catch (err) {
+    return new Response(
+      JSON.stringify({ error: err?.message || 'Unknown error' }),
+      { status: 500, headers }
+    );
+  }
+};
@@ -0,0 +1,131 @@
+import { getViewer, CLIENT_TYPE_IDS } from '../lib/clients.js';
+import {
+  cleanRequest,
+  createChangeOrder,
+  listChangeOrders,
+  getChangeOrder,
+  updateChangeOrder,
+  publicChangeOrder,
+  readPhoto,
+  changeOrderEmails,
+} from '../lib/change-orders.js';
+import { sendNotification } from './notify.js';
+
+// Change-order requests from the client dashboard (see lib/change-orders.js).
+// Signed-in client accounts only: a shared portal session has no one to quote.
+//   GET  ?clientType=                      this client's change orders
+//   GET  ?clientType=&id=<id>&photo=<n>    one of an order's photos
+//   POST { action: 'submit', clientType, propertyId, work, urgency, photos: [{ filename, data }] }
+//   POST { action: 'approve' | 'decline', clientType, id, note }
+const DECISIONS = { approve: 'approved', decline: 'declined' };
+
+// Email everyone who should hear about the order's latest change; true if all sent.
+// Shared with the admin console.
+export async function notifyChangeOrder(order, by) {
+  const results = await Promise.all(
+    changeOrderEmails(order, { by }).map((email) =>
+      sendNotification({ ...email, type: 'info', link: process.env.URL || '', linkLabel: 'Open Freshwater Vault' })
+        .catch(() => ({ ok: false }))
+    )
+  );
+  return results.every((r) => r.ok);
+}
+
+export default async (req) => {
+  const headers = {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  };
+
+  if (req.method === 'OPTIONS') {
+    return new Response(null, { status: 204, headers });
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return new Response(
+      JSON.stringify({ error: 'Method not allowed' }),
+      { status: 405, headers }
+    );
+  }
+
+  try {
+    const url = new URL(req.url);
+    const body = req.method === 'POST' ? await req.json().catch(() => ({})) : {};
+    const requestedType = String(
+      (req.method === 'POST' ? body.clientType : url.searchParams.get('clientType')) || ''
+    );
+    if (requestedType && !CLIENT_TYPE_IDS.includes(requestedType)) {
+      return new Response(
+        JSON.stringify({ error: 'Unknown client type' }),
+        { status: 400, headers }
+      );
+    }
+
+    const viewer = await getViewer(req, requestedType);
+    if (!viewer?.client) {
+      return new Response(
+        JSON.stringify({ error: 'Sign in with your client account to request changes' }),
+        { status: 401, headers }
+      );
+    }
+    const client = viewer.client;
+
+    if (req.method === 'GET') {
+      const id = url.searchParams.get('id');
+      if (id) {
+        const order = await getChangeOrder(id);
+        const photo = order?.clientId === client.id ? await readPhoto(order, Number(url.searchParams.get('photo'))) : null;
+        if (!photo) {
+          return new Response(
+            JSON.stringify({ error: 'Photo not found' }),
+            { status: 404, headers }
+          );
+        }
+        return new Response(photo.bytes, {
+          status: 200,
+          headers: { ...headers, 'Content-Type': photo.type, 'Cache-Control': 'private, max-age=3600' },
+        });
+      }
+
+      const orders = (await listChangeOrders(client.id)).map(publicChangeOrder);
+      return new Response(
+        JSON.stringify({ changeOrders: orders }),
+        { status: 200, headers: { ...headers, 'Cache-Control': 'private, no-store' } }
+      );
+    }
+
+    let order;
+    try {
+      if (body.action === 'submit') {
+        order = await createChangeOrder(cleanRequest(body, client), client);
+      } else if (DECISIONS[body.action]) {
+        order = await updateChangeOrder(String(body.id || ''), DECISIONS[body.action], {
+          by: 'client',
+          clientId: client.id,
+          note: body.note,
+        });
+      } else {
+        throw new Error('Unknown action');
+      }
+    } catch (err) {
+      return new Response(
+        JSON.stringify({ error: err.message }),
+        { status: 400, headers }
+      );
+    }
+
+    // The request is saved either way; a failed email shouldn't make the client resubmit
+    const notified = await notifyChangeOrder(order, 'client');
+    return new Response(
+      JSON.stringify({ changeOrder: publicChangeOrder(order), notified }),
+      { status: 200, headers: { ...headers, 'Cache-Control': 'no-store' } }
+    );
+  } catch (err) {
+    return new Response(
+      JSON.stringify({ error: err?.message || 'Unknown error' }),
+      { status: 500, headers }
+    );
+  }
+};
@@ -0,0 +1,85 @@
+import { getViewer } from '../lib/clients.js';
+import { loadCompliancePacket } from '../lib/settings.js';
+import {
+  itemStatus,
+  readItemFile,
+  downloadName,
+  buildPacketZip,
+  MAX_BUNDLE_BYTES,
+} from '../lib/compliance.js';
+
+// Compliance packet downloads for the Municipal portal (see lib/compliance.js).
+//   GET ?item=<id>     one file
+//   GET ?bundle=zip    every current item, a cover sheet and manifest.json (413 above
+//                      MAX_BUNDLE_BYTES)
+// Expired items are never served.
+export default async (req) => {
+  const headers = {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Expose-Headers': 'Content-Disposition',
+  };
+
+  if (req.method === 'OPTIONS') {
+    return new Response(null, { status: 204, headers });
+  }
+
+  if (req.method !== 'GET') {
+    return new Response(
+      JSON.stringify({ error: 'Method not allowed' }),
+      { status: 405, headers }
+    );
+  }
+
+  try {
+    const url = new URL(req.url);
+    const viewer = await getViewer(req, 'municipal');
+    if (!viewer) {
+      return new Response(
+        JSON.stringify({ error: 'Unauthorized' }),
+        { status: 401, headers }
+      );
+    }
+
+    const items = await loadCompliancePacket();
+    const fileHeaders = (type, name) => ({
+      ...headers,
+      'Content-Type': type,
+      'Content-Disposition': `attachment; filename="${name}"`,
+      'Cache-Control': 'private, no-store',
+    });
+
+    if (url.searchParams.get('bundle') === 'zip') {
+      const { zip } = await buildPacketZip(items);
+      if (zip.length > MAX_BUNDLE_BYTES) {
+        return new Response(
+          JSON.stringify({ error: 'The packet is too large to download as one ZIP. Download the items one at a time.' }),
+          { status: 413, headers }
+        );
+      }
+      const name = `Freshwater-Compliance-Packet-${new Date().toISOString().slice(0, 10)}.zip`;
+      return new Response(zip, { status: 200, headers: fileHeaders('application/zip', name) });
+    }
+
+    const item = items.find((i) => i.id === url.searchParams.get('item'));
+    const status = item ? itemStatus(item) : 'missing';
+    if (!item?.file || status === 'expired') {
+      return new Response(
+        JSON.stringify({ error: status === 'expired' ? 'This document has expired; a renewal is in progress' : 'Document not found' }),
+        { status: 404, headers }
+      );
+    }
+
+    return new Response(await readItemFile(item), {
+      status: 200,
+      headers: fileHeaders(item.file.type, downloadName(item)),
+    });
+  } catch (err) {
+    return new Response(
+      JSON.stringify({ error: err?.message || 'Unknown error' }),
+      { status: 500, headers }
+    );
+  }
+};
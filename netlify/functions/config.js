@@ -0,0 +1,37 @@
+import { loadClientTypes } from '../lib/settings.js';
+import { loadSynonyms } from '../lib/synonyms.js';
+
+export default async (req) => {
+  const headers = {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+  };
+
+  if (req.method === 'OPTIONS') {
+    return new Response(null, { status: 204, headers });
+  }
+
+  if (req.method !== 'GET') {
+    return new Response(
+      JSON.stringify({ error: 'Method not allowed' }),
+      { status: 405, headers }
+    );
+  }
+
+  try {
+    // Public portal copy shown on the landing page, and the search synonyms
+    const [clientTypes, synonyms] = await Promise.all([loadClientTypes(), loadSynonyms()]);
+
+    return new Response(
+      JSON.stringify({ clientTypes, synonyms }),
+      { status: 200, headers: { ...headers, 'Cache-Control': 'public, max-age=60' } }
+    );
+  } catch (err) {
+    return new Response(
+      JSON.stringify({ error: err?.message || 'Unknown error' }),
+      { status: 500, headers }
+    );
+  }
+};
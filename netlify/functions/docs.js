@@ -0,0 +1,220 @@
+import { getViewer, CLIENT_TYPE_IDS } from '../lib/clients.js';
+import { loadDocuments, canView } from '../lib/documents.js';
+import { sanitizeDocHtml } from '../lib/sanitize.js';
+import { documentSource, loadSource, sourceKey } from '../lib/sources.js';
+import { contentHash, recordVersion, listVersions, getVersion } from '../lib/versions.js';
+import { parseArchivedId, getArchivedDocument } from '../lib/seasons.js';
+
+// Serves one document's sanitized HTML, whatever its source (see lib/sources.js).
+// Source locations stay on the server; the browser only ever sees our document IDs.
+const FETCH_TTL = 5 * 60 * 1000; // re-check a source at most every 5 minutes
+const docCache = new Map(); // source key -> { html, version, etag, lastModified, fetchedAt }
+const recorded = new Map(); // docId -> last version written to history
+
+async function fetchDocument(source) {
+  const key = sourceKey(source);
+  const cached = docCache.get(key);
+  if (cached && Date.now() - cached.fetchedAt < FETCH_TTL) return cached;
+
+  try {
+    const html = sanitizeDocHtml(await loadSource(source));
+    const version = contentHash(html);
+    // Last-Modified only moves when the content actually changes
+    const lastModified =
+      cached?.version === version ? cached.lastModified : new Date().toUTCString();
+    const entry = { html, version, etag: `"${version}"`, lastModified, fetchedAt: Date.now() };
+    docCache.set(key, entry);
+    return entry;
+  } catch (err) {
+    // Serve the last good copy if the source is unreachable
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+function isNotModified(req, { etag, lastModified }) {
+  const ifNoneMatch = req.headers.get('if-none-match');
+  if (ifNoneMatch) {
+    return ifNoneMatch
+      .split(',')
+      .map((tag) => tag.trim().replace(/^W\//, ''))
+      .some((tag) => tag === etag || tag === '*');
+  }
+  const ifModifiedSince = Date.parse(req.headers.get('if-modified-since') || '');
+  return !Number.isNaN(ifModifiedSince) && Date.parse(lastModified) <= ifModifiedSince;
+}
+
+// A closed season's copy (<docId>@<seasonId>, see lib/seasons.js). Its text is frozen,
+// so it is its own single revision and can be cached for good.
+async function serveArchived(req, url, id, viewer, headers) {
+  const doc = await getArchivedDocument(id);
+  if (!doc || !canView(doc, viewer)) {
+    return new Response(
+      JSON.stringify({ error: 'Document not found' }),
+      { status: 404, headers }
+    );
+  }
+
+  const revision = { version: doc.version, capturedAt: doc.closedAt };
+  if (url.searchParams.get('versions')) {
+    return new Response(
+      JSON.stringify({ id, versions: [revision] }),
+      { status: 200, headers: { ...headers, 'Cache-Control': 'private, no-store' } }
+    );
+  }
+  const wanted = url.searchParams.get('version');
+  if (wanted && wanted !== doc.version) {
+    return new Response(
+      JSON.stringify({ error: 'Version not found' }),
+      { status: 404, headers }
+    );
+  }
+
+  const entry = { etag: `"${doc.version}"`, lastModified: new Date(doc.closedAt).toUTCString() };
+  const cacheHeaders = {
+    ...headers,
+    'Cache-Control': 'private, max-age=31536000, immutable',
+    Vary: 'Authorization',
+    ETag: entry.etag,
+    'Last-Modified': entry.lastModified,
+  };
+  if (!wanted && isNotModified(req, entry)) {
+    return new Response(null, { status: 304, headers: cacheHeaders });
+  }
+  return new Response(
+    JSON.stringify(
+      wanted
+        ? { id, ...revision, html: doc.html }
+        : { id, html: doc.html, version: doc.version, updatedAt: entry.lastModified, archived: true }
+    ),
+    { status: 200, headers: cacheHeaders }
+  );
+}
+
+export default async (req) => {
+  const headers = {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, If-None-Match, If-Modified-Since',
+    'Access-Control-Expose-Headers': 'ETag, Last-Modified',
+  };
+
+  if (req.method === 'OPTIONS') {
+    return new Response(null, { status: 204, headers });
+  }
+
+  if (req.method !== 'GET') {
+    return new Response(
+      JSON.stringify({ error: 'Method not allowed' }),
+      { status: 405, headers }
+    );
+  }
+
+  try {
+    const url = new URL(req.url);
+    const id = url.searchParams.get('id') || '';
+    const requestedType = url.searchParams.get('clientType') || '';
+
+    if (!id || (requestedType && !CLIENT_TYPE_IDS.includes(requestedType))) {
+      return new Response(
+        JSON.stringify({ error: 'Missing or invalid id or clientType' }),
+        { status: 400, headers }
+      );
+    }
+
+    const viewer = await getViewer(req, requestedType);
+    if (!viewer) {
+      return new Response(
+        JSON.stringify({ error: 'Unauthorized' }),
+        { status: 401, headers }
+      );
+    }
+
+    if (parseArchivedId(id)) return serveArchived(req, url, id, viewer, headers);
+
+    // Same answer for "doesn't exist" and "not yours" so IDs can't be probed
+    const doc = (await loadDocuments()).find((d) => d.id === id);
+    if (!doc || !canView(doc, viewer)) {
+      return new Response(
+        JSON.stringify({ error: 'Document not found' }),
+        { status: 404, headers }
+      );
+    }
+
+    const source = documentSource(doc);
+    if (!source) {
+      return new Response(
+        JSON.stringify({ error: 'Document not available yet' }),
+        { status: 404, headers }
+      );
+    }
+
+    // Revision history: ?versions=1 lists revisions, ?version=<hash> returns one
+    if (url.searchParams.get('versions')) {
+      return new Response(
+        JSON.stringify({ id: doc.id, versions: await listVersions(doc.id) }),
+        { status: 200, headers: { ...headers, 'Cache-Control': 'private, no-store' } }
+      );
+    }
+
+    const wanted = url.searchParams.get('version');
+    if (wanted) {
+      const revision = /^[a-f0-9]{16}$/.test(wanted) ? await getVersion(doc.id, wanted) : null;
+      if (!revision) {
+        return new Response(
+          JSON.stringify({ error: 'Version not found' }),
+          { status: 404, headers }
+        );
+      }
+      // A version's content never changes
+      return new Response(
+        JSON.stringify({ id: doc.id, ...revision }),
+        { status: 200, headers: { ...headers, 'Cache-Control': 'private, max-age=31536000, immutable' } }
+      );
+    }
+
+    let entry;
+    try {
+      entry = await fetchDocument(source);
+    } catch (err) {
+      console.error('[docs]', doc.id, err?.message);
+      return new Response(
+        JSON.stringify({ error: 'Unable to load document' }),
+        { status: 502, headers }
+      );
+    }
+
+    if (recorded.get(doc.id) !== entry.version) {
+      await recordVersion(doc.id, entry.html);
+      recorded.set(doc.id, entry.version);
+    }
+
+    const cacheHeaders = {
+      ...headers,
+      'Cache-Control': 'private, no-cache',
+      Vary: 'Authorization',
+      ETag: entry.etag,
+      'Last-Modified': entry.lastModified,
+    };
+
+    if (isNotModified(req, entry)) {
+      return new Response(null, { status: 304, headers: cacheHeaders });
+    }
+
+    return new Response(
+      JSON.stringify({
+        id: doc.id,
+        html: entry.html,
+        version: entry.version,
+        updatedAt: entry.lastModified,
+      }),
+      { status: 200, headers: cacheHeaders }
+    );
+  } catch (err) {
+    return new Response(
+      JSON.stringify({ error: err?.message || 'Unknown error' }),
+      { status: 500, headers }
+    );
+  }
+};
@@ -0,0 +1,94 @@
+import { getViewer, CLIENT_TYPE_IDS } from '../lib/clients.js';
+import { loadDocuments, resolveDocuments, publicDocument } from '../lib/documents.js';
+import { loadCompliancePacket } from '../lib/settings.js';
+import { currentTerm, resolveLifecycle } from '../lib/lifecycle.js';
+import { publicPacket } from '../lib/compliance.js';
+import { listSeasons, archivedDocuments } from '../lib/seasons.js';
+
+// The season most of these documents are tagged with ("2026 Season")
+function currentSeason(documents) {
+  const counts = {};
+  for (const doc of documents) if (doc.season) counts[doc.season] = (counts[doc.season] || 0) + 1;
+  return Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0] || null;
+}
+
+export default async (req) => {
+  const headers = {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  };
+
+  if (req.method === 'OPTIONS') {
+    return new Response(null, { status: 204, headers });
+  }
+
+  if (req.method !== 'GET') {
+    return new Response(
+      JSON.stringify({ error: 'Method not allowed' }),
+      { status: 405, headers }
+    );
+  }
+
+  try {
+    const url = new URL(req.url);
+    const requestedType = url.searchParams.get('clientType') || '';
+
+    if (requestedType && !CLIENT_TYPE_IDS.includes(requestedType)) {
+      return new Response(
+        JSON.stringify({ error: 'Unknown client type' }),
+        { status: 400, headers }
+      );
+    }
+
+    const viewer = await getViewer(req, requestedType);
+    if (!viewer) {
+      return new Response(
+        JSON.stringify({ error: 'Unauthorized' }),
+        { status: 401, headers }
+      );
+    }
+
+    // Each document carries this viewer's current contract term (or null)
+    const live = resolveDocuments(await loadDocuments(), viewer).map((doc) => ({
+      ...publicDocument(doc),
+      lifecycle: currentTerm(resolveLifecycle(doc, viewer.client)),
+    }));
+    // Closed seasons this viewer had documents in; ?season=<id> lists one of them instead
+    const closed = (await listSeasons()).filter((season) => resolveDocuments(season.documents, viewer).length);
+    const seasons = closed.map(({ id, label, closedAt }) => ({ id, label, closedAt }));
+
+    const wanted = url.searchParams.get('season') || '';
+    let documents = live;
+    if (wanted) {
+      const season = closed.find((s) => s.id === wanted);
+      if (!season) {
+        return new Response(
+          JSON.stringify({ error: 'Season not found' }),
+          { status: 404, headers }
+        );
+      }
+      documents = archivedDocuments(season, viewer);
+    }
+    const compliancePacket =
+      viewer.clientType === 'municipal' ? publicPacket(await loadCompliancePacket()) : [];
+
+    return new Response(
+      JSON.stringify({
+        clientType: viewer.clientType,
+        documents,
+        compliancePacket,
+        season: wanted || null,
+        currentSeason: currentSeason(live),
+        seasons,
+      }),
+      { status: 200, headers: { ...headers, 'Cache-Control': 'private, no-store' } }
+    );
+  } catch (err) {
+    return new Response(
+      JSON.stringify({ error: err?.message || 'Unknown error' }),
+      { status: 500, headers }
+    );
+  }
+};
@@ -0,0 +1,66 @@
+import { getViewer, CLIENT_TYPE_IDS } from '../lib/clients.js';
+import { loadDocuments } from '../lib/documents.js';
+import { loadFaq, faqFor, topSearches } from '../lib/faq.js';
+
+// What chat offers before searching (see lib/faq.js): the staff-approved answers this
+// viewer may see, and the questions asked most in their portal for suggestion chips.
+export default async (req) => {
+  const headers = {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  };
+
+  if (req.method === 'OPTIONS') {
+    return new Response(null, { status: 204, headers });
+  }
+
+  if (req.method !== 'GET') {
+    return new Response(
+      JSON.stringify({ error: 'Method not allowed' }),
+      { status: 405, headers }
+    );
+  }
+
+  try {
+    const url = new URL(req.url);
+    const requestedType = url.searchParams.get('clientType') || '';
+
+    if (requestedType && !CLIENT_TYPE_IDS.includes(requestedType)) {
+      return new Response(
+        JSON.stringify({ error: 'Unknown client type' }),
+        { status: 400, headers }
+      );
+    }
+
+    const viewer = await getViewer(req, requestedType);
+    if (!viewer) {
+      return new Response(
+        JSON.stringify({ error: 'Unauthorized' }),
+        { status: 401, headers }
+      );
+    }
+
+    const [entries, documents, searches] = await Promise.all([
+      loadFaq(),
+      loadDocuments(),
+      topSearches(viewer.clientType),
+    ]);
+    const faq = faqFor(entries, documents, viewer).map((entry) => {
+      const rest = { ...entry };
+      delete rest.clientTypes;
+      return rest;
+    });
+
+    return new Response(
+      JSON.stringify({ faq, topSearches: searches }),
+      { status: 200, headers: { ...headers, 'Cache-Control': 'private, no-store' } }
+    );
+  } catch (err) {
+    return new Response(
+      JSON.stringify({ error: err?.message || 'Unknown error' }),
+      { status: 500, headers }
+    );
+  }
+};
@@ -1,6 +1,88 @@
+// Longer subjects and messages are cut; callers that build long messages fit them first
+export const MAX_MESSAGE_LENGTH = 1000;
+
 function sanitizeInput(str) {
   if (typeof str !== 'string') return '';
-  return str.replace(/<[^>]*>/g, '').slice(0, 1000);
+  return str.replace(/<[^>]*>/g, '').slice(0, MAX_MESSAGE_LENGTH);
+}
+
+// Only absolute http(s) links make it into an email button
+function sanitizeLink(str) {
+  if (typeof str !== 'string') return '';
+  try {
+    const url = new URL(str);
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') return '';
+    return url.toString().replace(/"/g, '%22');
+  } catch {
+    return '';
+  }
+}
+
+// Where a link points, without its query: sign-in links carry a live token there
+function linkTarget(str) {
+  const link = sanitizeLink(str);
+  if (!link) return undefined;
+  const url = new URL(link);
+  return `${url.origin}${url.pathname}`;
+}
+
+// Send (or log, when SendGrid isn't configured) a branded notification email.
+// Shared with other functions so every outgoing email goes through one path.
+// A logged notification was not delivered: it comes back `ok: false, logged: true`.
+export async function sendNotification({ to, subject, message, type, link, linkLabel }) {
+  const sendgridKey = process.env.SENDGRID_API_KEY;
+  if (!sendgridKey) {
+    // Log notification locally if SendGrid not configured
+    console.log('[notify] No SENDGRID_API_KEY configured. Notification:', {
+      to: sanitizeInput(to),
+      subject: sanitizeInput(subject),
+      type: sanitizeInput(type || 'general'),
+      link: linkTarget(link),
+      timestamp: new Date().toISOString(),
+    });
+    return { ok: false, logged: true, note: 'Notification logged (SendGrid not configured)' };
+  }
+
+  const fromEmail =
+    process.env.SENDGRID_FROM_EMAIL || 'notifications@freshwatervault.com';
+
+  const emailBody = {
+    personalizations: [
+      {
+        to: [{ email: sanitizeInput(to) }],
+        subject: sanitizeInput(subject),
+      },
+    ],
+    from: { email: fromEmail, name: 'Freshwater Vault' },
+    content: [
+      {
+        type: 'text/html',
+        value: buildEmailHTML(
+          sanitizeInput(subject),
+          sanitizeInput(message),
+          sanitizeInput(type || 'general'),
+          sanitizeLink(link),
+          sanitizeInput(linkLabel || 'Open Freshwater Vault')
+        ),
+      },
+    ],
+  };
+
+  const response = await fetch('https://api.sendgrid.com/v3/mail/send', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${sendgridKey}`,
+    },
+    body: JSON.stringify(emailBody),
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text().catch(() => 'Unknown error');
+    return { ok: false, error: 'SendGrid error', details: errorText };
+  }
+
+  return { ok: true, message: 'Notification sent' };
 }
 
 export default async (req) => {
@@ -33,68 +115,11 @@ export default async (req) => {
       );
     }
 
-    const sendgridKey = process.env.SENDGRID_API_KEY;
-    if (!sendgridKey) {
-      // Log notification locally if SendGrid not configured
-      console.log('[notify] No SENDGRID_API_KEY configured. Notification:', {
-        to: sanitizeInput(to),
-        subject: sanitizeInput(subject),
-        type: sanitizeInput(type || 'general'),
-        timestamp: new Date().toISOString(),
-      });
-
-      return new Response(
-        JSON.stringify({
-          ok: true,
-          note: 'Notification logged (SendGrid not configured)',
-        }),
-        { status: 200, headers }
-      );
-    }
-
-    const fromEmail =
-      process.env.SENDGRID_FROM_EMAIL || 'notifications@freshwatervault.com';
-
-    const emailBody = {
-      personalizations: [
-        {
-          to: [{ email: sanitizeInput(to) }],
-          subject: sanitizeInput(subject),
-        },
-      ],
-      from: { email: fromEmail, name: 'Freshwater Vault' },
-      content: [
-        {
-          type: 'text/html',
-          value: buildEmailHTML(
-            sanitizeInput(subject),
-            sanitizeInput(message),
-            sanitizeInput(type || 'general')
-          ),
-        },
-      ],
-    };
-
-    const response = await fetch('https://api.sendgrid.com/v3/mail/send', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${sendgridKey}`,
-      },
-      body: JSON.stringify(emailBody),
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text().catch(() => 'Unknown error');
-      return new Response(
-        JSON.stringify({ error: 'SendGrid error', details: errorText }),
-        { status: 502, headers }
-      );
-    }
+    const result = await sendNotification({ to, subject, message, type });
 
     return new Response(
-      JSON.stringify({ ok: true, message: 'Notification sent' }),
-      { status: 200, headers }
+      JSON.stringify(result),
+      { status: result.ok || result.logged ? 200 : 502, headers }
     );
   } catch (err) {
     return new Response(
@@ -104,7 +129,7 @@ export default async (req) => {
   }
 };
 
-function buildEmailHTML(subject, message, type) {
+function buildEmailHTML(subject, message, type, link = '', linkLabel = '') {
   const colors = {
     general: '#06b6d4',
     alert: '#ef4444',
@@ -128,7 +153,8 @@ function buildEmailHTML(subject, message, type) {
       </div>
       <div style="padding:32px;">
         <h2 style="margin:0 0 16px;color:#0f172a;font-size:18px;">${subject}</h2>
-        <p style="margin:0;color:#475569;font-size:14px;line-height:1.6;">${message}</p>
+        <p style="margin:0;color:#475569;font-size:14px;line-height:1.6;">${message.replace(/\n/g, '<br>')}</p>
+        ${link ? `<p style="margin:24px 0 0;"><a href="${link}" style="display:inline-block;background:${color};color:white;text-decoration:none;font-weight:600;font-size:14px;padding:12px 24px;border-radius:8px;">${linkLabel}</a></p>` : ''}
       </div>
       <div style="padding:16px 32px;border-top:1px solid #e2e8f0;background:#f8fafc;">
         <p style="margin:0;color:#94a3b8;font-size:12px;">Freshwater Landscaping LLC | Secure Client Portal</p>
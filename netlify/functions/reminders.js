@@ -0,0 +1,161 @@
+import { loadDocuments, resolveDocuments } from '../lib/documents.js';
+import { resolveLifecycle, upcomingDeadlines, dueReminder, daysUntil } from '../lib/lifecycle.js';
+import { loadCompliancePacket } from '../lib/settings.js';
+import { readCollection, updateCollection } from '../lib/store.js';
+import { sendNotification, MAX_MESSAGE_LENGTH } from './notify.js';
+
+// Daily job: email contract deadline reminders (notice windows, renewals, expirations)
+// 30, 7 and 1 days ahead. Clients with an account get their own reminders; staff get
+// a digest at REMINDER_EMAIL, plus an alert when a compliance packet item is about to
+// expire or has expired. Sent reminders are recorded in `reminders_sent` so a
+// reminder goes out once even if the job runs twice.
+export const config = { schedule: '@daily' };
+
+const KEEP_SENT = 400 * 24 * 60 * 60 * 1000; // forget sent reminders after ~13 months
+
+const WHAT = {
+  notice: 'notice deadline',
+  renewal: 'automatic renewal',
+  expiration: 'expiration',
+};
+
+function when(daysLeft) {
+  if (daysLeft === 0) return 'today';
+  if (daysLeft === 1) return 'tomorrow';
+  return `in ${daysLeft} days`;
+}
+
+function reminderMessage(doc, deadline, name) {
+  const title = doc.propertyName ? `${doc.title} (${doc.propertyName})` : doc.title;
+  const greeting = `Hi ${name || 'there'}, `;
+  if (deadline.kind === 'notice') {
+    return `${greeting}the notice window for your ${title} closes ${when(deadline.daysLeft)} (${deadline.date}). To cancel or change terms before it renews, let Freshwater know by then.`;
+  }
+  if (deadline.kind === 'renewal') {
+    return `${greeting}your ${title} renews automatically ${when(deadline.daysLeft)} (${deadline.date}). No action is needed to keep service going.`;
+  }
+  return `${greeting}your ${title} expires ${when(deadline.daysLeft)} (${deadline.date}). Contact Freshwater to renew so service continues without a gap.`;
+}
+
+// One line per deadline, soonest first, as many as fit in a notification; the rest are
+// counted on a last line rather than cut off mid-list
+function digestMessage(lines) {
+  const more = (count) => `…and ${count} more — see the admin console`;
+  for (let shown = lines.length; shown > 0; shown--) {
+    const kept = lines.slice(0, shown);
+    if (shown < lines.length) kept.push(more(lines.length - shown));
+    const message = kept.join('\n');
+    if (message.length <= MAX_MESSAGE_LENGTH) return message;
+  }
+  return more(lines.length);
+}
+
+export default async () => {
+  const now = Date.now();
+  const siteUrl = process.env.URL || '';
+  const [documents, clients, packet, sent] = await Promise.all([
+    loadDocuments(),
+    readCollection('clients'),
+    loadCompliancePacket(),
+    readCollection('reminders_sent', {}),
+  ]);
+
+  const newlySent = {};
+  const digest = [];
+  let failed = 0;
+  let logged = 0;
+
+  const remind = async (key, notification) => {
+    if (sent[key] || newlySent[key]) return;
+    const result = await sendNotification(notification);
+    // A reminder that was only logged (no SendGrid) isn't marked sent
+    if (result.ok) newlySent[key] = new Date(now).toISOString();
+    else if (result.logged) logged++;
+    else failed++;
+  };
+
+  // Each client, for each document they see
+  for (const client of clients) {
+    if (client.active === false || !client.email) continue;
+    const docs = resolveDocuments(documents, { clientType: client.clientType, client });
+    for (const doc of docs) {
+      for (const deadline of upcomingDeadlines(resolveLifecycle(doc, client), now)) {
+        const days = dueReminder(deadline.daysLeft);
+        if (days === null) continue;
+        digest.push({ client: client.name, doc, deadline });
+        await remind(`${client.id}:${doc.id}:${deadline.kind}:${deadline.date}:${days}`, {
+          to: client.email,
+          subject: `Reminder: ${doc.title} ${WHAT[deadline.kind]} ${when(deadline.daysLeft)}`,
+          message: reminderMessage(doc, deadline, client.name),
+          type: deadline.kind === 'renewal' ? 'info' : 'alert',
+          link: siteUrl ? `${siteUrl}/docs/${encodeURIComponent(doc.id)}` : '',
+          linkLabel: 'Review the agreement',
+        });
+      }
+    }
+  }
+
+  // Document-wide terms nobody with an account was reminded of go to staff only
+  const listed = new Set(digest.map(({ doc, deadline }) => `${doc.id}:${deadline.kind}:${deadline.date}`));
+  for (const doc of documents) {
+    for (const deadline of upcomingDeadlines(doc.lifecycle, now)) {
+      if (dueReminder(deadline.daysLeft) === null || listed.has(`${doc.id}:${deadline.kind}:${deadline.date}`)) continue;
+      digest.push({ client: null, doc, deadline });
+    }
+  }
+
+  const staffEmail = process.env.REMINDER_EMAIL;
+  if (staffEmail && digest.length) {
+    const lines = digest
+      .sort((a, b) => a.deadline.daysLeft - b.deadline.daysLeft)
+      .map(({ client, doc, deadline }) =>
+        `${doc.title} (${client || 'all clients'}): ${WHAT[deadline.kind]} ${deadline.date}, ${when(deadline.daysLeft)}`
+      );
+    await remind(`staff:${new Date(now).toISOString().slice(0, 10)}`, {
+      to: staffEmail,
+      subject: `Contract deadlines: ${digest.length} coming up`,
+      message: digestMessage(lines),
+      type: 'info',
+      link: siteUrl ? `${siteUrl}/admin` : '',
+      linkLabel: 'Open admin console',
+    });
+  }
+
+  // Compliance packet items clerks download (W-9, COI...): 30, 7 and 1 days out, then once expired
+  for (const item of packet) {
+    const daysLeft = daysUntil(item.expiresAt, now);
+    if (!staffEmail || daysLeft === null || (!item.file && !item.url)) continue;
+    const stage = daysLeft < 0 ? 'expired' : dueReminder(daysLeft);
+    if (stage === null) continue;
+    await remind(`compliance:${item.id}:${item.expiresAt}:${stage}`, {
+      to: staffEmail,
+      subject: daysLeft < 0
+        ? `Compliance packet: ${item.name} has expired`
+        : `Compliance packet: ${item.name} expires ${when(daysLeft)}`,
+      message: daysLeft < 0
+        ? `${item.name} expired on ${item.expiresAt} and has been removed from the Municipal compliance packet. Upload the renewed document in the admin console.`
+        : `${item.name} in the Municipal compliance packet expires on ${item.expiresAt}. Upload the renewed document in the admin console before then so clerks never download a lapsed copy.`,
+      type: 'alert',
+      link: siteUrl ? `${siteUrl}/admin` : '',
+      linkLabel: 'Open admin console',
+    });
+  }
+
+  if (Object.keys(newlySent).length) {
+    await updateCollection(
+      'reminders_sent',
+      (all) => {
+        for (const [key, sentAt] of Object.entries(all)) {
+          if (now - Date.parse(sentAt) > KEEP_SENT) delete all[key];
+        }
+        return { ...all, ...newlySent };
+      },
+      {}
+    );
+  }
+
+  return new Response(JSON.stringify({ sent: Object.keys(newlySent).length, failed, logged }), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json' },
+  });
+};
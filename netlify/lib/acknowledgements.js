@@ -0,0 +1,135 @@
+// Acknowledgements: a signer's record that they reviewed one exact version of a document.
+//   { id, docId, docTitle, version, contentSha256, name, title, clientType, clientId,
+//     email, ip, userAgent, acknowledgedAt, prevHash, hash }
+// `version` is the revision hash from lib/versions.js and `contentSha256` the full
+// SHA-256 of that revision's HTML, so anyone holding the HTML can check it.
+// Records are kept in the `acknowledgements` collection as a hash chain: each `hash`
+// covers the record's fields and the previous record's hash, so editing or deleting a
+// stored record breaks every hash after it. The receipt a signer downloads is the
+// record plus an HMAC `signature` (RECEIPT_SECRET, or SESSION_SECRET if unset).
+import crypto from 'node:crypto';
+import { readCollection, updateCollection } from './store.js';
+import { getVersion } from './versions.js';
+
+const COLLECTION = 'acknowledgements';
+const GENESIS = '0'.repeat(64);
+
+// Hashed and signed in this order; never reorder, or stored receipts stop verifying
+const FIELDS = [
+  'id',
+  'docId',
+  'docTitle',
+  'version',
+  'contentSha256',
+  'name',
+  'title',
+  'clientType',
+  'clientId',
+  'email',
+  'ip',
+  'userAgent',
+  'acknowledgedAt',
+  'prevHash',
+];
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function canonical(record) {
+  return JSON.stringify(FIELDS.map((field) => record[field] ?? null));
+}
+
+function recordHash(record) {
+  return sha256(canonical(record));
+}
+
+function getSecret() {
+  const secret = process.env.RECEIPT_SECRET || process.env.SESSION_SECRET;
+  if (!secret) throw new Error('Server not configured (missing RECEIPT_SECRET)');
+  return secret;
+}
+
+function sign(record) {
+  return crypto
+    .createHmac('sha256', getSecret())
+    .update(`${canonical(record)}.${record.hash}`)
+    .digest('hex');
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// The downloadable receipt for a stored record
+export function toReceipt(record) {
+  return { ...record, signature: sign(record) };
+}
+
+// Append an acknowledgement of `html` (the exact revision shown) to the chain.
+// `fields`: { docId, docTitle, version, name, title, clientType, clientId, email, ip, userAgent }
+export async function recordAcknowledgement(fields, html) {
+  let record;
+  await updateCollection(COLLECTION, (records) => {
+    record = {
+      id: `ack_${crypto.randomBytes(8).toString('hex')}`,
+      ...fields,
+      contentSha256: sha256(html),
+      acknowledgedAt: new Date().toISOString(),
+      prevHash: records[records.length - 1]?.hash || GENESIS,
+    };
+    record.hash = recordHash(record);
+    records.push(record);
+  });
+  return record;
+}
+
+// This signer's acknowledgements of a document, newest first. Shared portal sessions
+// have no client ID, so they only ever see the receipt they just created.
+export async function listAcknowledgements(docId, clientId) {
+  if (!clientId) return [];
+  const records = await readCollection(COLLECTION);
+  return records.filter((r) => r.docId === docId && r.clientId === clientId).reverse();
+}
+
+// Recompute every hash and link. Returns { ok, count, brokenAt } (brokenAt: first bad record id).
+export function verifyChain(records) {
+  let prevHash = GENESIS;
+  for (const record of records) {
+    if (record.prevHash !== prevHash || recordHash(record) !== record.hash) {
+      return { ok: false, count: records.length, brokenAt: record.id || null };
+    }
+    prevHash = record.hash;
+  }
+  return { ok: true, count: records.length, brokenAt: null };
+}
+
+// Check a downloaded receipt. Each check is true, false, or null when it can't be made
+// (the revision aged out of history):
+//   signature  issued by this portal and unchanged since
+//   stored     matches the record on file
+//   chain      the records on file are intact up to and including this one
+//   content    the revision on file still hashes to the receipt's contentSha256
+export async function verifyReceipt(receipt) {
+  const checks = { signature: false, stored: false, chain: false, content: null };
+  if (!receipt || typeof receipt !== 'object' || typeof receipt.signature !== 'string') {
+    return { valid: false, checks };
+  }
+
+  checks.signature = recordHash(receipt) === receipt.hash && safeEqual(sign(receipt), receipt.signature);
+
+  const records = await readCollection(COLLECTION);
+  const index = records.findIndex((r) => r.id === receipt.id);
+  if (index !== -1) {
+    checks.stored = canonical(records[index]) === canonical(receipt) && records[index].hash === receipt.hash;
+    checks.chain = verifyChain(records.slice(0, index + 1)).ok;
+  }
+
+  // Only look up documents named by a receipt we issued
+  const revision = checks.signature ? await getVersion(receipt.docId, receipt.version) : null;
+  if (revision) checks.content = sha256(revision.html) === receipt.contentSha256;
+
+  return { valid: checks.signature && checks.stored && checks.chain && checks.content !== false, checks };
+}
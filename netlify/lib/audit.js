@@ -0,0 +1,16 @@
+// Audit trail of staff changes made through the admin console:
+//   { at, action, ip }
+// The one place functions record who changed what. Client activity already has
+// its own records (acknowledgement receipts, change-order history) and is not
+// copied here; nothing a client types is ever kept in it.
+import { updateCollection } from './store.js';
+
+const COLLECTION = 'audit_log';
+const MAX_ENTRIES = 5000;
+
+// Append an entry, keeping the newest MAX_ENTRIES. Never throws: a full disk
+// shouldn't fail the change it records.
+export async function recordAudit({ action, ip }) {
+  const entry = { at: new Date().toISOString(), action: String(action || '').slice(0, 60), ip: ip || 'unknown' };
+  await updateCollection(COLLECTION, (log) => log.concat(entry).slice(-MAX_ENTRIES)).catch(() => {});
+}
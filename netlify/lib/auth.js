@@ -0,0 +1,145 @@
+// Shared auth helpers for Netlify functions: PIN hashing and signed session tokens.
+// Tokens are `<base64url payload>.<base64url HMAC-SHA256>` signed with SESSION_SECRET.
+import crypto from 'node:crypto';
+
+const SESSION_TTL = 8 * 60 * 60 * 1000; // 8 hours
+
+function getSecret() {
+  const secret = process.env.SESSION_SECRET;
+  if (!secret) throw new Error('Server not configured (missing SESSION_SECRET)');
+  return secret;
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', getSecret()).update(data).digest('base64url');
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// Hash a PIN as `<salt>:<scrypt hash>` (both hex).
+export function hashPin(pin, salt = crypto.randomBytes(16).toString('hex')) {
+  const hash = crypto.scryptSync(String(pin), salt, 32).toString('hex');
+  return `${salt}:${hash}`;
+}
+
+export function verifyPin(pin, stored) {
+  if (typeof stored !== 'string' || !stored.includes(':')) return false;
+  const [salt] = stored.split(':');
+  return safeEqual(hashPin(pin, salt), stored);
+}
+
+export function signSession(claims, ttl = SESSION_TTL) {
+  const expiresAt = Date.now() + ttl;
+  const payload = Buffer.from(JSON.stringify({ ...claims, exp: expiresAt })).toString(
+    'base64url'
+  );
+  return { token: `${payload}.${sign(payload)}`, expiresAt };
+}
+
+// Returns the session claims, or null if the token is malformed, forged or expired.
+export function verifySession(token) {
+  if (typeof token !== 'string') return null;
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature || !safeEqual(sign(payload), signature)) return null;
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!claims.exp || Date.now() >= claims.exp) return null;
+    return claims;
+  } catch {
+    return null;
+  }
+}
+
+export function getSession(req) {
+  const header = req.headers.get('authorization') || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? verifySession(match[1]) : null;
+}
+
+// The connecting IP as Netlify's edge saw it. X-Forwarded-For is only a fallback, and
+// only its last entry (the hop our proxy added): the client can put anything before it,
+// and a per-IP lockout keyed on that would reset with every request.
+export function getClientIP(req) {
+  return (
+    req.headers.get('x-nf-client-connection-ip') ||
+    req.headers.get('x-forwarded-for')?.split(',').pop()?.trim() ||
+    'unknown'
+  );
+}
+
+// Failed-attempt tracking for brute-force lockouts (in-memory, resets on cold start)
+export function createLockout({ window, duration }) {
+  const attempts = new Map();
+
+  return {
+    // { locked: false } or { locked: true, retryAfter: <seconds> }
+    check(key) {
+      const record = attempts.get(key);
+      if (!record?.lockedUntil) return { locked: false };
+      const now = Date.now();
+      if (now >= record.lockedUntil) {
+        attempts.delete(key);
+        return { locked: false };
+      }
+      return { locked: true, retryAfter: Math.ceil((record.lockedUntil - now) / 1000) };
+    },
+
+    // Record a failure; returns how many attempts remain before lockout
+    fail(key, max) {
+      const now = Date.now();
+      let record = attempts.get(key);
+      if (!record || now - record.windowStart > window) {
+        record = { windowStart: now, count: 0, lockedUntil: 0 };
+        attempts.set(key, record);
+      }
+      record.count++;
+      if (record.count >= max) record.lockedUntil = now + duration;
+      return Math.max(0, max - record.count);
+    },
+
+    clear(key) {
+      attempts.delete(key);
+    },
+  };
+}
+
+// Growing delay for a key shared by many callers (a portal, the admin login), where a
+// lockout would shut everyone out. Past `free` failures, each failure makes the key wait
+// before its next try, doubling from 1 second up to `maxDelay`. The count resets only
+// after `window` without a failure. In-memory, like createLockout.
+export function createThrottle({ window, free, maxDelay }) {
+  const failures = new Map();
+
+  return {
+    // Seconds until the key takes another try (0 if it can now)
+    wait(key) {
+      const record = failures.get(key);
+      const now = Date.now();
+      if (!record || now >= record.nextAttemptAt) return 0;
+      return Math.ceil((record.nextAttemptAt - now) / 1000);
+    },
+
+    // Record a failure from `source` (an IP); returns { count, sources } so far
+    fail(key, source) {
+      const now = Date.now();
+      let record = failures.get(key);
+      if (!record || now - record.lastFailure > window) {
+        record = { count: 0, lastFailure: now, nextAttemptAt: 0, sources: new Set() };
+        failures.set(key, record);
+      }
+      record.count++;
+      record.lastFailure = now;
+      record.sources.add(source);
+      if (record.count > free) {
+        const delay = 1000 * 2 ** (record.count - free - 1);
+        record.nextAttemptAt = now + Math.min(delay, maxDelay);
+      }
+      return { count: record.count, sources: record.sources };
+    },
+  };
+}
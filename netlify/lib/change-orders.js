@@ -0,0 +1,249 @@
+// Change orders: a client's request for work beyond their agreement, stored in the
+// `change_orders` collection:
+//   { id, number, clientId, clientName, email, clientType, propertyId, propertyName, work,
+//     urgency, photos: [{ path, name, type, size }], status, quote: { amount, note, quotedAt },
+//     history: [{ status, by, note, at }], createdAt, updatedAt }
+// Status runs submitted -> quoted -> approved | declined. Staff quote (and can decline a
+// request outright or re-quote); the client approves or declines the quote, and staff can
+// record a decision the client gave by phone. Photos live in the local file store under
+// change-orders/.
+import crypto from 'node:crypto';
+import { readCollection, updateCollection } from './store.js';
+import { readStoredFile, writeStoredFile } from './sources.js';
+
+const COLLECTION = 'change_orders';
+
+export const URGENCY = {
+  routine: 'Routine',
+  soon: 'Within 2 weeks',
+  urgent: 'Urgent',
+};
+
+export const STATUS_LABELS = {
+  submitted: 'Submitted',
+  quoted: 'Quoted',
+  approved: 'Approved',
+  declined: 'Declined',
+};
+
+// Where each status can go next
+export const TRANSITIONS = {
+  submitted: ['quoted', 'declined'],
+  quoted: ['quoted', 'approved', 'declined'],
+  approved: [],
+  declined: [],
+};
+
+export const MAX_PHOTOS = 4;
+// Photos are resized in the browser; four of these still fit Netlify's 6 MB body limit
+export const MAX_PHOTO_BYTES = 1.25 * 1024 * 1024;
+
+const PHOTO_TYPES = {
+  jpg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+};
+
+// Sniff the format rather than trusting the file name
+function photoExtension(bytes) {
+  if (bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return 'jpg';
+  if (bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+  if (bytes.subarray(0, 4).toString('latin1') === 'RIFF' && bytes.subarray(8, 12).toString('latin1') === 'WEBP') return 'webp';
+  return null;
+}
+
+function cleanText(str, max) {
+  if (typeof str !== 'string') return '';
+  return str.replace(/<[^>]*>/g, '').replace(/[ \t]+/g, ' ').trim().slice(0, max);
+}
+
+// Validate a request from the dashboard; throws with a message the client can act on.
+// `photos`: [{ filename, data (base64) }]
+export function cleanRequest(input, client) {
+  const properties = client.properties || [];
+  const propertyId = cleanText(input.propertyId, 60);
+  const property = properties.find((p) => p.id === propertyId) || null;
+  if (properties.length && !property) throw new Error('Choose the property for this work');
+
+  const work = cleanText(input.work, 2000);
+  if (work.length < 10) throw new Error('Describe the work you need (at least 10 characters)');
+
+  const urgency = URGENCY[input.urgency] ? input.urgency : 'routine';
+
+  const photos = Array.isArray(input.photos) ? input.photos : [];
+  if (photos.length > MAX_PHOTOS) throw new Error(`Attach up to ${MAX_PHOTOS} photos`);
+  const decoded = photos.map((photo) => {
+    const data = typeof photo?.data === 'string' ? photo.data : '';
+    if (data.length > Math.ceil(MAX_PHOTO_BYTES / 3) * 4) throw new Error('Each photo must be 1.25 MB or smaller');
+    const bytes = Buffer.from(data, 'base64');
+    const ext = photoExtension(bytes);
+    if (!ext) throw new Error('Photos must be JPEG, PNG or WebP images');
+    return { name: cleanText(photo.filename, 120) || `photo.${ext}`, ext, bytes };
+  });
+
+  return { propertyId: property?.id || null, propertyName: property?.name || null, work, urgency, photos: decoded };
+}
+
+// Store a cleaned request from `client`; returns the new record
+export async function createChangeOrder(request, client) {
+  const id = `co_${crypto.randomBytes(6).toString('hex')}`;
+  const photos = [];
+  for (const [i, photo] of request.photos.entries()) {
+    const storedPath = `change-orders/${id}-${i + 1}.${photo.ext}`;
+    await writeStoredFile(storedPath, photo.bytes);
+    photos.push({ path: storedPath, name: photo.name, type: PHOTO_TYPES[photo.ext], size: photo.bytes.length });
+  }
+
+  const now = new Date().toISOString();
+  let record;
+  await updateCollection(COLLECTION, (orders) => {
+    const number = orders.reduce((max, o) => Math.max(max, o.number || 0), 0) + 1;
+    record = {
+      id,
+      number,
+      clientId: client.id,
+      clientName: client.name,
+      email: client.email,
+      clientType: client.clientType,
+      propertyId: request.propertyId,
+      propertyName: request.propertyName,
+      work: request.work,
+      urgency: request.urgency,
+      photos,
+      status: 'submitted',
+      quote: null,
+      history: [{ status: 'submitted', by: 'client', note: '', at: now }],
+      createdAt: now,
+      updatedAt: now,
+    };
+    orders.push(record);
+  });
+  return record;
+}
+
+// "CO-0042"
+export function orderLabel(order) {
+  return `CO-${String(order.number).padStart(4, '0')}`;
+}
+
+// A client's change orders, newest first
+export async function listChangeOrders(clientId) {
+  if (!clientId) return [];
+  const orders = await readCollection(COLLECTION);
+  return orders.filter((o) => o.clientId === clientId).reverse();
+}
+
+export async function getChangeOrder(id) {
+  const orders = await readCollection(COLLECTION);
+  return orders.find((o) => o.id === id) || null;
+}
+
+// Move an order to `status`. `by` is 'client' or 'staff'; clients may only answer a quote,
+// and only on their own orders. A quote needs an amount. Returns the updated record.
+export async function updateChangeOrder(id, status, { by, clientId, amount, note } = {}) {
+  let updated;
+  await updateCollection(COLLECTION, (orders) => {
+    const order = orders.find((o) => o.id === id);
+    if (!order || (by === 'client' && order.clientId !== clientId)) throw new Error('Change order not found');
+    if (!(TRANSITIONS[order.status] || []).includes(status)) {
+      throw new Error(`A ${STATUS_LABELS[order.status].toLowerCase()} change order can't be marked ${STATUS_LABELS[status]?.toLowerCase() || status}`);
+    }
+    if (by === 'client' && (order.status !== 'quoted' || status === 'quoted')) {
+      throw new Error('Only a quote can be approved or declined');
+    }
+
+    const at = new Date().toISOString();
+    const cleanNote = cleanText(note, 1000);
+    if (status === 'quoted') {
+      const value = Math.round(Number(amount) * 100) / 100;
+      if (!Number.isFinite(value) || value <= 0) throw new Error('Enter the quoted amount');
+      order.quote = { amount: value, note: cleanNote, quotedAt: at };
+    }
+    order.status = status;
+    order.history.push({ status, by: by === 'client' ? 'client' : 'staff', note: cleanNote, at });
+    order.updatedAt = at;
+    updated = order;
+  });
+  return updated;
+}
+
+// What the client's browser gets: photo paths stay on the server
+export function publicChangeOrder(order) {
+  return {
+    id: order.id,
+    label: orderLabel(order),
+    propertyName: order.propertyName,
+    work: order.work,
+    urgency: order.urgency,
+    photos: order.photos.map((p) => ({ name: p.name, type: p.type })),
+    status: order.status,
+    quote: order.quote,
+    history: order.history,
+    createdAt: order.createdAt,
+    updatedAt: order.updatedAt,
+  };
+}
+
+export async function readPhoto(order, index) {
+  const photo = order.photos[index];
+  if (!photo) return null;
+  return { ...photo, bytes: await readStoredFile(photo.path) };
+}
+
+function formatMoney(amount) {
+  return amount.toLocaleString('en-US', { style: 'currency', currency: 'USD' });
+}
+
+// Who hears about a change: staff for anything the client does, the client for anything
+// staff do. Returns [{ to, subject, message }] for notify.
+export function changeOrderEmails(order, { by }) {
+  const staff = process.env.CHANGE_ORDER_EMAIL || process.env.REMINDER_EMAIL;
+  const label = orderLabel(order);
+  const where = order.propertyName ? ` at ${order.propertyName}` : '';
+  const amount = order.quote ? formatMoney(order.quote.amount) : '';
+  const note = order.history[order.history.length - 1]?.note;
+  const emails = [];
+
+  if (order.status === 'submitted') {
+    if (staff) {
+      emails.push({
+        to: staff,
+        subject: `${label}: new ${URGENCY[order.urgency].toLowerCase()} change order from ${order.clientName}`,
+        message: `${order.clientName} (${order.email}) requested work${where}: "${order.work}" ${order.photos.length ? `${order.photos.length} photo(s) attached.` : ''} Quote it in the admin console.`,
+      });
+    }
+    emails.push({
+      to: order.email,
+      subject: `We received your change order ${label}`,
+      message: `Hi ${order.clientName}, thanks for your request${where}: "${order.work}" Freshwater will review it and send you a quote. You can follow its status on your dashboard.`,
+    });
+  } else if (order.status === 'quoted') {
+    emails.push({
+      to: order.email,
+      subject: `Your quote for ${label}: ${amount}`,
+      message: `Hi ${order.clientName}, Freshwater quoted ${amount} for your requested work${where}.${note ? ` ${note}` : ''} Approve or decline the quote on your dashboard.`,
+    });
+  } else if (by === 'client') {
+    if (staff) {
+      emails.push({
+        to: staff,
+        subject: `${label} ${order.status} by ${order.clientName}`,
+        message: `${order.clientName} ${order.status} the ${amount} quote for work${where}.${note ? ` Note: "${note}"` : ''}`,
+      });
+    }
+    emails.push({
+      to: order.email,
+      subject: `You ${order.status} change order ${label}`,
+      message: order.status === 'approved'
+        ? `Hi ${order.clientName}, thanks for approving the ${amount} quote. Freshwater will be in touch to schedule the work.`
+        : `Hi ${order.clientName}, you declined the ${amount} quote. No work will be scheduled; contact Freshwater if you change your mind.`,
+    });
+  } else {
+    emails.push({
+      to: order.email,
+      subject: `Change order ${label} ${order.status}`,
+      message: `Hi ${order.clientName}, your change order${where} is now ${order.status}.${note ? ` ${note}` : ''}`,
+    });
+  }
+  return emails;
+}
@@ -0,0 +1,52 @@
+// Client accounts, stored in the `clients` collection:
+// { id, email, name, clientType, properties: [{ id, name, address }], lifecycles, active, createdAt }
+// `lifecycles` holds this client's contract terms per document (see lifecycle.js).
+import { readCollection } from './store.js';
+import { getSession } from './auth.js';
+
+export const CLIENT_TYPE_IDS = ['residential', 'commercial', 'hoa', 'municipal'];
+
+export function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+export async function findClientByEmail(email) {
+  const wanted = normalizeEmail(email);
+  if (!wanted) return null;
+  const clients = await readCollection('clients');
+  return clients.find((c) => c.active !== false && normalizeEmail(c.email) === wanted) || null;
+}
+
+export async function getClient(id) {
+  if (!id) return null;
+  const clients = await readCollection('clients');
+  return clients.find((c) => c.id === id && c.active !== false) || null;
+}
+
+// The subset of an account that is safe to hand to the browser
+export function publicClient(client) {
+  if (!client) return null;
+  return {
+    id: client.id,
+    name: client.name,
+    email: client.email,
+    clientType: client.clientType,
+    properties: (client.properties || []).map((p) => ({ id: p.id, name: p.name })),
+  };
+}
+
+// Who is asking: a signed-in client, a portal (PIN) session, or an anonymous
+// residential visitor. Returns null when the request may not see `requestedType`.
+export async function getViewer(req, requestedType) {
+  const session = process.env.SESSION_SECRET ? getSession(req) : null;
+  const clientType = requestedType || session?.clientType;
+
+  if (session && session.clientType === clientType) {
+    const client = session.sub ? await getClient(session.sub) : null;
+    if (session.sub && !client) return null;
+    return { clientType, client };
+  }
+
+  // Residential is open without a session
+  return clientType === 'residential' ? { clientType, client: null } : null;
+}
@@ -0,0 +1,159 @@
+// Compliance packet: the W-9, certificate of insurance and state filing that city clerks
+// ask for. Each item is a file staff upload in the admin console, with when it was
+// issued and when it lapses (COIs renew yearly):
+//   { id, name, issuedAt, expiresAt, file: { path, name, type, size, sha256, uploadedAt }, url }
+// Files live in the local file store under compliance/. `url` is the link-only form from
+// before uploads; such items are linked from the portal but not bundled.
+// Clerks download one item, or the whole packet as a ZIP with a cover sheet and manifest.
+import crypto from 'node:crypto';
+import path from 'node:path';
+import { daysUntil, isValidDate } from './lifecycle.js';
+import { readStoredFile, writeStoredFile } from './sources.js';
+import { createZip } from './zip.js';
+
+// Items expiring within this many days are flagged to clerks and staff
+export const EXPIRY_WARNING_DAYS = 30;
+// Uploads arrive base64-encoded in a JSON body, which Netlify caps at 6 MB
+export const MAX_FILE_BYTES = 4 * 1024 * 1024;
+// Responses are capped at 6 MB too, and binary bodies go out base64-encoded, so a ZIP
+// bigger than this can't be sent; clerks download the items one at a time instead
+export const MAX_BUNDLE_BYTES = 4 * 1024 * 1024;
+
+const FILE_TYPES = {
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+};
+
+// 'current' | 'expiring' | 'expired' | 'missing' (nothing uploaded or linked yet)
+export function itemStatus(item, now = Date.now()) {
+  if (!item.file && !item.url) return 'missing';
+  const days = daysUntil(item.expiresAt, now);
+  if (days === null) return 'current';
+  if (days < 0) return 'expired';
+  return days <= EXPIRY_WARNING_DAYS ? 'expiring' : 'current';
+}
+
+// The packet as clients see it: no file store paths, and nothing expired to download
+export function publicPacket(items, now = Date.now()) {
+  return items.map((item) => {
+    const status = itemStatus(item, now);
+    const usable = status === 'current' || status === 'expiring';
+    return {
+      id: item.id,
+      name: item.name,
+      issuedAt: item.issuedAt || null,
+      expiresAt: item.expiresAt || null,
+      status,
+      download: usable && Boolean(item.file),
+      url: usable && !item.file ? item.url || '' : '',
+    };
+  });
+}
+
+// Validate dates from the admin console; throws with a message staff can act on
+export function cleanItemDates(input, name) {
+  const issuedAt = String(input.issuedAt || '').trim();
+  const expiresAt = String(input.expiresAt || '').trim();
+  if (issuedAt && !isValidDate(issuedAt)) throw new Error(`"${name}" issue date must be YYYY-MM-DD`);
+  if (expiresAt && !isValidDate(expiresAt)) throw new Error(`"${name}" expiry date must be YYYY-MM-DD`);
+  if (issuedAt && expiresAt && expiresAt <= issuedAt) {
+    throw new Error(`"${name}" must expire after it was issued`);
+  }
+  return { issuedAt: issuedAt || null, expiresAt: expiresAt || null };
+}
+
+// Save an uploaded file for `itemId`; returns the item's new `file`
+export async function storeItemFile(itemId, filename, bytes) {
+  const ext = path.extname(String(filename || '')).toLowerCase();
+  const type = FILE_TYPES[ext];
+  if (!type) throw new Error('Upload a PDF, PNG or JPEG file');
+  if (!bytes.length) throw new Error('The file is empty');
+  if (bytes.length > MAX_FILE_BYTES) throw new Error('Files must be 4 MB or smaller');
+
+  const sha256 = crypto.createHash('sha256').update(bytes).digest('hex');
+  // A new path per upload, so a download in progress never reads a half-written file
+  const storedPath = `compliance/${itemId}-${sha256.slice(0, 12)}${ext}`;
+  await writeStoredFile(storedPath, bytes);
+  return {
+    path: storedPath,
+    name: path.basename(String(filename)).replace(/[^\w .()-]/g, '_').slice(0, 120),
+    type,
+    size: bytes.length,
+    sha256,
+    uploadedAt: new Date().toISOString(),
+  };
+}
+
+export async function readItemFile(item) {
+  return readStoredFile(item.file.path);
+}
+
+// File name inside the ZIP and on download: "Insurance-COI.pdf"
+export function downloadName(item) {
+  const base = item.name.replace(/[^\w]+/g, '-').replace(/^-+|-+$/g, '') || item.id;
+  return `${base}${path.extname(item.file.path)}`;
+}
+
+function coverSheet(included, omitted, generatedAt) {
+  const lines = [
+    'FRESHWATER COMPLIANCE PACKET',
+    `Generated ${generatedAt.replace('T', ' ').slice(0, 16)} UTC`,
+    '',
+    'INCLUDED',
+  ];
+  included.forEach((entry, i) => {
+    lines.push(`${i + 1}. ${entry.name}  (${entry.file})`);
+    lines.push(`   Issued ${entry.issuedAt || 'n/a'}, ${entry.expiresAt ? `expires ${entry.expiresAt}` : 'no expiry'}`);
+    lines.push(`   SHA-256 ${entry.sha256}`);
+  });
+  if (!included.length) lines.push('Nothing is available yet.');
+  if (omitted.length) {
+    lines.push('', 'NOT INCLUDED');
+    for (const entry of omitted) lines.push(`- ${entry.name}: ${entry.reason}`);
+  }
+  lines.push('', 'manifest.json lists the same files with their checksums.', 'Questions? Contact Freshwater.');
+  return lines.join('\r\n') + '\r\n';
+}
+
+// The whole packet as one ZIP: every current item, a cover sheet and manifest.json
+export async function buildPacketZip(items, now = Date.now()) {
+  const generatedAt = new Date(now).toISOString();
+  const files = [];
+  const included = [];
+  const omitted = [];
+
+  for (const item of items) {
+    const status = itemStatus(item, now);
+    if (status === 'expired') {
+      omitted.push({ name: item.name, reason: `expired ${item.expiresAt}; renewal in progress` });
+    } else if (!item.file) {
+      omitted.push({
+        name: item.name,
+        reason: item.url ? `available online at ${item.url}` : 'not available yet',
+      });
+    } else {
+      const data = await readItemFile(item);
+      const name = downloadName(item);
+      const file = files.some((f) => f.name === name) ? `${item.id}-${name}` : name;
+      files.push({ name: file, data });
+      included.push({
+        name: item.name,
+        file,
+        issuedAt: item.issuedAt || null,
+        expiresAt: item.expiresAt || null,
+        sha256: crypto.createHash('sha256').update(data).digest('hex'),
+        bytes: data.length,
+      });
+    }
+  }
+
+  const manifest = { packet: 'Freshwater compliance packet', generatedAt, items: included, omitted };
+  const zip = createZip([
+    { name: '00-Cover-Sheet.txt', data: coverSheet(included, omitted, generatedAt) },
+    { name: 'manifest.json', data: JSON.stringify(manifest, null, 2) },
+    ...files,
+  ]);
+  return { zip, included, omitted };
+}
@@ -0,0 +1,114 @@
+// Document registry and assignment rules.
+//
+// A document targets client types, named client accounts and/or properties:
+//   assign: { clientTypes: [], clientIds: [], propertyIds: [] }
+// Templates (`template: true`) are generic documents for a client type. They are
+// only shown when the client has no document of their own in the same `slot`
+// (e.g. a property's signed MSA replaces the generic MSA template).
+// Content comes from the document's `source` (Google Doc, PDF, DOCX, Markdown or the
+// file store; see sources.js).
+import { readCollection } from './store.js';
+import { documentSource } from './sources.js';
+
+export const DEFAULT_DOCUMENTS = [
+  // ─── Residential ───
+  {
+    id: 'res_msa',
+    title: 'Master Service Agreement',
+    type: 'Core Contract',
+    season: '2026 Season',
+    source: { type: 'google', id: '1lRhOh_Ji2jWlI7BUEo32GGskDAqFEmQp' },
+    slot: 'msa',
+    template: true,
+    assign: { clientTypes: ['residential'] },
+  },
+  {
+    id: 'res_sub',
+    title: 'Subcontractor Agreement',
+    type: 'Core Contract',
+    season: '2026 Season',
+    source: { type: 'google', id: '1QWl4yVbwopuv18cDf-x6_ky-mnPXNQVX' },
+    slot: 'sub',
+    template: true,
+    assign: { clientTypes: ['residential'] },
+  },
+  // ─── Commercial / HOA / Municipal ───
+  {
+    id: 'com_msa',
+    title: 'Master Service Agreement',
+    type: 'Core Contract',
+    season: '2026 Season',
+    source: { type: 'google', id: '1GoymNxV5Ul3LeuHUqV7DgEvwViSRD7mx' },
+    slot: 'msa',
+    template: true,
+    assign: { clientTypes: ['commercial', 'hoa', 'municipal'] },
+  },
+  {
+    id: 'com_sub',
+    title: 'Subcontractor Agreement',
+    type: 'Core Contract',
+    season: '2026 Season',
+    source: { type: 'google', id: '1QWl4yVbwopuv18cDf-x6_ky-mnPXNQVX' }, // UPDATE with commercial sub doc ID when ready
+    slot: 'sub',
+    template: true,
+    assign: { clientTypes: ['commercial', 'hoa', 'municipal'] },
+  },
+];
+
+export async function loadDocuments({ includeRetired = false } = {}) {
+  const docs = await readCollection('documents', DEFAULT_DOCUMENTS);
+  return includeRetired ? docs : docs.filter((d) => !d.retired);
+}
+
+// How a document reaches this viewer: 'client' | 'property' | 'type' | 'template', or null
+export function matchAssignment(doc, { clientType, client }) {
+  const assign = doc.assign || {};
+  const propertyIds = (client?.properties || []).map((p) => p.id);
+
+  if (client && (assign.clientIds || []).includes(client.id)) return 'client';
+  if ((assign.propertyIds || []).some((id) => propertyIds.includes(id))) return 'property';
+  if ((assign.clientTypes || []).includes(clientType)) return doc.template ? 'template' : 'type';
+  return null;
+}
+
+// Resolve the documents one viewer should see: their own documents first, then
+// type-wide documents, then templates for any slot they don't already have.
+export function resolveDocuments(docs, viewer) {
+  const matched = docs
+    .map((doc) => ({ doc, assignment: matchAssignment(doc, viewer) }))
+    .filter((m) => m.assignment);
+
+  const ownSlots = new Set(
+    matched.filter((m) => m.assignment !== 'template' && m.doc.slot).map((m) => m.doc.slot)
+  );
+
+  const rank = { client: 0, property: 1, type: 2, template: 3 };
+  const properties = viewer.client?.properties || [];
+
+  return matched
+    .filter((m) => m.assignment !== 'template' || !ownSlots.has(m.doc.slot))
+    .sort((a, b) => rank[a.assignment] - rank[b.assignment])
+    .map(({ doc, assignment }) => {
+      const property =
+        assignment === 'property'
+          ? properties.find((p) => (doc.assign.propertyIds || []).includes(p.id))
+          : null;
+      return { ...doc, assignment, propertyName: property?.name || null };
+    });
+}
+
+// Can this viewer open this document at all?
+export function canView(doc, viewer) {
+  return resolveDocuments([doc], viewer).length > 0;
+}
+
+// The browser gets our document ID only; the source (Google Doc ID, URL or path)
+// stays server-side and content is served through the `docs` function.
+export function publicDocument(doc) {
+  const available = Boolean(documentSource(doc));
+  const rest = { ...doc };
+  delete rest.googleDocId;
+  delete rest.source;
+  delete rest.assign;
+  return { ...rest, available };
+}
@@ -0,0 +1,81 @@
+// Curated answers, edited by staff in the admin console and stored in the `faq` collection:
+//   [{ id, question, patterns: [text], answer, docId, clause, clientTypes: [] }]
+// The portal checks them before searching clauses (src/js/faq.js): a pattern matches a
+// question that has all of its words. An answer can link to one clause of a document
+// (`clause` is its anchor or heading slug) and then only reaches viewers who can open
+// that document; no `clientTypes` means every portal.
+import crypto from 'node:crypto';
+import { CLIENT_TYPE_IDS } from './clients.js';
+import { resolveDocuments } from './documents.js';
+import { readCollection } from './store.js';
+import { recentSearches } from './synonyms.js';
+
+const MAX_ENTRIES = 100;
+const MAX_PATTERNS = 10;
+// A search only becomes a suggestion once this many client accounts have asked it
+const MIN_SEARCH_CLIENTS = 2;
+
+function cleanText(str, max) {
+  if (typeof str !== 'string') return '';
+  return str.replace(/<[^>]*>/g, '').replace(/[ \t]+/g, ' ').trim().slice(0, max);
+}
+
+// Validate the list from the admin console; throws with a message staff can act on
+export function cleanFaq(items, documents) {
+  const list = Array.isArray(items) ? items : [];
+  if (list.length > MAX_ENTRIES) throw new Error(`The FAQ can have up to ${MAX_ENTRIES} answers`);
+  return list.map((item) => {
+    const entry = {
+      id: /^faq_[a-f0-9]{12}$/.test(item?.id) ? item.id : `faq_${crypto.randomBytes(6).toString('hex')}`,
+      question: cleanText(item?.question, 200),
+      patterns: [...new Set((Array.isArray(item?.patterns) ? item.patterns : []).map((p) => cleanText(p, 100).toLowerCase()))]
+        .filter(Boolean),
+      answer: cleanText(item?.answer, 2000),
+      docId: cleanText(item?.docId, 60),
+      clause: cleanText(item?.clause, 100).toLowerCase(),
+      clientTypes: [...new Set(Array.isArray(item?.clientTypes) ? item.clientTypes : [])]
+        .filter((t) => CLIENT_TYPE_IDS.includes(t)),
+    };
+    if (!entry.question) throw new Error('Every answer needs the question it answers');
+    if (!entry.answer) throw new Error(`"${entry.question}" needs an answer`);
+    if (entry.patterns.length > MAX_PATTERNS) throw new Error(`"${entry.question}" can have up to ${MAX_PATTERNS} patterns`);
+    if (entry.docId && !documents.some((d) => d.id === entry.docId)) {
+      throw new Error(`"${entry.question}" links to an unknown document (${entry.docId})`);
+    }
+    if (entry.clause && !entry.docId) throw new Error(`"${entry.question}" needs a document for its clause link`);
+    return entry;
+  });
+}
+
+export async function loadFaq() {
+  return readCollection('faq');
+}
+
+// The answers one viewer may see, given the live documents
+export function faqFor(entries, documents, viewer) {
+  const visible = new Set(resolveDocuments(documents, viewer).map((d) => d.id));
+  return entries.filter(
+    (entry) =>
+      (!entry.clientTypes.length || entry.clientTypes.includes(viewer.clientType)) &&
+      (!entry.docId || visible.has(entry.docId))
+  );
+}
+
+// The questions asked by the most client accounts in this portal, from the searches
+// analytics keeps. Shared portal sessions can't be told apart and don't count, and a
+// question with a number in it (an address, an invoice) is never suggested to others.
+export async function topSearches(clientType, limit = 5) {
+  const askedBy = new Map(); // normalized question -> { query, clients }, newest wording kept
+  for (const { query, clientType: type, clientId } of await recentSearches()) {
+    if (type !== clientType || !clientId || query.length > 80 || /\d/.test(query)) continue;
+    const key = query.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    if (!key) continue;
+    const clients = askedBy.get(key)?.clients || new Set();
+    askedBy.set(key, { query, clients: clients.add(clientId) });
+  }
+  return [...askedBy.values()]
+    .filter((s) => s.clients.size >= MIN_SEARCH_CLIENTS)
+    .sort((a, b) => b.clients.size - a.clients.size)
+    .slice(0, limit)
+    .map((s) => s.query);
+}
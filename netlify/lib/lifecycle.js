@@ -0,0 +1,152 @@
+// Contract lifecycle: when an agreement takes effect, when its term ends, whether it
+// renews and how much notice cancelling takes.
+//   lifecycle: { effectiveDate, termEnd, renewal, renewalMonths, noticeDays }
+// Dates are 'YYYY-MM-DD'. `renewal` is 'none' (expires), 'auto' (renews for
+// `renewalMonths` unless cancelled `noticeDays` before the term ends) or 'manual'
+// (the client has to sign a renewal).
+// A document's `lifecycle` applies to everyone who sees it; a client's
+// `lifecycles: { [docId]: {...} }` overrides it for that client (e.g. when each
+// client signed the standard MSA on a different date).
+
+export const RENEWAL_TYPES = ['none', 'auto', 'manual'];
+
+// Reminder emails go out this many days before each deadline
+export const REMINDER_DAYS = [30, 7, 1];
+
+const DAY = 24 * 60 * 60 * 1000;
+const DATE_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+function parseDate(str) {
+  const m = DATE_RE.exec(str || '');
+  if (!m) return null;
+  const ms = Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  // Reject dates that rolled over (2026-02-31)
+  return new Date(ms).toISOString().slice(0, 10) === str ? ms : null;
+}
+
+function formatDate(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+// Midnight UTC of the given moment
+function startOfDay(now) {
+  const d = new Date(now);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+}
+
+// Same day of the month `months` later, clamped to the month's last day
+function addMonths(ms, months) {
+  const d = new Date(ms);
+  const target = Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + months, 1);
+  const t = new Date(target);
+  const lastDay = new Date(Date.UTC(t.getUTCFullYear(), t.getUTCMonth() + 1, 0)).getUTCDate();
+  return Date.UTC(t.getUTCFullYear(), t.getUTCMonth(), Math.min(d.getUTCDate(), lastDay));
+}
+
+// A real 'YYYY-MM-DD' date
+export function isValidDate(str) {
+  return parseDate(str) !== null;
+}
+
+// Whole days from today until `date` (negative once it has passed), or null for no date
+export function daysUntil(date, now = Date.now()) {
+  const ms = parseDate(date);
+  return ms === null ? null : Math.round((ms - startOfDay(now)) / DAY);
+}
+
+// Validate lifecycle input from the admin console; throws with a message staff can act
+// on. Returns the normalized lifecycle, or null when no dates were given.
+export function cleanLifecycle(input) {
+  if (!input) return null;
+  const effectiveDate = String(input.effectiveDate || '').trim();
+  const termEnd = String(input.termEnd || '').trim();
+  if (!effectiveDate && !termEnd) return null;
+
+  if (effectiveDate && parseDate(effectiveDate) === null) throw new Error('Effective date must be YYYY-MM-DD');
+  if (termEnd && parseDate(termEnd) === null) throw new Error('Term end must be YYYY-MM-DD');
+  if (effectiveDate && termEnd && parseDate(termEnd) <= parseDate(effectiveDate)) {
+    throw new Error('Term end must be after the effective date');
+  }
+
+  const renewal = RENEWAL_TYPES.includes(input.renewal) ? input.renewal : 'none';
+  const renewalMonths = Math.round(Number(input.renewalMonths) || 12);
+  const noticeDays = Math.round(Number(input.noticeDays) || 0);
+  if (renewal === 'auto' && !termEnd) throw new Error('Auto-renewing contracts need a term end');
+  if (renewalMonths < 1 || renewalMonths > 120) throw new Error('Renewal term must be 1-120 months');
+  if (noticeDays < 0 || noticeDays > 365) throw new Error('Notice window must be 0-365 days');
+
+  return {
+    effectiveDate: effectiveDate || null,
+    termEnd: termEnd || null,
+    renewal,
+    ...(renewal === 'auto' && { renewalMonths }),
+    noticeDays,
+  };
+}
+
+// The lifecycle that applies to this client (null for portal sessions without an account)
+export function resolveLifecycle(doc, client) {
+  const override = client?.lifecycles?.[doc.id];
+  if (override) return { ...(doc.lifecycle || {}), ...override };
+  return doc.lifecycle || null;
+}
+
+// The current term as of `now`. Auto-renewing contracts roll forward one renewal
+// term at a time until the term end is in the future.
+// Returns { effectiveDate, termEnd, renewal, noticeDays, noticeDeadline, status } or null.
+export function currentTerm(lifecycle, now = Date.now()) {
+  if (!lifecycle || (!lifecycle.effectiveDate && !lifecycle.termEnd)) return null;
+  const today = startOfDay(now);
+  const effective = parseDate(lifecycle.effectiveDate);
+  let termStart = effective;
+  let termEnd = parseDate(lifecycle.termEnd);
+  const renewal = lifecycle.renewal || 'none';
+  const noticeDays = lifecycle.noticeDays || 0;
+
+  if (renewal === 'auto' && termEnd !== null) {
+    // Count renewals from the original term end so month-end dates don't drift
+    const firstEnd = termEnd;
+    const months = lifecycle.renewalMonths || 12;
+    for (let renewals = 1; termEnd < today; renewals++) {
+      termStart = termEnd + DAY;
+      termEnd = addMonths(firstEnd, renewals * months);
+    }
+  }
+
+  let status = 'active';
+  if (effective !== null && effective > today) status = 'pending';
+  else if (termEnd !== null && termEnd < today) status = 'expired';
+
+  return {
+    effectiveDate: termStart === null ? null : formatDate(termStart),
+    termEnd: termEnd === null ? null : formatDate(termEnd),
+    renewal,
+    noticeDays,
+    noticeDeadline: termEnd !== null && noticeDays ? formatDate(termEnd - noticeDays * DAY) : null,
+    status,
+  };
+}
+
+// Deadlines from today on, soonest first: [{ kind, date, daysLeft }]
+//   kind: 'notice' (last day to cancel or change), 'renewal' (auto-renews),
+//         'expiration' (term ends)
+export function upcomingDeadlines(lifecycle, now = Date.now()) {
+  const term = currentTerm(lifecycle, now);
+  if (!term || !term.termEnd) return [];
+  const today = startOfDay(now);
+  const deadlines = [];
+  if (term.noticeDeadline && term.renewal !== 'none') deadlines.push({ kind: 'notice', date: term.noticeDeadline });
+  deadlines.push({ kind: term.renewal === 'auto' ? 'renewal' : 'expiration', date: term.termEnd });
+
+  return deadlines
+    .map((d) => ({ ...d, daysLeft: Math.round((parseDate(d.date) - today) / DAY) }))
+    .filter((d) => d.daysLeft >= 0)
+    .sort((a, b) => a.daysLeft - b.daysLeft);
+}
+
+// Which reminder (30, 7 or 1 days out) is due for a deadline, or null. A missed run
+// sends the most urgent reminder that still applies instead of the ones it skipped.
+export function dueReminder(daysLeft) {
+  const due = REMINDER_DAYS.filter((days) => daysLeft <= days);
+  return due.length ? Math.min(...due) : null;
+}
@@ -0,0 +1,233 @@
+// Allowlist HTML sanitizer for document HTML: Google Docs exports and the HTML
+// converted from PDF, DOCX and Markdown sources (lib/sources.js).
+//
+// Google's export is a full page: a <style> block of generated classes (.c1, .c2...)
+// and a body of <p>/<span>/<table> markup. We keep only known-safe tags and
+// attributes, drop scripts, styles and event handlers entirely, and translate
+// Google's generated classes into a small fixed set (`gd-bold`, `gd-center`...)
+// that the app styles itself.
+
+const ALLOWED_TAGS = new Set([
+  'p', 'br', 'hr', 'span', 'div', 'a', 'img',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'strong', 'b', 'em', 'i', 'u', 's', 'sub', 'sup', 'blockquote',
+  'ul', 'ol', 'li',
+  'table', 'thead', 'tbody', 'tr', 'td', 'th', 'colgroup', 'col',
+]);
+
+const VOID_TAGS = new Set(['br', 'hr', 'img', 'col']);
+
+// Opening one of these closes a still-open sibling, as browsers do (`<td>a<td>b`)
+const IMPLIED_END = {
+  p: ['p'],
+  li: ['li'],
+  td: ['td', 'th'],
+  th: ['td', 'th'],
+  tr: ['td', 'th', 'tr'],
+};
+
+// Removed together with everything inside them
+const DROP_WITH_CONTENT = new Set([
+  'script', 'style', 'head', 'title', 'iframe', 'object', 'embed', 'noscript',
+  'template', 'svg', 'math', 'textarea', 'select', 'frame', 'frameset',
+]);
+
+const ALLOWED_ATTRS = {
+  a: ['href'],
+  img: ['src', 'alt', 'width', 'height'],
+  td: ['colspan', 'rowspan'],
+  th: ['colspan', 'rowspan'],
+  col: ['span'],
+  ol: ['start'],
+};
+
+// Heading ids become anchors (Google uses `h.xxxxxx`)
+const SAFE_ID = /^[a-z][\w.-]{0,63}$/i;
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', colon: ':', tab: '\t', newline: '\n' };
+
+function decodeEntities(value) {
+  return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);?/gi, (match, code) => {
+    if (code[0] === '#') {
+      const n = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(n) && n > 0 && n < 0x110000 ? String.fromCodePoint(n) : '';
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? match;
+  });
+}
+
+function escapeAttr(value) {
+  return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Google wraps external links as https://www.google.com/url?q=<real url>&sa=...
+function unwrapGoogleRedirect(url) {
+  try {
+    const parsed = new URL(url);
+    if (/(^|\.)google\.com$/.test(parsed.hostname) && parsed.pathname === '/url' && parsed.searchParams.get('q')) {
+      return parsed.searchParams.get('q');
+    }
+  } catch {
+    // relative or malformed - handled by the caller
+  }
+  return url;
+}
+
+// Returns a safe URL or null. Links may be http(s), mailto, tel or in-page anchors;
+// images must be https.
+export function safeUrl(raw, { image = false } = {}) {
+  // eslint-disable-next-line no-control-regex
+  const value = decodeEntities(String(raw || '')).replace(/[\u0000- \u007f]/g, '');
+  if (!value) return null;
+  if (!image && /^#[\w.-]+$/.test(value)) return value;
+
+  const url = image ? value : unwrapGoogleRedirect(value);
+  const protocol = url.match(/^([a-z][a-z0-9+.-]*):/i)?.[1]?.toLowerCase();
+  if (image) return protocol === 'https' ? url : null;
+  return ['http', 'https', 'mailto', 'tel'].includes(protocol) ? url : null;
+}
+
+// Map one CSS declaration block to our normalized classes
+function classesForDeclarations(block) {
+  const classes = [];
+  const decl = {};
+  for (const part of block.split(';')) {
+    const idx = part.indexOf(':');
+    if (idx > 0) decl[part.slice(0, idx).trim().toLowerCase()] = part.slice(idx + 1).trim().toLowerCase();
+  }
+
+  if (/^(bold|[6-9]00)$/.test(decl['font-weight'] || '')) classes.push('gd-bold');
+  if (decl['font-style'] === 'italic') classes.push('gd-italic');
+  if ((decl['text-decoration'] || '').includes('underline')) classes.push('gd-underline');
+  if ((decl['text-decoration'] || '').includes('line-through')) classes.push('gd-strike');
+  if (['center', 'right', 'justify'].includes(decl['text-align'])) classes.push(`gd-${decl['text-align']}`);
+  if (decl['vertical-align'] === 'super') classes.push('gd-sup');
+  if (decl['vertical-align'] === 'sub') classes.push('gd-sub');
+
+  const bg = decl['background-color'];
+  if (bg && !/^(#fff(fff)?|white|transparent|inherit|initial)$/.test(bg)) classes.push('gd-highlight');
+
+  // Indentation in 36pt (half-inch) steps, capped at 4 levels
+  const indent = parseFloat(decl['margin-left'] || decl['padding-left'] || '0');
+  if (indent >= 18) classes.push(`gd-indent-${Math.min(4, Math.round(indent / 36) || 1)}`);
+
+  return classes;
+}
+
+// Build { googleClass: [normalized classes] } from the export's <style> blocks.
+// Only simple class selectors (`.c3`) are considered; list counters and
+// element rules are ignored.
+export function parseGoogleStyles(html) {
+  const map = {};
+  const styles = String(html || '').match(/<style[^>]*>([\s\S]*?)<\/style>/gi) || [];
+  for (const style of styles) {
+    const css = style.replace(/<\/?style[^>]*>/gi, '').replace(/\/\*[\s\S]*?\*\//g, '');
+    const ruleRe = /([^{}]+)\{([^}]*)\}/g;
+    let rule;
+    while ((rule = ruleRe.exec(css))) {
+      const classes = classesForDeclarations(rule[2]);
+      if (!classes.length) continue;
+      for (const selector of rule[1].split(',')) {
+        const name = selector.trim().match(/^\.([\w-]+)$/)?.[1];
+        if (name) map[name] = [...new Set([...(map[name] || []), ...classes])];
+      }
+    }
+  }
+  return map;
+}
+
+function parseAttributes(source) {
+  const attrs = {};
+  const re = /([^\s"'<>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+  let m;
+  while ((m = re.exec(source))) {
+    attrs[m[1].toLowerCase()] = m[2] ?? m[3] ?? m[4] ?? '';
+  }
+  return attrs;
+}
+
+function buildAttributes(tag, attrs, classMap) {
+  const out = [];
+
+  for (const name of ALLOWED_ATTRS[tag] || []) {
+    if (!(name in attrs)) continue;
+    let value = attrs[name];
+    if (name === 'href') value = safeUrl(value);
+    else if (name === 'src') value = safeUrl(value, { image: true });
+    else if (['colspan', 'rowspan', 'span', 'start', 'width', 'height'].includes(name)) {
+      value = /^\d{1,4}$/.test(value) ? value : null;
+    } else value = decodeEntities(value).slice(0, 200);
+    if (value === null) continue;
+    out.push(`${name}="${escapeAttr(value)}"`);
+    if (name === 'href' && /^https?:/i.test(value)) out.push('target="_blank"', 'rel="noopener noreferrer"');
+  }
+
+  if (/^h[1-6]$/.test(tag) && SAFE_ID.test(attrs.id || '')) out.push(`id="${escapeAttr(attrs.id)}"`);
+
+  const classes = new Set();
+  for (const cls of (attrs.class || '').split(/\s+/)) {
+    for (const normalized of classMap[cls] || []) classes.add(normalized);
+  }
+  if (classes.size) out.push(`class="${[...classes].join(' ')}"`);
+
+  return out.length ? ` ${out.join(' ')}` : '';
+}
+
+// Sanitize Google Docs export HTML. Returns body markup only; the result is
+// well-formed (every opened tag is closed) so it cannot break out of its container.
+export function sanitizeDocHtml(html) {
+  const source = String(html || '');
+  const classMap = parseGoogleStyles(source);
+  const bodyMatch = source.match(/<body[^>]*>([\s\S]*)<\/body>/i);
+  const body = bodyMatch ? bodyMatch[1] : source;
+
+  const tokenRe = /<!--[\s\S]*?(?:-->|$)|<!\[CDATA\[[\s\S]*?(?:\]\]>|$)|<![^>]*>|<\/?([a-z][a-z0-9]*)\b((?:[^>"']|"[^"]*"|'[^']*')*)>|</gi;
+  const open = [];
+  let out = '';
+  let dropping = null; // tag whose content is being discarded
+  let last = 0;
+  let m;
+
+  const text = (chunk) => {
+    if (!dropping) out += chunk.replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  };
+
+  while ((m = tokenRe.exec(body))) {
+    text(body.slice(last, m.index));
+    last = tokenRe.lastIndex;
+
+    const raw = m[0];
+    const tag = m[1]?.toLowerCase();
+    if (!tag) {
+      // Comment, doctype or a stray "<"
+      if (raw === '<') text('<');
+      continue;
+    }
+    const closing = raw[1] === '/';
+
+    if (dropping) {
+      if (closing && tag === dropping) dropping = null;
+      continue;
+    }
+    if (DROP_WITH_CONTENT.has(tag)) {
+      if (!closing && !/\/\s*>$/.test(raw)) dropping = tag;
+      continue;
+    }
+    if (!ALLOWED_TAGS.has(tag)) continue;
+
+    if (closing) {
+      const idx = open.lastIndexOf(tag);
+      if (idx === -1) continue;
+      while (open.length > idx) out += `</${open.pop()}>`;
+      continue;
+    }
+
+    while (IMPLIED_END[tag]?.includes(open[open.length - 1])) out += `</${open.pop()}>`;
+    out += `<${tag}${buildAttributes(tag, parseAttributes(m[2] || ''), classMap)}>`;
+    if (!VOID_TAGS.has(tag)) open.push(tag);
+  }
+
+  text(body.slice(last));
+  while (open.length) out += `</${open.pop()}>`;
+  return out;
+}
@@ -0,0 +1,115 @@
+// Season archive. Closing a season freezes the text of every live document tagged with
+// it, so clients can still read the terms that were in force after the links roll over:
+//   `seasons`: [{ id, label, closedAt, documents: [document metadata] }]   (the index)
+//   `season_<id>`: { id, label, closedAt, documents: [{ ...metadata, version, html }] }
+// A snapshot is written once and never changed. Archived documents reach the browser as
+// `<docId>@<seasonId>`, so caches, clause links and search treat them as documents of
+// their own; assignments are frozen with them, so each client sees what they had then.
+import { DEFAULT_DOCUMENTS, loadDocuments, resolveDocuments, publicDocument } from './documents.js';
+import { sanitizeDocHtml } from './sanitize.js';
+import { documentSource, loadSource } from './sources.js';
+import { contentHash, latestVersion } from './versions.js';
+import { readCollection, updateCollection, writeCollection } from './store.js';
+
+// "2026 Season" -> "2026-season"
+export function seasonId(label) {
+  return String(label || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60);
+}
+
+export function archivedId(docId, id) {
+  return `${docId}@${id}`;
+}
+
+// { docId, seasonId } for an archived document ID, or null for a live one
+export function parseArchivedId(id) {
+  const match = /^([a-z0-9_-]{2,60})@([a-z0-9-]{1,60})$/i.exec(String(id || ''));
+  return match ? { docId: match[1], seasonId: match[2] } : null;
+}
+
+// Closed seasons, newest first
+export async function listSeasons() {
+  const seasons = await readCollection('seasons');
+  return seasons.slice().sort((a, b) => b.closedAt.localeCompare(a.closedAt));
+}
+
+export async function loadSeason(id) {
+  return /^[a-z0-9-]{1,60}$/.test(id) ? readCollection(`season_${id}`, null) : null;
+}
+
+// The text to freeze: a fresh copy from the source, else the last revision on record
+async function currentHtml(doc) {
+  try {
+    return sanitizeDocHtml(await loadSource(documentSource(doc)));
+  } catch (err) {
+    console.error('[seasons]', doc.id, err?.message);
+    return (await latestVersion(doc.id))?.html || null;
+  }
+}
+
+// Freeze `label` and move its live documents on to `nextLabel` (if given). Nothing is
+// written unless every document's text could be loaded. Returns the index entry.
+export async function closeSeason(label, nextLabel = '') {
+  const id = seasonId(label);
+  if (!id) throw new Error('Choose the season to close');
+  if (nextLabel && seasonId(nextLabel) === id) throw new Error('The next season needs a different name');
+  if (await loadSeason(id)) throw new Error(`${label} is already archived; archived seasons can't be changed`);
+
+  const live = (await loadDocuments()).filter((d) => d.season === label && documentSource(d));
+  if (!live.length) throw new Error(`No live documents are tagged "${label}"`);
+
+  const documents = [];
+  for (const doc of live) {
+    const html = await currentHtml(doc);
+    if (!html) throw new Error(`Couldn't load "${doc.title}" (${doc.id}); nothing was archived`);
+    const frozen = { ...doc, version: contentHash(html), html };
+    delete frozen.source;
+    delete frozen.googleDocId;
+    delete frozen.lifecycle;
+    documents.push(frozen);
+  }
+
+  const entry = {
+    id,
+    label,
+    closedAt: new Date().toISOString(),
+    documents: documents.map((doc) => {
+      const meta = { ...doc };
+      delete meta.html;
+      return meta;
+    }),
+  };
+  await writeCollection(`season_${id}`, { ...entry, documents });
+  await updateCollection('seasons', (seasons) => seasons.concat(entry));
+
+  if (nextLabel) {
+    await updateCollection(
+      'documents',
+      (docs) => {
+        for (const doc of docs) if (!doc.retired && doc.season === label) doc.season = nextLabel;
+      },
+      DEFAULT_DOCUMENTS
+    );
+  }
+  return entry;
+}
+
+// One closed season's documents as this viewer saw them, ready for the browser
+export function archivedDocuments(season, viewer) {
+  return resolveDocuments(season.documents, viewer).map((doc) => ({
+    ...publicDocument(doc),
+    id: archivedId(doc.id, season.id),
+    season: season.label,
+    archived: true,
+    closedAt: season.closedAt,
+    available: true,
+    lifecycle: null,
+  }));
+}
+
+// An archived document with its frozen text, or null
+export async function getArchivedDocument(id) {
+  const parsed = parseArchivedId(id);
+  const season = parsed && (await loadSeason(parsed.seasonId));
+  const doc = season?.documents.find((d) => d.id === parsed.docId);
+  return doc ? { ...doc, closedAt: season.closedAt } : null;
+}
@@ -0,0 +1,77 @@
+// Staff-editable portal settings: client-type copy, compliance packet items and
+// access codes. Defaults apply until staff save a change in the admin console.
+import { readCollection } from './store.js';
+
+// `gated` is fixed here on purpose; only the copy is editable
+export const DEFAULT_CLIENT_TYPES = {
+  residential: {
+    label: 'Residential',
+    tagline: 'Your Service Documents',
+    welcome: 'Welcome back!',
+    gated: false,
+  },
+  commercial: {
+    label: 'Commercial',
+    tagline: 'Partner Portal',
+    welcome: 'Welcome back!',
+    gated: true,
+  },
+  hoa: {
+    label: 'HOA / Townhomes',
+    tagline: 'Property Management Portal',
+    welcome: 'Welcome back!',
+    gated: true,
+  },
+  municipal: {
+    label: 'Municipal / City',
+    tagline: 'Municipal Services Portal',
+    welcome: 'Welcome back!',
+    gated: true,
+  },
+};
+
+export const EDITABLE_CLIENT_TYPE_FIELDS = ['label', 'tagline', 'welcome'];
+
+// Compliance packet items for Municipal (W-9, COI, Secretary of State); see lib/compliance.js
+export const DEFAULT_COMPLIANCE_PACKET = [
+  { id: 'w9', name: 'W-9 Form', url: '' },
+  { id: 'coi', name: 'Insurance COI', url: '' },
+  { id: 'mn_sos', name: 'MN Secretary of State Filing', url: '' },
+];
+
+export async function loadClientTypes() {
+  const saved = await readCollection('client_types', {});
+  const types = {};
+  for (const [id, defaults] of Object.entries(DEFAULT_CLIENT_TYPES)) {
+    const overrides = {};
+    for (const field of EDITABLE_CLIENT_TYPE_FIELDS) {
+      if (typeof saved[id]?.[field] === 'string' && saved[id][field]) {
+        overrides[field] = saved[id][field];
+      }
+    }
+    types[id] = { ...defaults, ...overrides };
+  }
+  return types;
+}
+
+export async function loadCompliancePacket() {
+  return readCollection('compliance_packet', DEFAULT_COMPLIANCE_PACKET);
+}
+
+// Hashed access codes per gated portal. Codes rotated in the admin console
+// (`access_codes` collection) take precedence over the ACCESS_PIN_HASHES env var.
+export async function loadAccessCodes() {
+  let fromEnv = {};
+  try {
+    fromEnv = JSON.parse(process.env.ACCESS_PIN_HASHES || '{}');
+  } catch {
+    fromEnv = {};
+  }
+
+  const rotated = await readCollection('access_codes', {});
+  const codes = { ...fromEnv };
+  for (const [clientType, record] of Object.entries(rotated)) {
+    if (record?.hash) codes[clientType] = record.hash;
+  }
+  return codes;
+}
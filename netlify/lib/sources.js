@@ -0,0 +1,187 @@
+// Document sources. Each document says where its content lives:
+//   source: { type: 'google', id }      Google Doc, exported as HTML
+//   source: { type: 'pdf', url }        uploaded PDF at an https URL
+//   source: { type: 'docx', url }       uploaded Word document at an https URL
+//   source: { type: 'markdown', path }  Markdown file in the repo, under content/
+//   source: { type: 'file', path }      file in the local file store (VAULT_FILES_DIR);
+//                                       .pdf, .docx, .md, .html or .txt
+// Documents from before sources existed only have `googleDocId`; they are Google Docs.
+// Every adapter returns HTML. The docs function sanitizes it, so the viewer, the clause
+// tree and search treat all sources the same.
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+export const SOURCE_TYPES = ['google', 'pdf', 'docx', 'markdown', 'file'];
+
+const FETCH_TIMEOUT = 10000;
+const MAX_BYTES = 15 * 1024 * 1024;
+const CONTENT_DIR = path.join(process.cwd(), 'content');
+const FILES_DIR = path.resolve(
+  process.env.VAULT_FILES_DIR ||
+    path.join(process.env.VAULT_DATA_DIR || path.join(process.cwd(), '.data'), 'files')
+);
+const FILE_FORMATS = { '.pdf': 'pdf', '.docx': 'docx', '.md': 'markdown', '.markdown': 'markdown', '.html': 'html', '.htm': 'html', '.txt': 'text' };
+
+// Where this document's content comes from, or null if it has none yet
+export function documentSource(doc) {
+  if (doc.source?.type) return doc.source;
+  if (doc.googleDocId) return { type: 'google', id: doc.googleDocId };
+  return null;
+}
+
+// Stable cache key for a source
+export function sourceKey(source) {
+  return `${source.type}:${source.id || source.url || source.path}`;
+}
+
+function isHttpsUrl(str) {
+  try {
+    return new URL(str).protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+// Relative path without `..`, absolute paths or hidden segments
+function isSafeRelativePath(str) {
+  return (
+    typeof str === 'string' &&
+    /^[\w][\w ./-]{0,199}$/.test(str) &&
+    str.split('/').every((part) => part && !part.startsWith('.'))
+  );
+}
+
+// Validate a source from the admin console; throws with a message staff can act on.
+// Returns the normalized source, or null when none was given.
+export function cleanSource(input) {
+  const type = String(input?.type || '').trim();
+  const value = String(input?.id || input?.url || input?.path || '').trim();
+  if (!type && !value) return null;
+  if (!SOURCE_TYPES.includes(type)) throw new Error('Unknown source type');
+  if (!value) throw new Error('Document source location is required');
+
+  switch (type) {
+    case 'google':
+      if (!/^[A-Za-z0-9_-]{10,100}$/.test(value)) throw new Error('Invalid Google Doc ID');
+      return { type, id: value };
+    case 'pdf':
+    case 'docx':
+      if (!isHttpsUrl(value)) throw new Error(`A ${type.toUpperCase()} source needs an https URL`);
+      return { type, url: value };
+    case 'markdown':
+      if (!isSafeRelativePath(value) || !/\.(md|markdown)$/i.test(value)) {
+        throw new Error('Markdown source must be a .md path inside content/');
+      }
+      return { type, path: value };
+    default:
+      if (!isSafeRelativePath(value) || !FILE_FORMATS[path.extname(value).toLowerCase()]) {
+        throw new Error('File source must be a .pdf, .docx, .md, .html or .txt path in the file store');
+      }
+      return { type, path: value };
+  }
+}
+
+async function fetchBytes(url) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT) });
+  if (!response.ok) throw new Error(`Source returned ${response.status}`);
+  if (Number(response.headers.get('content-length')) > MAX_BYTES) throw new Error('Source file is too large');
+  const bytes = Buffer.from(await response.arrayBuffer());
+  if (bytes.length > MAX_BYTES) throw new Error('Source file is too large');
+  return bytes;
+}
+
+async function readLocal(baseDir, relativePath) {
+  const full = path.resolve(baseDir, relativePath);
+  if (!full.startsWith(baseDir + path.sep)) throw new Error('Source path is outside its directory');
+  return fs.readFile(full);
+}
+
+// The local file store (VAULT_FILES_DIR) also holds compliance packet uploads
+export async function readStoredFile(relativePath) {
+  return readLocal(FILES_DIR, relativePath);
+}
+
+export async function writeStoredFile(relativePath, bytes) {
+  const full = path.resolve(FILES_DIR, relativePath);
+  if (!full.startsWith(FILES_DIR + path.sep)) throw new Error('File path is outside the file store');
+  await fs.mkdir(path.dirname(full), { recursive: true });
+  await fs.writeFile(full, bytes);
+}
+
+function escapeHtml(str) {
+  return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Plain text (PDF text layers, .txt files) to paragraphs. A line that doesn't end a
+// sentence and is followed by a lowercase line is a wrapped line, not a new paragraph.
+export function textToHtml(text) {
+  const paragraphs = [];
+  let current = null;
+  for (const raw of String(text || '').split(/\r?\n/)) {
+    const line = raw.replace(/\s+/g, ' ').trim();
+    if (!line) {
+      current = null;
+      continue;
+    }
+    if (current !== null && !/[.:;!?]$/.test(current) && /^[a-z(]/.test(line)) {
+      current = `${current} ${line}`;
+      paragraphs[paragraphs.length - 1] = current;
+    } else {
+      current = line;
+      paragraphs.push(line);
+    }
+  }
+  return paragraphs.map((p) => `<p>${escapeHtml(p)}</p>`).join('\n');
+}
+
+async function pdfToHtml(bytes) {
+  const { extractText, getDocumentProxy } = await import('unpdf');
+  const pdf = await getDocumentProxy(new Uint8Array(bytes));
+  const { text } = await extractText(pdf, { mergePages: false });
+  const pages = text.map(textToHtml).filter(Boolean);
+  if (!pages.length) throw new Error('PDF has no text layer (scanned documents need OCR first)');
+  return pages.join('\n<hr>\n');
+}
+
+async function docxToHtml(bytes) {
+  const { default: mammoth } = await import('mammoth');
+  const { value } = await mammoth.convertToHtml({ buffer: bytes });
+  return value;
+}
+
+async function markdownToHtml(bytes) {
+  const { marked } = await import('marked');
+  return marked.parse(bytes.toString('utf8'));
+}
+
+const CONVERTERS = {
+  pdf: pdfToHtml,
+  docx: docxToHtml,
+  markdown: markdownToHtml,
+  html: async (bytes) => bytes.toString('utf8'),
+  text: async (bytes) => textToHtml(bytes.toString('utf8')),
+};
+
+// Load a source as (unsanitized) HTML
+export async function loadSource(source) {
+  switch (source.type) {
+    case 'google': {
+      const bytes = await fetchBytes(
+        `https://docs.google.com/document/d/${encodeURIComponent(source.id)}/export?format=html`
+      );
+      return bytes.toString('utf8');
+    }
+    case 'pdf':
+    case 'docx':
+      return CONVERTERS[source.type](await fetchBytes(source.url));
+    case 'markdown':
+      return markdownToHtml(await readLocal(CONTENT_DIR, source.path));
+    case 'file': {
+      const format = FILE_FORMATS[path.extname(source.path).toLowerCase()];
+      if (!format) throw new Error('Unsupported file type');
+      return CONVERTERS[format](await readLocal(FILES_DIR, source.path));
+    }
+    default:
+      throw new Error(`Unknown source type: ${source.type}`);
+  }
+}
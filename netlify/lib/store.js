@@ -0,0 +1,49 @@
+// Persistent JSON-file store shared by Netlify functions.
+// Each collection is one file under VAULT_DATA_DIR (default: ./.data).
+// For production, swap this for Netlify Blobs or a database with the same interface.
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+const DATA_DIR = process.env.VAULT_DATA_DIR || path.join(process.cwd(), '.data');
+
+// Serialize writes per collection so concurrent invocations don't clobber each other
+const writeQueues = new Map();
+
+function fileFor(name) {
+  if (!/^[a-z0-9_-]+$/i.test(name)) throw new Error(`Invalid collection name: ${name}`);
+  return path.join(DATA_DIR, `${name}.json`);
+}
+
+// A missing collection reads as a copy of `fallback`, so callers that mutate what they
+// read (updateCollection's `fn`) can't change a shared default such as DEFAULT_DOCUMENTS.
+export async function readCollection(name, fallback = []) {
+  try {
+    return JSON.parse(await fs.readFile(fileFor(name), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return structuredClone(fallback);
+    throw err;
+  }
+}
+
+export async function writeCollection(name, data) {
+  const file = fileFor(name);
+  await fs.mkdir(DATA_DIR, { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(data, null, 2));
+  await fs.rename(tmp, file);
+  return data;
+}
+
+// Read-modify-write a collection. `fn` may mutate and/or return the new value.
+export function updateCollection(name, fn, fallback = []) {
+  const prev = writeQueues.get(name) || Promise.resolve();
+  const next = prev
+    .catch(() => {})
+    .then(async () => {
+      const data = await readCollection(name, fallback);
+      const result = await fn(data);
+      return writeCollection(name, result === undefined ? data : result);
+    });
+  writeQueues.set(name, next);
+  return next;
+}
@@ -0,0 +1,109 @@
+// Search synonyms, edited by staff in the admin console and stored in the `synonyms`
+// collection:
+//   { base: { <key>: [words] }, overlays: { <clientType>: { <key>: [words] } }, updatedAt }
+// Each line of a dictionary is one group: a question word in the group brings in the
+// rest (src/js/search.js). An overlay adds a client type's own vocabulary; a key it
+// shares with the base extends that group. The portal loads both through `config`.
+// Recent portal searches (`recent_searches`) let staff preview an edit before saving.
+import { CLIENT_TYPE_IDS } from './clients.js';
+import { readCollection, updateCollection } from './store.js';
+
+export const DEFAULT_SYNONYMS = {
+  base: {
+    cancel: ['cancellation', 'terminate', 'termination', 'quit', 'end', 'refund', 'deposit'],
+    payment: ['payments', 'invoice', 'billing', 'net', 'fee', 'charge', 'cost', 'price'],
+    late: ['late', 'overdue', 'past', 'due', 'interest', 'finance', 'charge', 'apr', 'penalty'],
+    liability: [
+      'liability',
+      'damage',
+      'damages',
+      'responsible',
+      'responsibility',
+      'injury',
+      'slip',
+      'fall',
+      'warranty',
+      'warranties',
+      'indemnif',
+    ],
+    dispute: ['dispute', 'arbitration', 'court', 'lawsuit', 'sue', 'venue', 'jury', 'mediation'],
+    snow: ['snow', 'ice', 'plow', 'plowing', 'trigger', 'accumulation', 'storm', 'berm', 'salt', 'deice'],
+    scope: ['scope', 'work', 'change', 'order', 'extras', 'additional', 'addendum'],
+    mowing: ['mowing', 'mow', 'lawn', 'grass', 'turf', 'cut', 'trim', 'edge'],
+    season: ['season', 'term', 'duration', 'length', 'period', 'year', 'annual'],
+  },
+  overlays: {
+    residential: {
+      yard: ['lawn', 'property', 'grass', 'turf'],
+      aeration: ['aerate', 'aerating', 'core', 'overseed', 'overseeding'],
+    },
+    municipal: {
+      rfp: ['proposal', 'bid', 'solicitation', 'procurement', 'contract'],
+      bond: ['surety', 'performance', 'insurance', 'guarantee'],
+      prevailing: ['wage', 'wages', 'labor', 'davis', 'bacon', 'rates'],
+    },
+  },
+};
+
+const MAX_GROUPS = 100;
+const MAX_WORDS = 40;
+const MAX_SEARCHES = 200;
+
+// Lowercase words only; a multi-word entry ("prevailing wage") becomes its words
+function cleanWords(words) {
+  return (Array.isArray(words) ? words : [])
+    .flatMap((w) => String(w || '').toLowerCase().split(/[^a-z0-9]+/))
+    .filter((w) => w.length >= 2 && w.length <= 30);
+}
+
+function cleanDictionary(input, name) {
+  const dictionary = {};
+  const entries = Object.entries(input && typeof input === 'object' ? input : {});
+  if (entries.length > MAX_GROUPS) throw new Error(`${name} can have up to ${MAX_GROUPS} groups`);
+  for (const [rawKey, words] of entries) {
+    const key = String(rawKey).toLowerCase().trim();
+    if (!/^[a-z0-9]{2,30}$/.test(key)) throw new Error(`${name}: "${rawKey}" must be one word of 2-30 letters or numbers`);
+    const group = [...new Set(cleanWords(words))].filter((w) => w !== key);
+    if (!group.length) throw new Error(`${name}: "${key}" needs at least one synonym`);
+    if (group.length > MAX_WORDS) throw new Error(`${name}: "${key}" can have up to ${MAX_WORDS} synonyms`);
+    dictionary[key] = group;
+  }
+  return dictionary;
+}
+
+// Validate dictionaries from the admin console; throws with a message staff can act on
+export function cleanSynonyms(input) {
+  const overlays = {};
+  for (const [clientType, dictionary] of Object.entries(input?.overlays || {})) {
+    if (!CLIENT_TYPE_IDS.includes(clientType)) throw new Error(`Unknown client type: ${clientType}`);
+    const clean = cleanDictionary(dictionary, clientType);
+    if (Object.keys(clean).length) overlays[clientType] = clean;
+  }
+  return { base: cleanDictionary(input?.base, 'Shared synonyms'), overlays };
+}
+
+export async function loadSynonyms() {
+  const saved = await readCollection('synonyms', null);
+  return saved ? { base: saved.base, overlays: saved.overlays || {} } : DEFAULT_SYNONYMS;
+}
+
+// Keep a portal search for synonym previews: [{ query, clientType, clientId, at }],
+// newest last. `clientId` is the signed-in client account, '' for a shared portal session.
+export async function recordSearch(query, clientType, clientId = '') {
+  const text = String(query || '').trim().slice(0, 200);
+  if (!text) return;
+  await updateCollection('recent_searches', (searches) =>
+    searches
+      .concat({
+        query: text,
+        clientType: CLIENT_TYPE_IDS.includes(clientType) ? clientType : '',
+        clientId: String(clientId || ''),
+        at: new Date().toISOString(),
+      })
+      .slice(-MAX_SEARCHES)
+  );
+}
+
+export async function recentSearches() {
+  return readCollection('recent_searches');
+}
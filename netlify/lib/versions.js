@@ -0,0 +1,48 @@
+// Revision history for documents. Every distinct fetched revision is kept as
+// { version, capturedAt, html } in a per-document collection (`doc_versions_<id>`),
+// newest last. `version` is a content hash, so re-fetching unchanged content is a no-op.
+import crypto from 'node:crypto';
+import { readCollection, updateCollection } from './store.js';
+
+const MAX_VERSIONS = 25;
+
+export function contentHash(html) {
+  return crypto.createHash('sha256').update(html).digest('hex').slice(0, 16);
+}
+
+function collectionFor(docId) {
+  return `doc_versions_${docId}`;
+}
+
+// Record `html` as the latest revision of `docId` if it differs from the last one.
+// Returns the latest { version, capturedAt }.
+export async function recordVersion(docId, html) {
+  const version = contentHash(html);
+  let latest;
+  await updateCollection(collectionFor(docId), (versions) => {
+    latest = versions[versions.length - 1];
+    if (latest?.version === version) return versions;
+    latest = { version, capturedAt: new Date().toISOString(), html };
+    return versions.concat(latest).slice(-MAX_VERSIONS);
+  });
+  return { version: latest.version, capturedAt: latest.capturedAt };
+}
+
+// Newest first, without content
+export async function listVersions(docId) {
+  const versions = await readCollection(collectionFor(docId));
+  return versions
+    .map(({ version, capturedAt }) => ({ version, capturedAt }))
+    .reverse();
+}
+
+export async function getVersion(docId, version) {
+  const versions = await readCollection(collectionFor(docId));
+  return versions.find((v) => v.version === version) || null;
+}
+
+// The newest revision on record, with content, or null if the document was never fetched
+export async function latestVersion(docId) {
+  const versions = await readCollection(collectionFor(docId));
+  return versions[versions.length - 1] || null;
+}
@@ -5,7 +5,7 @@
  * and server-side sync.
  */
 
-import { generateSessionId } from './utils.js';
+import { generateSessionId, authHeaders } from './utils.js';
 
 const MAX_LOCAL_EVENTS = 500;
 
@@ -56,7 +56,7 @@ const analytics = {
     try {
       await fetch('/.netlify/functions/analytics', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', ...authHeaders() },
         body: JSON.stringify(payload),
       });
     } catch {
@@ -5,7 +5,7 @@
  * routing, and initialization.
  */
 
-import { sanitize, debounce, generateSessionId } from './utils.js';
+import { sanitize, debounce, generateSessionId, authHeaders } from './utils.js';
 import { loadAgreement, parseAgreement, bestMatches, excerpt } from './docs.js';
 import { analytics } from './analytics.js';
 
@@ -138,7 +138,7 @@ async function handleChat(question, mode) {
   try {
     const response = await fetch('/.netlify/functions/ask', {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', ...authHeaders() },
       body: JSON.stringify({
         question,
         excerpts: hits.map((h) => ({
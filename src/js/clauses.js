@@ -0,0 +1,317 @@
+/**
+ * Freshwater Vault - Clause Tree
+ *
+ * The one document model. Sanitized Google Docs HTML (or plain text) is parsed
+ * into a tree of clauses; search, the table of contents, citations and
+ * redlines all read from it.
+ *
+ * Each clause carries:
+ *   id          `<docId>:<anchor>`, stable across edits elsewhere in the document
+ *   anchor      URL-safe, document-local (`s-3-2-1` for numbered clauses, else a slug)
+ *   docId       owning document
+ *   number      own section number ('3.2.1'), or null
+ *   numberPath  numbers from the top-level ancestor down (['3', '3.2', '3.2.1'])
+ *   parentId    parent clause id, or null for top-level clauses
+ *   heading     heading line as written ('3.2 Payment Terms')
+ *   text        clean body text; tables become `a | b` rows, lists `• item` lines
+ */
+
+const HEADING_TAGS = { h1: 1, h2: 2, h3: 3, h4: 4, h5: 5, h6: 6 };
+const BLOCK_TAGS = new Set(['p', 'li', 'div', 'blockquote', ...Object.keys(HEADING_TAGS)]);
+
+// ARTICLE 3 / SECTION 3.2 / Article IV
+const LABELED_RE = /^(ARTICLE|SECTION)\s+(\d{1,3}(?:\.\d{1,3})*|[IVXLC]{1,7})\b[.:)\s-]*(.*)$/i;
+// 3.2.1 Title — a bare number needs a following capital so "2026 Season" isn't a clause
+const NUMBERED_RE = /^(\d{1,3}(?:\.\d{1,3})*)[.)]?\s+([A-Z(“"].*)$/;
+const CAPS_RE = /^[A-Z0-9][A-Z0-9\s\-:&]{8,70}$/;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", apos: "'", nbsp: ' ' };
+
+/**
+ * Decode the handful of entities sanitized HTML contains.
+ * @param {string} s
+ * @returns {string}
+ */
+function decodeEntities(s) {
+  return s.replace(/&(#\d+|#x[0-9a-f]+|[a-z0-9]+);/gi, (m, code) => {
+    if (ENTITIES[code.toLowerCase()] !== undefined) return ENTITIES[code.toLowerCase()];
+    if (code[0] !== '#') return m;
+    const n = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+    return n > 0 && n < 0x110000 ? String.fromCodePoint(n) : m;
+  });
+}
+
+function romanToNumber(roman) {
+  const values = { I: 1, V: 5, X: 10, L: 50, C: 100 };
+  let total = 0;
+  const s = roman.toUpperCase();
+  for (let i = 0; i < s.length; i++) {
+    const v = values[s[i]];
+    total += v < (values[s[i + 1]] || 0) ? -v : v;
+  }
+  return String(total);
+}
+
+/**
+ * Make a URL-safe slug.
+ * @param {string} s
+ * @returns {string}
+ */
+function slugify(s) {
+  return (
+    (s || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 48)
+      .replace(/-+$/, '') || 'section'
+  );
+}
+
+/**
+ * Flatten sanitized document HTML into text blocks. Paragraph structure is kept;
+ * list items are bulleted and indented by depth, table rows become `a | b` lines.
+ * @param {string} html
+ * @returns {Array<{tag: string, text: string}>}
+ */
+function htmlToBlocks(html) {
+  const blocks = [];
+  const lists = []; // open <ul>/<ol>: { ordered, count }
+  let table = null; // { row: [] | null, cell: string | null }
+  let block = null; // { tag, text }
+
+  const flush = () => {
+    if (block) {
+      const text = block.text.replace(/[ \t\u00a0]+/g, ' ').replace(/ ?\n ?/g, '\n').trim();
+      if (text) blocks.push({ tag: block.tag, text: (block.prefix || '') + text });
+    }
+    block = null;
+  };
+  const append = (s) => {
+    if (table) {
+      if (table.cell !== null) table.cell += s;
+    } else if (block) block.text += s;
+    else if (s.trim()) block = { tag: 'p', text: s };
+  };
+
+  const re = /<(\/?)([a-z][a-z0-9]*)\b[^>]*>|([^<]+)/gi;
+  let m;
+  while ((m = re.exec(html || ''))) {
+    if (m[3] !== undefined) {
+      append(decodeEntities(m[3]));
+      continue;
+    }
+    const closing = m[1] === '/';
+    const tag = m[2].toLowerCase();
+
+    if (tag === 'br') append('\n');
+    else if (tag === 'table') {
+      flush();
+      table = closing ? null : { row: null, cell: null };
+    } else if (table) {
+      if (tag === 'tr') {
+        if (closing && table.row) {
+          const text = table.row.join(' | ').trim();
+          if (text.replace(/[|\s]/g, '')) blocks.push({ tag: 'tr', text });
+          table.row = null;
+        } else if (!closing) table.row = [];
+      } else if (tag === 'td' || tag === 'th') {
+        if (closing && table.cell !== null) {
+          table.row?.push(table.cell.replace(/\s+/g, ' ').trim());
+          table.cell = null;
+        } else if (!closing) table.cell = '';
+      } else if (BLOCK_TAGS.has(tag) && table.cell) table.cell += ' ';
+    } else if (tag === 'ul' || tag === 'ol') {
+      flush();
+      if (closing) lists.pop();
+      else lists.push({ ordered: tag === 'ol', count: 0 });
+    } else if (tag === 'li') {
+      flush();
+      if (!closing) {
+        const list = lists[lists.length - 1];
+        const indent = '  '.repeat(Math.max(0, lists.length - 1));
+        const marker = list?.ordered ? `${++list.count}.` : '•';
+        block = { tag: 'li', prefix: `${indent}${marker} `, text: '' };
+      }
+    } else if (BLOCK_TAGS.has(tag)) {
+      // A paragraph inside a list item continues that item
+      if (block?.tag === 'li' && tag === 'p') continue;
+      flush();
+      if (!closing) block = { tag, text: '' };
+    }
+  }
+  flush();
+  return blocks;
+}
+
+/**
+ * Is this block a clause heading? Returns { number, depth } or null.
+ * @param {{tag: string, text: string}} block
+ * @returns {{number: string|null, depth: number}|null}
+ */
+function classifyHeading(block) {
+  const text = block.text.split('\n')[0].trim();
+  if (!text || block.tag === 'li' || block.tag === 'tr') return null;
+
+  const labeled = text.match(LABELED_RE);
+  if (labeled) {
+    const number = /^\d/.test(labeled[2]) ? labeled[2] : romanToNumber(labeled[2]);
+    return { number, depth: number.split('.').length };
+  }
+  const numbered = text.match(NUMBERED_RE);
+  if (numbered) return { number: numbered[1], depth: numbered[1].split('.').length };
+  if (HEADING_TAGS[block.tag]) return { number: null, depth: HEADING_TAGS[block.tag] };
+  if (CAPS_RE.test(text) && text === text.toUpperCase()) return { number: null, depth: 1 };
+  return null;
+}
+
+/**
+ * Parse a document into a clause tree.
+ * @param {string} source - sanitized document HTML, or plain text (one block per line)
+ * @param {string} [docId]
+ * @returns {{docId: string, nodes: Array<Object>, roots: string[]}}
+ */
+function parseDocument(source, docId = 'doc') {
+  const isHtml = /<[a-z][^>]*>/i.test(source || '');
+  const blocks = isHtml
+    ? htmlToBlocks(source)
+    : (source || '')
+        .split(/\r?\n/)
+        .filter((line) => line.trim())
+        .map((line) => ({ tag: 'p', text: line.trim() }));
+
+  const nodes = [];
+  const roots = [];
+  const usedAnchors = new Set();
+  const stack = []; // open clauses, outermost first
+  let current = null;
+
+  const addNode = (heading, number, depth) => {
+    while (stack.length && stack[stack.length - 1].depth >= depth) stack.pop();
+    const parent = stack[stack.length - 1] || null;
+
+    // `_n` can't occur in a slug or number anchor, so repeats never collide with a real one
+    const base = number ? `s-${number.replace(/\./g, '-')}` : slugify(heading);
+    let anchor = base;
+    for (let n = 2; usedAnchors.has(anchor); n++) anchor = `${base}_${n}`;
+    usedAnchors.add(anchor);
+
+    const node = {
+      id: `${docId}:${anchor}`,
+      anchor,
+      docId,
+      number,
+      numberPath: [...(parent?.numberPath || []), ...(number ? [number] : [])],
+      parentId: parent ? parent.id : null,
+      depth,
+      heading,
+      text: '',
+      children: [],
+    };
+    if (parent) parent.children.push(node.id);
+    else roots.push(node.id);
+    nodes.push(node);
+    stack.push(node);
+    return node;
+  };
+
+  for (const block of blocks) {
+    const heading = classifyHeading(block);
+    if (heading) {
+      const [first, ...rest] = block.text.split('\n');
+      // A long numbered paragraph is a clause in itself: its first sentence is the heading
+      const sentence = first.length > 80 ? first.match(/^(.{4,80}?[.:])\s+(.+)$/) : null;
+      if (sentence) rest.unshift(sentence[2]);
+      current = addNode(sentence ? sentence[1] : first.trim(), heading.number, heading.depth);
+      if (rest.length) current.text += rest.join('\n').trim() + '\n';
+      continue;
+    }
+    if (!current) current = addNode('INTRODUCTION', null, 1);
+    current.text += block.text + '\n';
+  }
+
+  for (const node of nodes) node.text = node.text.trim();
+  return { docId, nodes, roots };
+}
+
+/**
+ * Table of contents entries for a parsed document.
+ * @param {{nodes: Array<Object>}} model
+ * @returns {Array<{id: string, anchor: string, heading: string, number: string|null, depth: number}>}
+ */
+function tocFromModel(model) {
+  return model.nodes.map(({ id, anchor, heading, number, depth }) => ({
+    id,
+    anchor,
+    heading,
+    number,
+    depth,
+  }));
+}
+
+// "Section 7.2 –", "ARTICLE IV", "3.1." in front of a heading
+const HEADING_NUMBER_RE = /^(?:(?:article|section)\s+(?:\d{1,3}(?:\.\d{1,3})*|[ivxlc]{1,7})|\d{1,3}(?:\.\d{1,3})*)\b[.:)\s\-–—]*/i;
+
+/**
+ * A heading without its section number ("7.2 Snow Trigger" -> "Snow Trigger").
+ * @param {string} heading
+ * @returns {string}
+ */
+function headingTitle(heading) {
+  return heading.replace(HEADING_NUMBER_RE, '');
+}
+
+/**
+ * Find the clause a link points at. Accepts the clause anchor (`s-7-2`) or a
+ * slug of its heading without the number (`snow-trigger` for "7.2 Snow Trigger").
+ * @param {{nodes: Array<Object>}} model
+ * @param {string} ref - anchor or slug, with or without a leading `#`
+ * @returns {Object|null}
+ */
+function findClause(model, ref) {
+  let key;
+  try {
+    key = decodeURIComponent(ref || '').replace(/^#/, '').toLowerCase();
+  } catch {
+    return null;
+  }
+  if (!key) return null;
+  return (
+    model.nodes.find((n) => n.anchor === key) ||
+    model.nodes.find((n) => slugify(headingTitle(n.heading)) === key) ||
+    model.nodes.find((n) => slugify(n.heading) === key) ||
+    null
+  );
+}
+
+const squash = (s) => s.replace(/[\s\u00a0]+/g, ' ').trim().toLowerCase();
+
+/**
+ * Tag rendered document blocks with the clause they belong to (`data-clause="<anchor>"`),
+ * so a clause can be scrolled to and highlighted. Browser only; `root` is the element
+ * the same HTML was rendered into.
+ * @param {Element} root
+ * @param {{nodes: Array<Object>}} model - parseDocument() of that HTML
+ */
+function markClauses(root, model) {
+  const selector = 'p, div, blockquote, ul, ol, table, h1, h2, h3, h4, h5, h6';
+  // Wrapper divs are descended into; every other block is one unit
+  const blocksIn = (el) =>
+    [...el.children].flatMap((child) =>
+      child.tagName === 'DIV' && child.querySelector(selector) ? blocksIn(child) : [child]
+    );
+
+  const headings = model.nodes.map((n) => squash(n.heading));
+  let current = -1;
+  for (const el of blocksIn(root)) {
+    const text = squash(el.textContent);
+    const next = current + 1;
+    // The first block with text always opens the first clause (a heading, or the introduction)
+    if (text && next < headings.length && (current === -1 || text.startsWith(headings[next]))) {
+      current = next;
+    }
+    if (current >= 0) el.setAttribute('data-clause', model.nodes[current].anchor);
+  }
+}
+
+export { htmlToBlocks, classifyHeading, parseDocument, tocFromModel, headingTitle, findClause, markClauses, slugify };
@@ -0,0 +1,115 @@
+/**
+ * Freshwater Vault - Offline Document Store
+ *
+ * The portal's copies of documents and their search indexes, kept in
+ * IndexedDB; localStorage holds only about 5 MB, which a large portfolio of
+ * agreements outgrows. Two object stores:
+ *   documents  { docId, html, etag, version, retrievedAt }   one per document
+ *   indexes    { docId, hash, nodes, roots, index }          keyed by [docId, hash]
+ * `hash` is the content hash of the text an index was built from
+ * (src/js/indexer.js), so a revision is parsed once and read back on every
+ * later visit. Only the newest revision's index is kept.
+ *
+ * Where IndexedDB is unavailable (some private windows) reads miss and writes
+ * are skipped; the portal then works from the network alone.
+ */
+
+const DB_NAME = 'freshwater-vault';
+const DB_VERSION = 1;
+
+let opening = null;
+
+/**
+ * The database, opened once per page (or worker); null when it can't be used.
+ * @returns {Promise<?IDBDatabase>}
+ */
+function openStore() {
+  if (!opening) {
+    opening = new Promise((resolve) => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null);
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains('documents')) db.createObjectStore('documents', { keyPath: 'docId' });
+        if (!db.objectStoreNames.contains('indexes')) db.createObjectStore('indexes', { keyPath: ['docId', 'hash'] });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => resolve(null);
+    });
+  }
+  return opening;
+}
+
+// Run `fn(store)` in one transaction and resolve with the result of the request it
+// returns; any failure (a full disk, a closed database) resolves with null
+async function withStore(name, mode, fn) {
+  const db = await openStore();
+  if (!db) return null;
+  return new Promise((resolve) => {
+    try {
+      const tx = db.transaction(name, mode);
+      const request = fn(tx.objectStore(name));
+      tx.oncomplete = () => resolve(request.result ?? null);
+      tx.onabort = () => resolve(null);
+    } catch {
+      resolve(null);
+    }
+  });
+}
+
+/**
+ * The stored copy of a document.
+ * @param {string} docId
+ * @returns {Promise<?{docId: string, html: string, etag: string, version: string, retrievedAt: string}>}
+ */
+function getDocument(docId) {
+  return withStore('documents', 'readonly', (store) => store.get(docId));
+}
+
+/**
+ * Save (or replace) a document's copy.
+ * @param {{docId: string, html: string, etag: string, version: string, retrievedAt: string}} record
+ * @returns {Promise<void>}
+ */
+async function putDocument(record) {
+  await withStore('documents', 'readwrite', (store) => store.put(record));
+}
+
+/**
+ * The saved index of one revision of a document.
+ * @param {string} docId
+ * @param {string} hash
+ * @returns {Promise<?Object>}
+ */
+function getIndex(docId, hash) {
+  return withStore('indexes', 'readonly', (store) => store.get([docId, hash]));
+}
+
+/**
+ * Save a revision's index, dropping the document's older ones.
+ * @param {{docId: string, hash: string}} record
+ * @returns {Promise<void>}
+ */
+async function putIndex(record) {
+  const { docId, hash } = record;
+  await withStore('indexes', 'readwrite', (store) => {
+    store.delete(IDBKeyRange.bound([docId, ''], [docId, hash], false, true));
+    store.delete(IDBKeyRange.bound([docId, hash], [docId, '\uffff'], true, false));
+    return store.put(record);
+  });
+}
+
+/**
+ * Delete every stored document and index. Called on sign-out, so the next
+ * person at a shared computer can't read the last client's agreements offline.
+ * @returns {Promise<void>}
+ */
+async function clearAll() {
+  await withStore('documents', 'readwrite', (store) => store.clear());
+  await withStore('indexes', 'readwrite', (store) => store.clear());
+}
+
+export { openStore, getDocument, putDocument, getIndex, putIndex, clearAll };
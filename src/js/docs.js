@@ -5,110 +5,29 @@
  * and text processing.
  */
 
-const GOOGLE_DOC_ID = '1lRhOh_Ji2jWlI7BUEo32GGskDAqFEmQp';
+import { htmlToBlocks, parseDocument, tocFromModel, headingTitle } from './clauses.js';
+import { normalize, stem, tokenize, expandTokens, buildIndex, searchIndexes } from './search.js';
+import { authHeaders } from './utils.js';
+
+const DOCUMENT_ID = 'res_msa';
 const CACHE_DURATION = 60 * 60 * 1000; // 1 hour
 const CACHE_KEY = 'agreement_cache';
 const CACHE_TIME_KEY = 'agreement_cache_time';
 
-// Synonym dictionary for agreement search
-const SYNONYMS = {
-  cancel: [
-    'cancellation',
-    'terminate',
-    'termination',
-    'quit',
-    'end',
-    'refund',
-    'deposit',
-  ],
-  payment: [
-    'payments',
-    'invoice',
-    'billing',
-    'net',
-    'fee',
-    'charge',
-    'cost',
-    'price',
-  ],
-  late: [
-    'late',
-    'overdue',
-    'past',
-    'due',
-    'interest',
-    'finance',
-    'charge',
-    'apr',
-    'penalty',
-  ],
-  liability: [
-    'liability',
-    'damage',
-    'damages',
-    'responsible',
-    'responsibility',
-    'injury',
-    'slip',
-    'fall',
-    'warranty',
-    'warranties',
-    'indemnif',
-  ],
-  dispute: [
-    'dispute',
-    'arbitration',
-    'court',
-    'lawsuit',
-    'sue',
-    'venue',
-    'jury',
-    'mediation',
-  ],
-  snow: [
-    'snow',
-    'ice',
-    'plow',
-    'plowing',
-    'trigger',
-    'accumulation',
-    'storm',
-    'berm',
-    'salt',
-    'deice',
-  ],
-  scope: [
-    'scope',
-    'work',
-    'change',
-    'order',
-    'extras',
-    'additional',
-    'addendum',
-  ],
-  mowing: [
-    'mowing',
-    'mow',
-    'lawn',
-    'grass',
-    'turf',
-    'cut',
-    'trim',
-    'edge',
-  ],
-  season: [
-    'season',
-    'term',
-    'duration',
-    'length',
-    'period',
-    'year',
-    'annual',
-  ],
-};
+/**
+ * Convert sanitized document HTML to plain text, one block per line.
+ * @param {string} html
+ * @returns {string}
+ */
+function htmlToText(html) {
+  return htmlToBlocks(html)
+    .map((b) => b.text)
+    .join('\n');
+}
 
 /**
- * Load agreement text from Google Docs or cache.
+ * Load agreement text through the docs proxy (with the portal session, if any),
+ * or from cache.
  * @returns {Promise<{text: string, status: string}>}
  */
 async function loadAgreement() {
@@ -121,12 +40,12 @@ async function loadAgreement() {
   }
 
   try {
-    const url = `https://docs.google.com/document/d/${GOOGLE_DOC_ID}/export?format=txt`;
-    const response = await fetch(url);
+    const url = `/.netlify/functions/docs?id=${DOCUMENT_ID}&clientType=residential`;
+    const response = await fetch(url, { headers: authHeaders() });
 
     if (!response.ok) throw new Error('Fetch failed');
 
-    const text = await response.text();
+    const text = htmlToText((await response.json()).html);
     localStorage.setItem(CACHE_KEY, text);
     localStorage.setItem(CACHE_TIME_KEY, Date.now().toString());
 
@@ -143,103 +62,238 @@ async function loadAgreement() {
 }
 
 /**
- * Normalize text for comparison.
- * @param {string} q
- * @returns {string}
+ * Flat list of clauses, in document order, from the clause tree.
+ * @param {string} text - document HTML or plain text
+ * @param {string} [docId]
+ * @returns {Array<{id: string, heading: string, text: string}>}
  */
-function normalize(q) {
-  return (q || '')
-    .toLowerCase()
-    .replace(/[^a-z0-9\s]/g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim();
+function parseAgreement(text, docId) {
+  const { nodes } = parseDocument(text, docId);
+  return nodes.length ? nodes : [{ id: `${docId || 'doc'}:agreement`, heading: 'AGREEMENT', text: text || '' }];
 }
 
 /**
- * Parse agreement text into structured chunks by heading.
- * @param {string} text
- * @returns {Array<{heading: string, text: string}>}
+ * Word-level diff of two strings (LCS over words and whitespace).
+ * Very large inputs fall back to a whole-text replacement.
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array<{type: 'same'|'ins'|'del', text: string}>}
  */
-function parseAgreement(text) {
-  const lines = (text || '').split(/\r?\n/);
-  const chunks = [];
-  let cur = { heading: 'INTRODUCTION', text: '' };
+function diffWords(before, after) {
+  const a = (before || '').split(/(\s+)/).filter(Boolean);
+  const b = (after || '').split(/(\s+)/).filter(Boolean);
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) last.text += text;
+    else parts.push({ type, text });
+  };
 
-  function isHeading(t) {
-    const s = (t || '').trim();
-    if (!s) return false;
-    if (/^(ARTICLE|SECTION)\b/i.test(s)) return true;
-    if (/^\d+(\.\d+)*\s+/.test(s)) return true;
-    if (/^[A-Z0-9][A-Z0-9\s\-:&]{8,70}$/.test(s) && s === s.toUpperCase())
-      return true;
-    return false;
+  if (a.length * b.length > 1000000) {
+    if (before) push('del', before);
+    if (after) push('ins', after);
+    return parts;
   }
 
-  for (const line of lines) {
-    const t = line.trim();
-    if (isHeading(t)) {
-      if (cur.text.trim()) chunks.push(cur);
-      cur = { heading: t, text: '' };
-    } else {
-      cur.text += line + '\n';
+  // lcs[i][j] = length of the LCS of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
     }
   }
-  if (cur.text.trim()) chunks.push(cur);
 
-  return chunks.length ? chunks : [{ heading: 'AGREEMENT', text: text || '' }];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('same', a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push('del', a[i++]);
+    } else {
+      push('ins', b[j++]);
+    }
+  }
+  while (i < a.length) push('del', a[i++]);
+  while (j < b.length) push('ins', b[j++]);
+  return parts;
 }
 
 /**
- * Expand search tokens using synonym dictionary.
- * @param {string} question
- * @returns {string[]}
+ * Clause-by-clause redline between two revisions, keyed on the stable clause
+ * IDs from the clause tree. A numbered clause is keyed by its number, so a
+ * reworded heading is still the same clause; an unnumbered one is keyed by its
+ * heading slug, so renaming it shows as one clause removed and one added.
+ * Clauses keep the order of the newer revision; removed ones appear where
+ * they used to be.
+ * @param {string} oldSource - document HTML or plain text
+ * @param {string} newSource
+ * @param {string} [docId]
+ * @returns {Array<{id: string, heading: string, previousHeading?: string, status: 'added'|'removed'|'changed'|'unchanged', parts: Array}>}
  */
-function expandTokens(question) {
-  const q = normalize(question);
-  const raw = q.split(' ').filter(Boolean);
-  const set = new Set(raw);
+function diffSections(oldSource, newSource, docId) {
+  const before = parseAgreement(oldSource, docId);
+  const after = parseAgreement(newSource, docId);
+  const oldIndex = new Map(before.map((c, i) => [c.id, i]));
+  const newIds = new Set(after.map((c) => c.id));
+  const sections = [];
+  let next = 0; // next old clause not yet placed
 
-  for (const [k, arr] of Object.entries(SYNONYMS)) {
-    for (const w of raw) {
-      if (w === k || arr.includes(w)) {
-        set.add(k);
-        arr.forEach((x) => set.add(x));
+  const placeRemoved = (until) => {
+    for (; next < until; next++) {
+      const c = before[next];
+      if (!newIds.has(c.id)) {
+        sections.push({ id: c.id, heading: c.heading, status: 'removed', parts: [{ type: 'del', text: c.text }] });
       }
     }
+  };
+
+  for (const c of after) {
+    const i = oldIndex.get(c.id);
+    if (i === undefined) {
+      sections.push({ id: c.id, heading: c.heading, status: 'added', parts: [{ type: 'ins', text: c.text }] });
+      continue;
+    }
+    if (i >= next) {
+      placeRemoved(i);
+      next = i + 1;
+    }
+    const old = before[i];
+    const section = { id: c.id, heading: c.heading };
+    if (old.heading !== c.heading) section.previousHeading = old.heading;
+    sections.push(
+      old.text === c.text
+        ? { ...section, status: section.previousHeading ? 'changed' : 'unchanged', parts: [{ type: 'same', text: c.text }] }
+        : { ...section, status: 'changed', parts: diffWords(old.text, c.text) }
+    );
+    // Clauses removed right after this one belong here, not at the end
+    while (next < before.length && !newIds.has(before[next].id)) placeRemoved(next + 1);
   }
+  placeRemoved(before.length);
+  return sections;
+}
+
+// How much of two clauses' similarity comes from their headings; the rest is their text
+const HEADING_SHARE = 0.4;
+// Below this, two clauses are different clauses, not versions of one
+const MIN_SIMILARITY = 0.3;
+
+/**
+ * Side-by-side comparison of two different documents (the residential and the
+ * commercial MSA, or this season's and last season's). Unlike diffSections,
+ * clause IDs mean nothing across documents, so clauses are paired by
+ * similarity: shared heading words (section numbers aside) and tf-idf cosine
+ * of their text. The most similar pairs are taken first, so a clause that
+ * moved or was renumbered still finds its counterpart. Rows keep the order of
+ * the left document; clauses only on the right follow the row of the right
+ * clause before them.
+ * @param {string} leftSource - document HTML or plain text
+ * @param {string} rightSource
+ * @param {string} [leftId]
+ * @param {string} [rightId]
+ * @returns {Array<{left: ?Object, right: ?Object, status: 'matched'|'changed'|'left'|'right', similarity: number, parts: Array}>}
+ *   `parts` is the word diff from left to right (see diffWords)
+ */
+function compareDocuments(leftSource, rightSource, leftId = 'left', rightId = 'right') {
+  const left = parseAgreement(leftSource, leftId);
+  const right = parseAgreement(rightSource, rightId);
+  const all = [...left, ...right];
+
+  // Text as tf-idf vectors over both documents, so boilerplate shared by every clause counts for little
+  const counts = all.map((c) => {
+    const tf = new Map();
+    for (const t of tokenize(c.text).map(stem)) tf.set(t, (tf.get(t) || 0) + 1);
+    return tf;
+  });
+  const df = new Map();
+  counts.forEach((tf) => tf.forEach((_, t) => df.set(t, (df.get(t) || 0) + 1)));
+  const vectors = counts.map((tf) => {
+    const weights = new Map();
+    let norm = 0;
+    tf.forEach((n, t) => {
+      const w = (1 + Math.log(n)) * Math.log(1 + all.length / df.get(t));
+      weights.set(t, w);
+      norm += w * w;
+    });
+    return { weights, norm: Math.sqrt(norm) };
+  });
+  const headings = all.map((c) => new Set(tokenize(headingTitle(c.heading)).map(stem)));
 
-  return Array.from(set)
-    .filter((t) => t.length >= 3)
-    .slice(0, 30);
+  const cosine = (a, b) => {
+    if (!a.norm || !b.norm) return 0;
+    let dot = 0;
+    a.weights.forEach((w, t) => {
+      if (b.weights.has(t)) dot += w * b.weights.get(t);
+    });
+    return dot / (a.norm * b.norm);
+  };
+  const overlap = (a, b) => {
+    const shared = [...a].filter((t) => b.has(t)).length;
+    return shared ? shared / (a.size + b.size - shared) : 0;
+  };
+
+  const pairs = [];
+  left.forEach((_, i) => {
+    right.forEach((_, j) => {
+      const k = left.length + j;
+      const similarity = HEADING_SHARE * overlap(headings[i], headings[k]) + (1 - HEADING_SHARE) * cosine(vectors[i], vectors[k]);
+      if (similarity >= MIN_SIMILARITY) pairs.push({ i, j, similarity });
+    });
+  });
+  pairs.sort((a, b) => b.similarity - a.similarity || a.i - b.i || a.j - b.j);
+  const matches = new Map(); // left index -> { j, similarity }
+  const matched = new Set();
+  for (const { i, j, similarity } of pairs) {
+    if (matches.has(i) || matched.has(j)) continue;
+    matches.set(i, { j, similarity });
+    matched.add(j);
+  }
+
+  const rightOnly = (j) => ({ left: null, right: right[j], status: 'right', similarity: 0, parts: [{ type: 'ins', text: right[j].text }] });
+  // Right-only clauses follow the last right clause before them that has a row
+  const following = new Map(); // right index with a row (-1: the top) -> right-only clauses after it
+  let previous = -1;
+  right.forEach((_, j) => {
+    if (matched.has(j)) previous = j;
+    else following.set(previous, [...(following.get(previous) || []), j]);
+  });
+
+  const rows = (following.get(-1) || []).map(rightOnly);
+  left.forEach((c, i) => {
+    const match = matches.get(i);
+    if (!match) {
+      rows.push({ left: c, right: null, status: 'left', similarity: 0, parts: [{ type: 'del', text: c.text }] });
+      return;
+    }
+    const other = right[match.j];
+    const same = normalize(c.text) === normalize(other.text) && normalize(headingTitle(c.heading)) === normalize(headingTitle(other.heading));
+    rows.push({
+      left: c,
+      right: other,
+      status: same ? 'matched' : 'changed',
+      similarity: match.similarity,
+      parts: same ? [{ type: 'same', text: other.text }] : diffWords(c.text, other.text),
+    });
+    rows.push(...(following.get(match.j) || []).map(rightOnly));
+  });
+  return rows;
 }
 
 /**
- * Find best matching chunks for a question.
- * @param {string} agreementText
+ * Find the clauses that best match a question (BM25, see search.js). Callers
+ * that ask more than once should build the index once with buildIndex and
+ * call searchIndexes instead.
+ * @param {string|Array<{heading: string, text: string}>} source - document text, or clauses from the clause tree
  * @param {string} question
  * @param {number} top
+ * @param {{synonyms?: string[][]}} [options] - synonyms from compileSynonyms
  * @returns {Array<{heading: string, text: string, score: number}>}
  */
-function bestMatches(agreementText, question, top = 3) {
-  const chunks = parseAgreement(agreementText);
-  const tokens = expandTokens(question);
-
-  const scored = chunks
-    .map((c) => {
-      const hay = (c.heading + '\n' + c.text).toLowerCase();
-      let score = 0;
-      for (const t of tokens) {
-        const safe = t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        const re = new RegExp('\\b' + safe + '\\b', 'g');
-        const m = hay.match(re);
-        if (m) score += m.length;
-      }
-      return { ...c, score };
-    })
-    .filter((x) => x.score > 0)
-    .sort((a, b) => b.score - a.score);
-
-  return scored.slice(0, top);
+function bestMatches(source, question, top = 3, options = {}) {
+  const chunks = typeof source === 'string' ? parseAgreement(source) : source;
+  return searchIndexes([buildIndex(chunks)], question, top, options);
 }
 
 /**
@@ -254,22 +308,25 @@ function excerpt(text, limit = 900) {
 }
 
 /**
- * Build table of contents from agreement text.
- * @param {string} text
- * @returns {Array<{id: number, heading: string}>}
+ * Build table of contents from the clause tree.
+ * @param {string} text - document HTML or plain text
+ * @param {string} [docId]
+ * @returns {Array<{id: string, anchor: string, heading: string, number: string|null, depth: number}>}
  */
-function buildTOC(text) {
-  const chunks = parseAgreement(text);
-  return chunks.map((c, i) => ({ id: i, heading: c.heading }));
+function buildTOC(text, docId) {
+  return tocFromModel(parseDocument(text, docId));
 }
 
 export {
-  GOOGLE_DOC_ID,
+  DOCUMENT_ID,
   CACHE_DURATION,
-  SYNONYMS,
   loadAgreement,
+  htmlToText,
   normalize,
   parseAgreement,
+  diffWords,
+  diffSections,
+  compareDocuments,
   expandTokens,
   bestMatches,
   excerpt,
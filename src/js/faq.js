@@ -0,0 +1,87 @@
+/**
+ * Freshwater Vault - Curated Answers
+ *
+ * Staff-approved answers (netlify/lib/faq.js) are checked before clause
+ * search. Each answer has patterns, plus its own question as one more: a
+ * pattern matches when every one of its words is in the client's question,
+ * compared by stem so "cancelling mid-season" meets "cancel mid season". The
+ * most specific match (the pattern with the most words) wins.
+ *
+ * suggestQuestions builds the chat's suggestion chips from the same answers,
+ * the questions asked most in the portal and the current document's headings.
+ */
+
+import { headingTitle } from './clauses.js';
+import { normalize, stem, tokenize } from './search.js';
+
+const stems = (text) => tokenize(text).map(stem);
+
+// Sections every agreement has, which make poor suggestions
+const BOILERPLATE_RE = /^(definitions?|general( terms| provisions)?|miscellaneous|recitals?)$/i;
+
+/**
+ * Find the approved answer for a question.
+ * @param {Array<{question: string, patterns: string[]}>} faq
+ * @param {string} question
+ * @returns {{entry: Object, pattern: string}|null}
+ */
+function matchFaq(faq, question) {
+  const asked = new Set(stems(question));
+  let best = null;
+  let bestSize = 0;
+  for (const entry of faq || []) {
+    for (const pattern of [...(entry.patterns || []), entry.question]) {
+      const words = [...new Set(stems(pattern))];
+      if (words.length > bestSize && words.every((w) => asked.has(w))) {
+        best = { entry, pattern };
+        bestSize = words.length;
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * A heading as a chip: "SECTION 8: SNOW AND ICE MANAGEMENT" -> "Snow and ice management".
+ * @param {string} heading
+ * @returns {string}
+ */
+function headingQuestion(heading) {
+  const title = headingTitle(heading).replace(/[.:]+$/, '').trim();
+  return title === title.toUpperCase() ? title.charAt(0) + title.slice(1).toLowerCase() : title;
+}
+
+/**
+ * Suggestion chips: approved questions first, then the portal's top searches,
+ * then the current document's headings, without repeats.
+ * @param {{faq?: Array<{question: string}>, searches?: string[], headings?: string[]}} sources
+ * @param {number} [limit=6]
+ * @returns {string[]}
+ */
+function suggestQuestions({ faq = [], searches = [], headings = [] }, limit = 6) {
+  const seen = new Set();
+  const picked = [];
+  const take = (list, max) => {
+    let taken = 0;
+    for (const text of list) {
+      if (picked.length >= limit || taken >= max) return;
+      const key = normalize(text);
+      if (!key || seen.has(key)) continue;
+      seen.add(key);
+      picked.push(text);
+      taken++;
+    }
+  };
+  const questions = faq.map((e) => e.question);
+  const titles = headings.map(headingQuestion).filter((t) => !BOILERPLATE_RE.test(t));
+  // Each source gets a share first; whatever room is left goes in the same order
+  take(questions, 3);
+  take(searches, 2);
+  take(titles, 2);
+  take(questions, limit);
+  take(searches, limit);
+  take(titles, limit);
+  return picked;
+}
+
+export { matchFaq, headingQuestion, suggestQuestions };
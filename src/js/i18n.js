@@ -0,0 +1,581 @@
+/**
+ * Freshwater Vault - Portal Language
+ *
+ * Message catalogs for the client portal's own words: English and Spanish.
+ * Document text is never translated; the English agreement is the controlling
+ * language, so clauses, quotes and staff-written copy (portal taglines,
+ * approved answers) are shown as written.
+ *
+ * Messages take {name} placeholders. A count that is exactly 1 uses the
+ * message's `_one` form when it has one. A message missing from a catalog
+ * falls back to English, and an unknown key to itself.
+ */
+
+const LANGUAGES = { en: 'English', es: 'Español' };
+const DEFAULT_LANGUAGE = 'en';
+
+const MESSAGES = {
+  en: {
+    'language.label': 'Language',
+    disclaimer: 'Informational only — the signed agreement controls.',
+
+    'landing.title': 'Client Portal',
+    'landing.select': 'Select your portal to access service agreements.',
+    'landing.selectLinked': 'Select your portal to open the linked document.',
+    'landing.codeRequired': 'Access code required',
+    'landing.viewDocs': 'View your service documents',
+    'landing.emailSignIn': 'Have a client account? Sign in with email',
+    'footer.version': 'Document Version: February 2026 | Client Portal',
+    'footer.rights': '© 2014–2026 Freshwater Landscaping LLC. All rights reserved.',
+
+    'pin.title': '{label} Portal',
+    'pin.prompt': 'Enter your access code',
+    'pin.digit': 'PIN digit {n}',
+    'pin.verifying': 'Verifying...',
+    'pin.back': 'Back',
+    'pin.hint': '4-digit client access code',
+    'pin.tooMany': 'Too many attempts. Try again in {minutes} min.',
+    'pin.wait': 'Too many attempts. Try again in {seconds} s.',
+    'pin.invalid': 'Invalid access code',
+    'pin.invalidLeft': 'Invalid access code ({count} attempts left)',
+    'pin.invalidLeft_one': 'Invalid access code ({count} attempt left)',
+    'pin.failed': 'Unable to verify code. Please try again.',
+    'pin.offline': 'Unable to verify code. Check your connection.',
+
+    'signIn.title': 'Sign in with email',
+    'signIn.prompt': "We'll email you a one-time sign-in link",
+    'signIn.checkInbox': 'Check your inbox',
+    'signIn.sent': 'If {email} has a Freshwater Vault account, a sign-in link is on its way. It expires in 15 minutes.',
+    'signIn.email': 'Email address',
+    'signIn.invalid': 'Enter the email address on your account',
+    'signIn.failed': 'Unable to send link. Please try again.',
+    'signIn.sending': 'Sending...',
+    'signIn.send': 'Email me a sign-in link',
+
+    'nav.label': 'Main navigation',
+    'nav.documents': 'Documents',
+    'nav.ask': 'Ask',
+    'nav.menu': 'Toggle menu',
+
+    'dashboard.welcomeBack': 'Welcome back, {name}!',
+    'dashboard.signOut': 'Sign Out',
+    'dashboard.switchPortal': 'Switch Portal',
+    'dashboard.portal': '{label} Portal',
+    'dashboard.docCount': '{count} documents available',
+    'dashboard.docCount_one': '{count} document available',
+    'dashboard.compare': 'Compare documents',
+
+    'season.label': 'Season',
+    'season.current': 'Current season',
+    'season.currentOption': '{label} (current)',
+    'season.archivedOption': '{label} (archived)',
+    'season.archived': 'Archived season',
+    'season.viewing': "You're viewing the archived {label} terms. Ask searches this season only.",
+    'season.back': 'Back to {label}',
+    'season.nowSearching': 'Now searching the archived {label} documents.',
+    'season.backToCurrent': 'Back to the current documents.',
+    'season.backToCurrentNamed': 'Back to the current {label} documents.',
+
+    'card.view': 'View {title}',
+    'card.template': 'Standard template',
+    'card.updated': 'Updated since you last viewed',
+    'card.comingSoon': 'Coming Soon',
+    'card.ready': 'Ready',
+    'card.loading': 'Loading...',
+    'card.error': 'Error',
+
+    'cta.title': 'Have a question about your agreement?',
+    'cta.body': 'Search for specific clauses or terms across your documents.',
+    'cta.button': 'Open Search',
+
+    'doc.default': 'Document',
+    'doc.loading': 'Loading...',
+    'doc.comingSoon': 'Document coming soon. Contact Freshwater for details.',
+    'doc.loadError': 'Unable to load document. Please contact support.',
+
+    'viewer.label': 'Document viewer',
+    'viewer.showChanges': 'Show changes',
+    'viewer.hideChanges': 'Hide changes',
+    'viewer.toc': 'Table of Contents',
+    'viewer.download': 'Download PDF',
+    'viewer.search': 'Search within document...',
+    'viewer.searchLabel': 'Search document text',
+    'viewer.sections': '{count} sections',
+    'viewer.sections_one': '{count} section',
+    'viewer.noSections': 'No matching sections',
+    'viewer.clear': 'Clear',
+    'viewer.archived': 'Archived {season} terms, frozen {date}. This copy never changes.',
+    'viewer.updated': 'This document was updated since you last viewed it.',
+    'viewer.changesSince': 'Changes since',
+    'viewer.compareWith': 'Compare with version',
+    'viewer.lastVisit': ' (your last visit)',
+    'viewer.inserted': 'inserted',
+    'viewer.deleted': 'deleted',
+    'viewer.loadingChanges': 'Loading changes...',
+    'viewer.noEarlier': 'No earlier version on record yet.',
+    'viewer.historyError': 'Unable to load version history',
+    'viewer.versionError': 'Unable to load that version',
+    'viewer.acknowledge': 'Acknowledge',
+    'viewer.acknowledged': 'Acknowledged',
+    'viewer.close': 'Close',
+    'viewer.linkCopied': 'Link copied',
+    'viewer.copyFailed': 'Unable to copy link',
+    'viewer.exportFailed': 'Unable to export PDF',
+
+    'redline.added': 'Added',
+    'redline.removed': 'Removed',
+    'redline.changed': 'Changed',
+    'redline.none': 'No changes between these versions.',
+    'redline.unchanged': '{count} unchanged sections not shown.',
+    'redline.unchanged_one': '{count} unchanged section not shown.',
+
+    'compare.title': 'Compare Documents',
+    'compare.left': 'Left document',
+    'compare.right': 'Right document',
+    'compare.swap': 'Swap sides',
+    'compare.showSame': 'Show identical sections',
+    'compare.chooseTwo': 'Choose two different documents.',
+    'compare.same': 'Same',
+    'compare.changed': 'Changed',
+    'compare.onlyHere': 'Only here',
+    'compare.similar': '{percent}% similar',
+    'compare.notIn': 'Not in {title}',
+    'compare.summary': '{same} same · {changed} changed · {left} only in {leftTitle} · {right} only in {rightTitle}',
+    'compare.hidden': '{count} identical sections not shown.',
+    'compare.hidden_one': '{count} identical section not shown.',
+    'compare.note': 'Sections are paired by heading and wording; section numbers may differ.',
+    'compare.onlyLeft': 'only on the left',
+    'compare.onlyRight': 'only on the right',
+
+    'shortcuts.title': 'Keyboard Shortcuts',
+    'shortcuts.focus': 'Focus search / chat input',
+    'shortcuts.close': 'Close modal or panel',
+    'shortcuts.documents': 'Switch to Documents tab',
+    'shortcuts.ask': 'Switch to Ask tab',
+    'shortcuts.help': 'Show keyboard shortcuts',
+    'shortcuts.syntax': 'Search Syntax',
+    'shortcuts.phrase': 'Exact phrase',
+    'shortcuts.exclude': 'Leave out sections with a word',
+    'shortcuts.heading': 'Word in the section heading',
+    'shortcuts.doc': 'Only one document',
+    'shortcuts.or': 'Either one',
+    'shortcuts.where': "Works in Quick mode and in the document viewer's search box.",
+
+    'toc.copyLink': 'Copy link to this section',
+    'toc.copyLinkTo': 'Copy link to {heading}',
+
+    'ack.title': 'Acknowledge this agreement',
+    'ack.intro': 'Records that you reviewed this exact version of {title}. Your name, title, the time and your IP address are stored with it.',
+    'ack.name': 'Full name',
+    'ack.jobTitle': 'Title',
+    'ack.jobTitleExample': 'Title (e.g. Board President)',
+    'ack.agree': 'I have reviewed this version of the agreement.',
+    'ack.required': 'Enter your name and title and confirm you reviewed this version.',
+    'ack.recording': 'Recording...',
+    'ack.failed': 'Unable to record acknowledgement',
+    'ack.recorded': 'Acknowledgement recorded',
+    'ack.receipt': '{name}, {title}, acknowledged {doc} on {date}.',
+    'ack.version': 'Version {version} · SHA-256 {sha}',
+    'ack.keep': 'Keep the receipt file. Freshwater can verify it against the record on file at any time.',
+    'ack.download': 'Download receipt',
+
+    'term.starts': 'Starts {date}',
+    'term.expired': 'Expired {date}',
+    'term.noticeDue': 'Notice due {when}',
+    'term.renews': 'Renews {when}',
+    'term.expires': 'Expires {when}',
+    'term.today': 'today',
+    'term.tomorrow': 'tomorrow',
+    'term.inDays': 'in {count} days',
+    'term.range': 'Term {from} – {to}',
+    'term.autoRenew': 'renews automatically',
+    'term.manualRenew': 'renewal must be signed',
+    'term.noRenew': 'does not renew',
+    'term.notice': '{count}-day notice to cancel',
+
+    'compliance.title': 'Compliance Packet',
+    'compliance.subtitle': 'One-click download for city clerks',
+    'compliance.downloadAll': 'Download all (ZIP)',
+    'compliance.preparing': 'Preparing...',
+    'compliance.downloadFailed': 'Download failed',
+    'compliance.tooLarge': 'The packet is too large for one ZIP. Download the items one at a time.',
+    'compliance.renewal': 'Renewal pending',
+    'compliance.coming': 'Coming',
+    'compliance.expires': 'Expires {date}',
+    'compliance.validThrough': 'Valid through {date}',
+
+    'changeOrder.title': 'Change Orders',
+    'changeOrder.subtitle': 'Request work beyond your agreement and approve the quote',
+    'changeOrder.request': 'Request a Change',
+    'changeOrder.accountOnly': 'Change orders are tied to your client account.',
+    'changeOrder.signIn': 'Sign in with email',
+    'changeOrder.toRequest': 'to request one.',
+    'changeOrder.none': 'No change orders yet.',
+    'changeOrder.status.submitted': 'Submitted',
+    'changeOrder.status.quoted': 'Quote ready',
+    'changeOrder.status.approved': 'Approved',
+    'changeOrder.status.declined': 'Declined',
+    'changeOrder.urgency': 'Urgency',
+    'changeOrder.urgency.routine': 'Routine',
+    'changeOrder.urgency.soon': 'Within 2 weeks',
+    'changeOrder.urgency.urgent': 'Urgent',
+    'changeOrder.quote': 'Quote',
+    'changeOrder.approve': 'Approve',
+    'changeOrder.decline': 'Decline',
+    'changeOrder.approved': 'Quote approved. Freshwater will be in touch to schedule.',
+    'changeOrder.declined': 'Quote declined',
+    'changeOrder.property': 'Property',
+    'changeOrder.whichProperty': 'Which property?',
+    'changeOrder.work': 'Requested work',
+    'changeOrder.workPlaceholder': 'What work do you need? Where, how much, and any timing constraints.',
+    'changeOrder.photo': 'Photo',
+    'changeOrder.removePhoto': 'Remove {name}',
+    'changeOrder.maxPhotos': 'Up to {count} photos per request',
+    'changeOrder.badPhoto': "Couldn't read {name}; use a JPEG or PNG photo",
+    'changeOrder.chooseProperty': 'Choose the property for this work',
+    'changeOrder.describe': 'Describe the work you need (at least 10 characters)',
+    'changeOrder.sending': 'Sending...',
+    'changeOrder.submit': 'Submit Request',
+    'changeOrder.cancel': 'Cancel',
+    'changeOrder.submitted': 'Change order {label} submitted',
+
+    'chat.welcome': "Welcome to the Freshwater Vault. Ask about your agreement terms and I'll show the exact clause.",
+    'chat.title': 'Document Search',
+    'chat.subtitle': 'Find clauses and terms (informational only)',
+    'chat.quick': 'Quick',
+    'chat.quickHint': 'Free: local clause search',
+    'chat.ai': 'AI Explain',
+    'chat.aiHint': 'Uses protected server key',
+    'chat.log': 'Chat messages',
+    'chat.approved': 'Approved answer',
+    'chat.didYouMean': 'Did you mean',
+    'chat.changeOrder': 'Request a change order',
+    'chat.typing': 'Analyzing agreement...',
+    'chat.suggested': 'Suggested questions',
+    'chat.scope': 'Which documents to search',
+    'chat.scopeLabel': 'Search in',
+    'chat.allDocs': 'All documents',
+    'chat.allSeasonDocs': 'All {label} documents',
+    'chat.placeholder': 'Example: "If I cancel mid-season, what do I owe?"',
+    'chat.inputLabel': 'Type your question about the agreement',
+    'chat.send': 'Send question',
+    'chat.noteLabel': 'Note:',
+    'chat.note': 'Quick mode is free. AI Explain uses a server function.',
+    'chat.sources': 'Sources',
+    'chat.source': 'SOURCE',
+    'chat.hereYouGo': 'Here you go.',
+    'chat.englishControls': '',
+    'chat.notFound': "I couldn't locate that in {scope}.",
+    'chat.notFoundAll': 'the agreement text',
+    'chat.notFoundDoc': 'the {title}',
+    'chat.tryThese': 'Try one of these: {ideas}.',
+    'chat.tryOther': 'Try other words, or contact Freshwater support.',
+    'chat.aiUnavailable': 'AI Explain is unavailable right now. Use Quick mode or contact Freshwater support.',
+
+    'toast.welcomeBack': 'Welcome back, {name}',
+    'toast.friend': 'friend',
+    'toast.linkInvalid': 'Sign-in link is invalid or has expired',
+    'toast.portalWelcome': 'Welcome to the {label} Portal',
+    'toast.docUnavailable': 'That document is not available in this portal',
+    'toast.docsError': 'Unable to load documents',
+    'toast.aiUnavailable': 'AI Explain unavailable',
+  },
+
+  es: {
+    'language.label': 'Idioma',
+    disclaimer: 'Solo informativo: el contrato firmado en inglés es el que rige.',
+
+    'landing.title': 'Portal de clientes',
+    'landing.select': 'Seleccione su portal para ver sus contratos de servicio.',
+    'landing.selectLinked': 'Seleccione su portal para abrir el documento enlazado.',
+    'landing.codeRequired': 'Requiere código de acceso',
+    'landing.viewDocs': 'Vea sus documentos de servicio',
+    'landing.emailSignIn': '¿Tiene una cuenta de cliente? Inicie sesión con su correo',
+    'footer.version': 'Versión del documento: febrero de 2026 | Portal de clientes',
+    'footer.rights': '© 2014–2026 Freshwater Landscaping LLC. Todos los derechos reservados.',
+
+    'pin.title': 'Portal {label}',
+    'pin.prompt': 'Ingrese su código de acceso',
+    'pin.digit': 'Dígito {n} del PIN',
+    'pin.verifying': 'Verificando...',
+    'pin.back': 'Volver',
+    'pin.hint': 'Código de acceso de cliente de 4 dígitos',
+    'pin.tooMany': 'Demasiados intentos. Vuelva a intentarlo en {minutes} min.',
+    'pin.wait': 'Demasiados intentos. Vuelva a intentarlo en {seconds} s.',
+    'pin.invalid': 'Código de acceso no válido',
+    'pin.invalidLeft': 'Código de acceso no válido (quedan {count} intentos)',
+    'pin.invalidLeft_one': 'Código de acceso no válido (queda {count} intento)',
+    'pin.failed': 'No se pudo verificar el código. Inténtelo de nuevo.',
+    'pin.offline': 'No se pudo verificar el código. Revise su conexión.',
+
+    'signIn.title': 'Iniciar sesión con su correo',
+    'signIn.prompt': 'Le enviaremos por correo un enlace de inicio de sesión de un solo uso',
+    'signIn.checkInbox': 'Revise su bandeja de entrada',
+    'signIn.sent': 'Si {email} tiene una cuenta de Freshwater Vault, le enviamos un enlace de inicio de sesión. Vence en 15 minutos.',
+    'signIn.email': 'Correo electrónico',
+    'signIn.invalid': 'Ingrese el correo electrónico de su cuenta',
+    'signIn.failed': 'No se pudo enviar el enlace. Inténtelo de nuevo.',
+    'signIn.sending': 'Enviando...',
+    'signIn.send': 'Enviarme un enlace de inicio de sesión',
+
+    'nav.label': 'Navegación principal',
+    'nav.documents': 'Documentos',
+    'nav.ask': 'Preguntar',
+    'nav.menu': 'Abrir o cerrar el menú',
+
+    'dashboard.welcomeBack': '¡Bienvenido de nuevo, {name}!',
+    'dashboard.signOut': 'Cerrar sesión',
+    'dashboard.switchPortal': 'Cambiar de portal',
+    'dashboard.portal': 'Portal {label}',
+    'dashboard.docCount': '{count} documentos disponibles',
+    'dashboard.docCount_one': '{count} documento disponible',
+    'dashboard.compare': 'Comparar documentos',
+
+    'season.label': 'Temporada',
+    'season.current': 'Temporada actual',
+    'season.currentOption': '{label} (actual)',
+    'season.archivedOption': '{label} (archivada)',
+    'season.archived': 'Temporada archivada',
+    'season.viewing': 'Está viendo los términos archivados de {label}. Preguntar busca solo en esta temporada.',
+    'season.back': 'Volver a {label}',
+    'season.nowSearching': 'Ahora se buscan los documentos archivados de {label}.',
+    'season.backToCurrent': 'De vuelta a los documentos actuales.',
+    'season.backToCurrentNamed': 'De vuelta a los documentos actuales de {label}.',
+
+    'card.view': 'Ver {title}',
+    'card.template': 'Plantilla estándar',
+    'card.updated': 'Actualizado desde su última visita',
+    'card.comingSoon': 'Próximamente',
+    'card.ready': 'Listo',
+    'card.loading': 'Cargando...',
+    'card.error': 'Error',
+
+    'cta.title': '¿Tiene alguna pregunta sobre su contrato?',
+    'cta.body': 'Busque cláusulas o términos específicos en sus documentos.',
+    'cta.button': 'Abrir búsqueda',
+
+    'doc.default': 'Documento',
+    'doc.loading': 'Cargando...',
+    'doc.comingSoon': 'Documento disponible próximamente. Comuníquese con Freshwater para más detalles.',
+    'doc.loadError': 'No se pudo cargar el documento. Comuníquese con soporte.',
+
+    'viewer.label': 'Visor de documentos',
+    'viewer.showChanges': 'Mostrar cambios',
+    'viewer.hideChanges': 'Ocultar cambios',
+    'viewer.toc': 'Índice',
+    'viewer.download': 'Descargar PDF',
+    'viewer.search': 'Buscar en el documento (en inglés)...',
+    'viewer.searchLabel': 'Buscar en el texto del documento',
+    'viewer.sections': '{count} secciones',
+    'viewer.sections_one': '{count} sección',
+    'viewer.noSections': 'Ninguna sección coincide',
+    'viewer.clear': 'Borrar',
+    'viewer.archived': 'Términos archivados de {season}, congelados el {date}. Esta copia nunca cambia.',
+    'viewer.updated': 'Este documento se actualizó desde su última visita.',
+    'viewer.changesSince': 'Cambios desde',
+    'viewer.compareWith': 'Comparar con la versión',
+    'viewer.lastVisit': ' (su última visita)',
+    'viewer.inserted': 'agregado',
+    'viewer.deleted': 'eliminado',
+    'viewer.loadingChanges': 'Cargando cambios...',
+    'viewer.noEarlier': 'Todavía no hay una versión anterior registrada.',
+    'viewer.historyError': 'No se pudo cargar el historial de versiones',
+    'viewer.versionError': 'No se pudo cargar esa versión',
+    'viewer.acknowledge': 'Confirmar lectura',
+    'viewer.acknowledged': 'Lectura confirmada',
+    'viewer.close': 'Cerrar',
+    'viewer.linkCopied': 'Enlace copiado',
+    'viewer.copyFailed': 'No se pudo copiar el enlace',
+    'viewer.exportFailed': 'No se pudo exportar el PDF',
+
+    'redline.added': 'Agregada',
+    'redline.removed': 'Eliminada',
+    'redline.changed': 'Modificada',
+    'redline.none': 'No hay cambios entre estas versiones.',
+    'redline.unchanged': 'No se muestran {count} secciones sin cambios.',
+    'redline.unchanged_one': 'No se muestra {count} sección sin cambios.',
+
+    'compare.title': 'Comparar documentos',
+    'compare.left': 'Documento de la izquierda',
+    'compare.right': 'Documento de la derecha',
+    'compare.swap': 'Intercambiar lados',
+    'compare.showSame': 'Mostrar secciones idénticas',
+    'compare.chooseTwo': 'Elija dos documentos distintos.',
+    'compare.same': 'Igual',
+    'compare.changed': 'Modificada',
+    'compare.onlyHere': 'Solo aquí',
+    'compare.similar': '{percent}% similar',
+    'compare.notIn': 'No está en {title}',
+    'compare.summary': '{same} iguales · {changed} modificadas · {left} solo en {leftTitle} · {right} solo en {rightTitle}',
+    'compare.hidden': 'No se muestran {count} secciones idénticas.',
+    'compare.hidden_one': 'No se muestra {count} sección idéntica.',
+    'compare.note': 'Las secciones se emparejan por título y redacción; la numeración puede variar.',
+    'compare.onlyLeft': 'solo a la izquierda',
+    'compare.onlyRight': 'solo a la derecha',
+
+    'shortcuts.title': 'Atajos de teclado',
+    'shortcuts.focus': 'Ir a la búsqueda o al chat',
+    'shortcuts.close': 'Cerrar la ventana o el panel',
+    'shortcuts.documents': 'Ir a la pestaña Documentos',
+    'shortcuts.ask': 'Ir a la pestaña Preguntar',
+    'shortcuts.help': 'Mostrar los atajos de teclado',
+    'shortcuts.syntax': 'Sintaxis de búsqueda',
+    'shortcuts.phrase': 'Frase exacta',
+    'shortcuts.exclude': 'Excluir las secciones con una palabra',
+    'shortcuts.heading': 'Palabra en el título de la sección',
+    'shortcuts.doc': 'Solo un documento',
+    'shortcuts.or': 'Cualquiera de las dos',
+    'shortcuts.where': 'Funciona en el modo Rápida y en el cuadro de búsqueda del visor de documentos. Las palabras de búsqueda van en inglés.',
+
+    'toc.copyLink': 'Copiar el enlace a esta sección',
+    'toc.copyLinkTo': 'Copiar el enlace a {heading}',
+
+    'ack.title': 'Confirmar la lectura de este contrato',
+    'ack.intro': 'Registra que usted revisó esta versión exacta de {title}. Se guardan con ella su nombre, su cargo, la hora y su dirección IP.',
+    'ack.name': 'Nombre completo',
+    'ack.jobTitle': 'Cargo',
+    'ack.jobTitleExample': 'Cargo (p. ej., presidente de la junta)',
+    'ack.agree': 'He revisado esta versión del contrato.',
+    'ack.required': 'Ingrese su nombre y cargo y confirme que revisó esta versión.',
+    'ack.recording': 'Registrando...',
+    'ack.failed': 'No se pudo registrar la confirmación',
+    'ack.recorded': 'Confirmación registrada',
+    'ack.receipt': '{name}, {title}, confirmó la lectura de {doc} el {date}.',
+    'ack.version': 'Versión {version} · SHA-256 {sha}',
+    'ack.keep': 'Conserve el archivo del comprobante. Freshwater puede verificarlo con el registro archivado en cualquier momento.',
+    'ack.download': 'Descargar comprobante',
+
+    'term.starts': 'Comienza el {date}',
+    'term.expired': 'Venció el {date}',
+    'term.noticeDue': 'Aviso vence {when}',
+    'term.renews': 'Se renueva {when}',
+    'term.expires': 'Vence {when}',
+    'term.today': 'hoy',
+    'term.tomorrow': 'mañana',
+    'term.inDays': 'en {count} días',
+    'term.range': 'Vigencia {from} – {to}',
+    'term.autoRenew': 'se renueva automáticamente',
+    'term.manualRenew': 'la renovación debe firmarse',
+    'term.noRenew': 'no se renueva',
+    'term.notice': 'aviso de {count} días para cancelar',
+
+    'compliance.title': 'Paquete de cumplimiento',
+    'compliance.subtitle': 'Descarga en un clic para la secretaría municipal',
+    'compliance.downloadAll': 'Descargar todo (ZIP)',
+    'compliance.preparing': 'Preparando...',
+    'compliance.downloadFailed': 'No se pudo descargar',
+    'compliance.tooLarge': 'El paquete es demasiado grande para un solo ZIP. Descargue los documentos uno por uno.',
+    'compliance.renewal': 'Renovación pendiente',
+    'compliance.coming': 'Próximamente',
+    'compliance.expires': 'Vence el {date}',
+    'compliance.validThrough': 'Vigente hasta el {date}',
+
+    'changeOrder.title': 'Órdenes de cambio',
+    'changeOrder.subtitle': 'Solicite trabajos fuera de su contrato y apruebe la cotización',
+    'changeOrder.request': 'Solicitar un cambio',
+    'changeOrder.accountOnly': 'Las órdenes de cambio están vinculadas a su cuenta de cliente.',
+    'changeOrder.signIn': 'Inicie sesión con su correo',
+    'changeOrder.toRequest': 'para solicitar una.',
+    'changeOrder.none': 'Todavía no hay órdenes de cambio.',
+    'changeOrder.status.submitted': 'Enviada',
+    'changeOrder.status.quoted': 'Cotización lista',
+    'changeOrder.status.approved': 'Aprobada',
+    'changeOrder.status.declined': 'Rechazada',
+    'changeOrder.urgency': 'Urgencia',
+    'changeOrder.urgency.routine': 'Normal',
+    'changeOrder.urgency.soon': 'En 2 semanas',
+    'changeOrder.urgency.urgent': 'Urgente',
+    'changeOrder.quote': 'Cotización',
+    'changeOrder.approve': 'Aprobar',
+    'changeOrder.decline': 'Rechazar',
+    'changeOrder.approved': 'Cotización aprobada. Freshwater se comunicará con usted para programar el trabajo.',
+    'changeOrder.declined': 'Cotización rechazada',
+    'changeOrder.property': 'Propiedad',
+    'changeOrder.whichProperty': '¿Qué propiedad?',
+    'changeOrder.work': 'Trabajo solicitado',
+    'changeOrder.workPlaceholder': '¿Qué trabajo necesita? Dónde, cuánto y cualquier restricción de horario.',
+    'changeOrder.photo': 'Foto',
+    'changeOrder.removePhoto': 'Quitar {name}',
+    'changeOrder.maxPhotos': 'Hasta {count} fotos por solicitud',
+    'changeOrder.badPhoto': 'No se pudo leer {name}; use una foto JPEG o PNG',
+    'changeOrder.chooseProperty': 'Elija la propiedad para este trabajo',
+    'changeOrder.describe': 'Describa el trabajo que necesita (al menos 10 caracteres)',
+    'changeOrder.sending': 'Enviando...',
+    'changeOrder.submit': 'Enviar solicitud',
+    'changeOrder.cancel': 'Cancelar',
+    'changeOrder.submitted': 'Orden de cambio {label} enviada',
+
+    'chat.welcome': 'Bienvenido a Freshwater Vault. Pregunte sobre los términos de su contrato y le mostraré la cláusula exacta, citada en el inglés original.',
+    'chat.title': 'Búsqueda en documentos',
+    'chat.subtitle': 'Encuentre cláusulas y términos (solo informativo)',
+    'chat.quick': 'Rápida',
+    'chat.quickHint': 'Gratis: búsqueda local de cláusulas',
+    'chat.ai': 'Explicación IA',
+    'chat.aiHint': 'Usa una clave protegida del servidor',
+    'chat.log': 'Mensajes del chat',
+    'chat.approved': 'Respuesta aprobada',
+    'chat.didYouMean': '¿Quiso decir',
+    'chat.changeOrder': 'Solicitar una orden de cambio',
+    'chat.typing': 'Analizando el contrato...',
+    'chat.suggested': 'Preguntas sugeridas',
+    'chat.scope': 'En qué documentos buscar',
+    'chat.scopeLabel': 'Buscar en',
+    'chat.allDocs': 'Todos los documentos',
+    'chat.allSeasonDocs': 'Todos los documentos de {label}',
+    'chat.placeholder': 'Use palabras clave en inglés, p. ej.: "cancel mid-season"',
+    'chat.inputLabel': 'Escriba su pregunta sobre el contrato',
+    'chat.send': 'Enviar pregunta',
+    'chat.noteLabel': 'Nota:',
+    'chat.note': 'La búsqueda lee el texto en inglés del contrato. Explicación IA responde en español.',
+    'chat.sources': 'Fuentes',
+    'chat.source': 'FUENTE',
+    'chat.hereYouGo': 'Aquí está.',
+    'chat.englishControls': 'La cita está en el inglés original del contrato, que es el texto que rige.',
+    'chat.notFound': 'No encontré eso en {scope}.',
+    'chat.notFoundAll': 'el texto del contrato',
+    'chat.notFoundDoc': 'el documento {title}',
+    'chat.tryThese': 'Pruebe una de estas: {ideas}.',
+    'chat.tryOther': 'Pruebe con otras palabras en inglés o comuníquese con soporte de Freshwater.',
+    'chat.aiUnavailable': 'Explicación IA no está disponible en este momento. Use el modo Rápida o comuníquese con soporte de Freshwater.',
+
+    'toast.welcomeBack': 'Bienvenido de nuevo, {name}',
+    'toast.friend': 'amigo',
+    'toast.linkInvalid': 'El enlace de inicio de sesión no es válido o ha vencido',
+    'toast.portalWelcome': 'Bienvenido al portal {label}',
+    'toast.docUnavailable': 'Ese documento no está disponible en este portal',
+    'toast.docsError': 'No se pudieron cargar los documentos',
+    'toast.aiUnavailable': 'Explicación IA no disponible',
+  },
+};
+
+/**
+ * The message for `key` in a language, with its placeholders filled in.
+ * @param {string} lang
+ * @param {string} key
+ * @param {Object<string, string|number>} [params]
+ * @returns {string}
+ */
+function translate(lang, key, params = {}) {
+  const catalog = Object.hasOwn(MESSAGES, lang) ? MESSAGES[lang] : MESSAGES[DEFAULT_LANGUAGE];
+  const lookup = (k) => catalog[k] ?? MESSAGES[DEFAULT_LANGUAGE][k];
+  const message = (params.count === 1 ? lookup(`${key}_one`) : undefined) ?? lookup(key) ?? key;
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * The language to start in: the client's saved choice, else the first of the
+ * browser's languages the portal speaks, else English.
+ * @param {?string} saved
+ * @param {string[]} [preferred] - e.g. navigator.languages
+ * @returns {string}
+ */
+function detectLanguage(saved, preferred = []) {
+  if (Object.hasOwn(LANGUAGES, saved)) return saved;
+  for (const tag of preferred) {
+    const lang = String(tag || '').toLowerCase().split('-')[0];
+    if (Object.hasOwn(LANGUAGES, lang)) return lang;
+  }
+  return DEFAULT_LANGUAGE;
+}
+
+export { LANGUAGES, DEFAULT_LANGUAGE, MESSAGES, translate, detectLanguage };
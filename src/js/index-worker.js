@@ -0,0 +1,18 @@
+/**
+ * Freshwater Vault - Indexing Worker
+ *
+ * Runs indexDocument (indexer.js) for the portal, one document per message:
+ *   in:  { docId, seq, html }
+ *   out: { docId, seq, entry } or { docId, seq, error }
+ * On an error the portal indexes that document itself.
+ */
+
+import { indexDocument } from './indexer.js';
+
+self.onmessage = async ({ data: { docId, seq, html } }) => {
+  try {
+    self.postMessage({ docId, seq, entry: await indexDocument(docId, html) });
+  } catch (err) {
+    self.postMessage({ docId, seq, error: err?.message || 'Indexing failed' });
+  }
+};
@@ -0,0 +1,103 @@
+/**
+ * Freshwater Vault - Search Indexing
+ *
+ * Parsing a document into its clause tree and building its search index run
+ * in a Web Worker (index-worker.js), so a long agreement never holds up typing
+ * or scrolling. Each result is saved in IndexedDB (doc-store.js) under the
+ * content hash of the text, the same 16-digit SHA-256 prefix the server uses
+ * as a document's version; a revision indexed on an earlier visit is read
+ * back instead of rebuilt.
+ *
+ * Where module workers can't start, the same work runs on the main thread.
+ */
+
+import { parseDocument } from './clauses.js';
+import { buildIndex } from './search.js';
+import { getIndex, putIndex } from './doc-store.js';
+
+/**
+ * First 16 hex digits of the SHA-256 of a document's text, or null without
+ * Web Crypto (an insecure origin), in which case nothing is saved.
+ * @param {string} html
+ * @returns {Promise<?string>}
+ */
+async function contentHash(html) {
+  if (!globalThis.crypto?.subtle) return null;
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(html));
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('').slice(0, 16);
+}
+
+/**
+ * The clause tree and search index of a document, read from the store when
+ * this revision has been indexed before.
+ * @param {string} docId
+ * @param {string} html
+ * @returns {Promise<{docId: string, hash: ?string, nodes: Array<Object>, roots: string[], index: Object}>}
+ */
+async function indexDocument(docId, html) {
+  const hash = await contentHash(html);
+  const saved = hash ? await getIndex(docId, hash) : null;
+  if (saved) return saved;
+  const { nodes, roots } = parseDocument(html, docId);
+  const entry = { docId, hash, nodes, roots, index: buildIndex(nodes) };
+  if (hash) await putIndex(entry);
+  return entry;
+}
+
+/**
+ * Index documents off the main thread. `onIndexed` receives the
+ * indexDocument result plus the `html` it was built from, for the latest text
+ * sent for each document; results for text replaced in the meantime are
+ * dropped.
+ * @param {function(Object): void} onIndexed
+ * @returns {{index: function(string, string): void, terminate: function(): void}}
+ */
+function createIndexer(onIndexed) {
+  const pending = new Map(); // docId -> { seq, html } of the text waiting to be indexed
+  let seq = 0;
+  let worker = null;
+
+  const deliver = (docId, id, entry) => {
+    const wanted = pending.get(docId);
+    if (wanted?.seq !== id) return;
+    pending.delete(docId);
+    onIndexed({ ...entry, html: wanted.html });
+  };
+  const indexHere = (docId, id, html) => {
+    indexDocument(docId, html)
+      .then((entry) => deliver(docId, id, entry))
+      .catch((err) => console.error('[indexer]', docId, err?.message));
+  };
+
+  try {
+    worker = new Worker(new URL('./index-worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = ({ data }) => {
+      if (data.entry) deliver(data.docId, data.seq, data.entry);
+      else if (pending.get(data.docId)?.seq === data.seq) indexHere(data.docId, data.seq, pending.get(data.docId).html);
+    };
+    // The worker failed to start: index here, starting with whatever was waiting for it
+    worker.onerror = () => {
+      worker.terminate();
+      worker = null;
+      for (const [docId, { seq: id, html }] of pending) indexHere(docId, id, html);
+    };
+  } catch {
+    worker = null;
+  }
+
+  return {
+    index(docId, html) {
+      if (pending.get(docId)?.html === html) return;
+      const id = ++seq;
+      pending.set(docId, { seq: id, html });
+      if (worker) worker.postMessage({ docId, seq: id, html });
+      else indexHere(docId, id, html);
+    },
+    terminate() {
+      worker?.terminate();
+      pending.clear();
+    },
+  };
+}
+
+export { contentHash, indexDocument, createIndexer };
@@ -0,0 +1,381 @@
+/**
+ * Freshwater Vault - PDF Export
+ *
+ * Builds a branded PDF of a document in the browser from the HTML the portal
+ * already has (cached or fresh), so export works offline. No dependencies:
+ * text is set in the PDF base fonts (Helvetica, Courier), which every viewer
+ * provides, and the file is written by hand.
+ *
+ * Layout: a cover page (client type, title, season, retrieval date, content
+ * hash), a table of contents built from the clause tree, then the clauses.
+ * Every page carries the page number and the informational-copy footer.
+ */
+
+import { parseDocument } from './clauses.js';
+
+const PAGE_WIDTH = 612; // US Letter, in points
+const PAGE_HEIGHT = 792;
+const MARGIN = 72;
+const CONTENT_TOP = PAGE_HEIGHT - MARGIN;
+const CONTENT_BOTTOM = MARGIN;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+const FOOTER_TEXT = 'Informational copy — signed agreement controls';
+
+const COLORS = {
+  brand: '0.004 0.502 0.851', // #0180d9
+  dark: '0.059 0.078 0.098', // #0f1419
+  text: '0.122 0.161 0.216',
+  muted: '0.333 0.396 0.459', // #556575
+  white: '1 1 1',
+};
+
+// Helvetica and Helvetica-Bold advance widths (1/1000 em) for ASCII 32-126
+const HELVETICA = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+const HELVETICA_BOLD = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+const FONTS = {
+  regular: { name: 'F1', widths: HELVETICA },
+  bold: { name: 'F2', widths: HELVETICA_BOLD },
+  mono: { name: 'F3', widths: null }, // Courier: every glyph is 600
+};
+
+// Unicode punctuation that WinAnsiEncoding has outside Latin-1, with widths
+const WIN_ANSI = {
+  '‘': [0x91, 222], '’': [0x92, 222], '“': [0x93, 333], '”': [0x94, 333],
+  '•': [0x95, 350], '–': [0x96, 556], '—': [0x97, 1000], '…': [0x85, 1000],
+  '€': [0x80, 556], '™': [0x99, 1000],
+};
+
+/**
+ * Map text to WinAnsi (one byte per character). Characters the base fonts
+ * can't show become `?`.
+ * @param {string} text
+ * @returns {string}
+ */
+function toWinAnsi(text) {
+  let out = '';
+  for (const ch of String(text || '')) {
+    const code = ch.codePointAt(0);
+    if (WIN_ANSI[ch]) out += String.fromCharCode(WIN_ANSI[ch][0]);
+    else if (code === 0xa0 || code === 0x2009 || code === 0x202f) out += ' '; // no-break and thin spaces
+    else if ((code >= 32 && code < 127) || (code > 0xa0 && code <= 0xff)) out += ch;
+    else if (code === 9) out += ' ';
+    else out += '?';
+  }
+  return out;
+}
+
+const WIN_ANSI_WIDTHS = Object.fromEntries(
+  Object.values(WIN_ANSI).map(([byte, width]) => [byte, width])
+);
+
+/**
+ * Width of WinAnsi text in points.
+ * @param {string} text - already passed through toWinAnsi
+ * @param {'regular'|'bold'|'mono'} font
+ * @param {number} size
+ * @returns {number}
+ */
+function textWidth(text, font, size) {
+  const { widths } = FONTS[font];
+  let units = 0;
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    if (!widths) units += 600;
+    else if (code >= 32 && code < 127) units += widths[code - 32];
+    else units += WIN_ANSI_WIDTHS[code] || 556;
+  }
+  return (units * size) / 1000;
+}
+
+/**
+ * Break text into lines no wider than `width`. Words longer than a line are split.
+ * @param {string} text - already passed through toWinAnsi
+ * @param {'regular'|'bold'|'mono'} font
+ * @param {number} size
+ * @param {number} width
+ * @returns {string[]}
+ */
+function wrapText(text, font, size, width) {
+  const lines = [];
+  let line = '';
+  for (let word of text.split(/ +/).filter(Boolean)) {
+    while (textWidth(word, font, size) > width) {
+      let cut = word.length - 1;
+      while (cut > 1 && textWidth(word.slice(0, cut), font, size) > width) cut--;
+      if (line) lines.push(line);
+      lines.push(word.slice(0, cut));
+      line = '';
+      word = word.slice(cut);
+    }
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && textWidth(candidate, font, size) > width) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+// Shorten to fit, ending in an ellipsis
+function fitText(text, font, size, width) {
+  if (textWidth(text, font, size) <= width) return text;
+  let cut = text.length;
+  while (cut > 0 && textWidth(`${text.slice(0, cut)}\x85`, font, size) > width) cut--;
+  return `${text.slice(0, cut).trimEnd()}\x85`;
+}
+
+function escapePdfString(s) {
+  return s.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+}
+
+// One page's content stream
+function createPage() {
+  const ops = [];
+  return {
+    ops,
+    text(str, x, y, { font = 'regular', size = 10, color = COLORS.text } = {}) {
+      ops.push(`BT /${FONTS[font].name} ${size} Tf ${color} rg ${x.toFixed(2)} ${y.toFixed(2)} Td (${escapePdfString(str)}) Tj ET`);
+    },
+    rect(x, y, w, h, color) {
+      ops.push(`${color} rg ${x} ${y} ${w} ${h} re f`);
+    },
+    line(x1, y1, x2, y2, color, width = 0.5) {
+      ops.push(`${color} RG ${width} w ${x1} ${y1} m ${x2} ${y2} l S`);
+    },
+  };
+}
+
+const BODY = { font: 'regular', size: 10, leading: 14 };
+const HEADINGS = [
+  { font: 'bold', size: 13, leading: 18, before: 14 },
+  { font: 'bold', size: 11, leading: 15, before: 10 },
+  { font: 'bold', size: 10, leading: 14, before: 8 },
+];
+const TOC_LEADING = 16;
+const TOC_TOP = CONTENT_TOP - 40; // below the "Contents" title
+
+/**
+ * Lay the clauses out into pages. Returns the pages' drawing operations
+ * (relative to the first body page) and the page index each clause starts on.
+ */
+function layoutBody(model) {
+  const pages = [];
+  const clausePages = {};
+  let page = null;
+  let y = 0;
+  const newPage = () => {
+    page = [];
+    pages.push(page);
+    y = CONTENT_TOP;
+  };
+  newPage();
+
+  for (const node of model.nodes) {
+    const style = HEADINGS[Math.min(node.depth, HEADINGS.length) - 1];
+    const headingLines = wrapText(toWinAnsi(node.heading), style.font, style.size, CONTENT_WIDTH);
+    // Keep a heading with at least two lines of its text
+    const needed = style.before + headingLines.length * style.leading + BODY.leading * 2;
+    if (y - needed < CONTENT_BOTTOM && y !== CONTENT_TOP) newPage();
+    if (y !== CONTENT_TOP) y -= style.before;
+    clausePages[node.id] = pages.length - 1;
+    for (const line of headingLines) {
+      y -= style.leading;
+      page.push({ str: line, x: MARGIN, y, font: style.font, size: style.size, color: COLORS.dark });
+    }
+
+    for (const paragraph of node.text.split('\n')) {
+      if (!paragraph.trim()) continue;
+      // List items hang their wrapped lines under the item text
+      const indent = (paragraph.match(/^ */)[0].length / 2) * 14;
+      const marker = paragraph.trim().match(/^(•|\d+\.)\s+/);
+      const hang = marker ? textWidth(toWinAnsi(marker[0]), BODY.font, BODY.size) : 0;
+      const lines = wrapText(toWinAnsi(paragraph.trim()), BODY.font, BODY.size, CONTENT_WIDTH - indent - hang);
+      lines.forEach((line, i) => {
+        if (y - BODY.leading < CONTENT_BOTTOM) newPage();
+        y -= BODY.leading;
+        page.push({ str: line, x: MARGIN + indent + (i ? hang : 0), y, font: BODY.font, size: BODY.size, color: COLORS.text });
+      });
+      y -= 4;
+    }
+  }
+  return { pages, clausePages };
+}
+
+function drawCover(page, meta) {
+  page.rect(0, PAGE_HEIGHT - 190, PAGE_WIDTH, 190, COLORS.dark);
+  page.rect(0, PAGE_HEIGHT - 194, PAGE_WIDTH, 4, COLORS.brand);
+  page.text('FRESHWATER VAULT', MARGIN, PAGE_HEIGHT - 90, { font: 'bold', size: 12, color: COLORS.white });
+  page.text(toWinAnsi(meta.clientLabel || ''), MARGIN, PAGE_HEIGHT - 110, { size: 11, color: '0.655 0.890 0.961' });
+
+  let y = PAGE_HEIGHT - 280;
+  for (const line of wrapText(toWinAnsi(meta.title), 'bold', 26, CONTENT_WIDTH)) {
+    page.text(line, MARGIN, y, { font: 'bold', size: 26, color: COLORS.dark });
+    y -= 32;
+  }
+  y -= 8;
+  page.line(MARGIN, y, MARGIN + 120, y, COLORS.brand, 2);
+  y -= 36;
+
+  const rows = [
+    ['Client type', meta.clientLabel],
+    ['Season', meta.season],
+    ['Retrieved', meta.retrievedAt],
+    ['Version', meta.version],
+  ].filter(([, value]) => value);
+  for (const [label, value] of rows) {
+    page.text(label.toUpperCase(), MARGIN, y, { font: 'bold', size: 8, color: COLORS.muted });
+    page.text(toWinAnsi(value), MARGIN + 110, y, { size: 11, color: COLORS.dark });
+    y -= 22;
+  }
+  if (meta.contentSha256) {
+    page.text('SHA-256', MARGIN, y, { font: 'bold', size: 8, color: COLORS.muted });
+    page.text(meta.contentSha256, MARGIN + 110, y, { font: 'mono', size: 9, color: COLORS.dark });
+    y -= 22;
+  }
+
+  y -= 20;
+  const notice =
+    'This is an informational copy exported from the Freshwater Vault portal. The signed agreement controls. ' +
+    'The version and SHA-256 above identify the exact text of this copy and match the ones on acknowledgement receipts.';
+  for (const line of wrapText(toWinAnsi(notice), 'regular', 9, CONTENT_WIDTH)) {
+    page.text(line, MARGIN, y, { size: 9, color: COLORS.muted });
+    y -= 13;
+  }
+}
+
+function drawChrome(page, meta, number, total, { header = true } = {}) {
+  if (header) {
+    const version = meta.version ? `Version ${meta.version}` : '';
+    const versionWidth = textWidth(version, 'regular', 8);
+    page.text(fitText(toWinAnsi(meta.title), 'regular', 8, CONTENT_WIDTH - versionWidth - 20), MARGIN, PAGE_HEIGHT - 44, { size: 8, color: COLORS.muted });
+    if (version) page.text(version, PAGE_WIDTH - MARGIN - versionWidth, PAGE_HEIGHT - 44, { size: 8, color: COLORS.muted });
+    page.line(MARGIN, PAGE_HEIGHT - 50, PAGE_WIDTH - MARGIN, PAGE_HEIGHT - 50, COLORS.muted, 0.25);
+  }
+  page.line(MARGIN, 52, PAGE_WIDTH - MARGIN, 52, COLORS.muted, 0.25);
+  page.text(toWinAnsi(FOOTER_TEXT), MARGIN, 40, { size: 8, color: COLORS.muted });
+  const label = `Page ${number} of ${total}`;
+  page.text(label, PAGE_WIDTH - MARGIN - textWidth(label, 'regular', 8), 40, { size: 8, color: COLORS.muted });
+}
+
+// Serialize pages into a PDF file (a latin1 string, one byte per character)
+function writePdf(pageStreams, info) {
+  const objects = [];
+  const add = (body) => objects.push(body); // returns the new object's number
+
+  const catalog = add(null);
+  const pagesId = add(null);
+  const fontIds = [
+    add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>'),
+    add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'),
+    add('<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>'),
+  ];
+  const fonts = `<< /F1 ${fontIds[0]} 0 R /F2 ${fontIds[1]} 0 R /F3 ${fontIds[2]} 0 R >>`;
+
+  const pageIds = pageStreams.map((ops) => {
+    const stream = ops.join('\n');
+    const contents = add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+    return add(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font ${fonts} >> /Contents ${contents} 0 R >>`
+    );
+  });
+  objects[catalog - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+  const infoId = add(
+    `<< /Title (${escapePdfString(toWinAnsi(info.title))}) /Producer (Freshwater Vault) /CreationDate (${info.creationDate}) >>`
+  );
+
+  let out = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+  const offsets = objects.map((body, i) => {
+    const offset = out.length;
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = out.length;
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  out += offsets.map((o) => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+  out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return out;
+}
+
+function pdfDate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `D:${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+}
+
+/**
+ * Build the PDF for a document.
+ * @param {Object} doc
+ * @param {string} doc.html - sanitized document HTML, as shown in the viewer
+ * @param {string} doc.docId
+ * @param {string} doc.title
+ * @param {string} [doc.clientLabel] - portal label, e.g. "HOA / Townhomes"
+ * @param {string} [doc.season]
+ * @param {string} [doc.retrievedAt] - when this copy was fetched, already formatted
+ * @param {string} [doc.version] - revision hash from the docs function
+ * @param {string} [doc.contentSha256] - SHA-256 of `html`
+ * @returns {Uint8Array}
+ */
+function buildAgreementPdf(doc) {
+  const model = parseDocument(doc.html, doc.docId);
+  const { pages: bodyPages, clausePages } = layoutBody(model);
+
+  const tocPerPage = Math.floor((TOC_TOP - CONTENT_BOTTOM) / TOC_LEADING);
+  const tocPageCount = Math.max(1, Math.ceil(model.nodes.length / tocPerPage));
+  const firstBodyPage = 2 + tocPageCount; // 1-based: cover, contents, then the clauses
+  const total = 1 + tocPageCount + bodyPages.length;
+
+  const cover = createPage();
+  drawCover(cover, doc);
+  drawChrome(cover, doc, 1, total, { header: false });
+  const pages = [cover];
+
+  for (let t = 0; t < tocPageCount; t++) {
+    const page = createPage();
+    if (t === 0) page.text('Contents', MARGIN, CONTENT_TOP - 16, { font: 'bold', size: 16, color: COLORS.dark });
+    let y = TOC_TOP;
+    for (const node of model.nodes.slice(t * tocPerPage, (t + 1) * tocPerPage)) {
+      const indent = (Math.min(node.depth, 4) - 1) * 14;
+      const font = node.depth === 1 ? 'bold' : 'regular';
+      const number = String(firstBodyPage + clausePages[node.id]);
+      const numberWidth = textWidth(number, 'regular', 10);
+      page.text(fitText(toWinAnsi(node.heading), font, 10, CONTENT_WIDTH - indent - numberWidth - 24), MARGIN + indent, y, { font, size: 10 });
+      page.text(number, PAGE_WIDTH - MARGIN - numberWidth, y, { size: 10, color: COLORS.muted });
+      y -= TOC_LEADING;
+    }
+    if (!model.nodes.length) page.text('This document has no headings.', MARGIN, y, { size: 10, color: COLORS.muted });
+    drawChrome(page, doc, pages.length + 1, total);
+    pages.push(page);
+  }
+
+  for (const lines of bodyPages) {
+    const page = createPage();
+    for (const { str, x, y, font, size, color } of lines) page.text(str, x, y, { font, size, color });
+    drawChrome(page, doc, pages.length + 1, total);
+    pages.push(page);
+  }
+
+  const file = writePdf(pages.map((p) => p.ops), { title: doc.title, creationDate: pdfDate(new Date()) });
+  const bytes = new Uint8Array(file.length);
+  for (let i = 0; i < file.length; i++) bytes[i] = file.charCodeAt(i);
+  return bytes;
+}
+
+export { buildAgreementPdf, toWinAnsi, textWidth, wrapText };
@@ -0,0 +1,650 @@
+/**
+ * Freshwater Vault - Clause Search
+ *
+ * BM25 ranking over an inverted index of clauses from the clause tree. An index
+ * is built once per document revision and reused for every question; Quick
+ * mode and the excerpts sent to AI Explain both read from it.
+ *
+ * Scoring is BM25F: a term's frequency in the heading and in the body are
+ * length-normalized separately (so long sections don't win by size alone),
+ * headings count HEADING_WEIGHT times as much, and IDF makes rare terms like
+ * "arbitration" outweigh common ones like "work". Synonyms widen a question
+ * but count for less than the words the client typed; they are data staff
+ * edit (shared, plus an overlay per client type), compiled by
+ * compileSynonyms and passed in with each search.
+ *
+ * Index and question words are reduced to a stem, so "cancelled", "plowing"
+ * and "invoices" find "cancel", "plow" and "invoice". A question word that
+ * is in none of the indexes is corrected to the closest word that is, within
+ * one or two typos; didYouMean offers the corrected question to the client.
+ * matchTerms and snippet pick the sentences of a clause that answer the
+ * question, for chat and for the excerpts AI Explain receives.
+ *
+ * Indexes are plain objects and arrays, so they can be stored and moved
+ * between threads as they are.
+ */
+
+/**
+ * Normalize text for comparison.
+ * @param {string} q
+ * @returns {string}
+ */
+function normalize(q) {
+  return (q || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Expand search tokens using a synonym dictionary. Words join a synonym
+ * group by stem, so "cancelled" brings in the cancel group.
+ * @param {string} question
+ * @param {Object<string, string[]>} [dictionary]
+ * @returns {string[]}
+ */
+function expandTokens(question, dictionary = {}) {
+  const q = normalize(question);
+  const raw = q.split(' ').filter(Boolean);
+  const set = new Set(raw);
+
+  for (const [k, arr] of Object.entries(dictionary)) {
+    const stems = [k, ...arr].map(stem);
+    for (const w of raw) {
+      if (stems.includes(stem(w))) {
+        set.add(k);
+        arr.forEach((x) => set.add(x));
+      }
+    }
+  }
+
+  return Array.from(set)
+    .filter((t) => t.length >= 3)
+    .slice(0, 30);
+}
+
+// BM25 parameters: term-frequency saturation and per-field length normalization
+const K1 = 1.2;
+const B_BODY = 0.75;
+const B_HEADING = 0.5;
+const HEADING_WEIGHT = 2.5;
+// Synonyms widen recall without outranking the client's own words
+const SYNONYM_WEIGHT = 0.7;
+// A typo-corrected word counts for a little less than one spelled as in the document
+const FUZZY_WEIGHT = 0.8;
+
+// Words too common in questions and agreements to say anything about a clause
+const STOPWORDS = new Set(
+  (
+    'a an and are as at be been but by can could do does for from had has have how i if in into is it its ' +
+    'me my no not of on or our shall should so than that the their them then there these they this those ' +
+    'to was we were what when where which who why will with would you your'
+  ).split(' ')
+);
+
+// Derivational endings stem() removes (longest first), when at least four letters remain
+const SUFFIXES = ['ization', 'ation', 'ment', 'ness', 'ity', 'able', 'ible', 'ance', 'ence', 'ive', 'ize', 'ate', 'ful', 'ous', 'al', 'ly'];
+
+/**
+ * Reduce a word to its stem: plurals, -ed and -ing, and common derivational
+ * endings, after Porter. Stems need not be words ("invoic", "cancel"); the
+ * index maps each back to a spelling from the document.
+ * @param {string} word - lowercase, as from tokenize
+ * @returns {string}
+ */
+function stem(word) {
+  let w = word;
+  if (w.length <= 3 || /\d/.test(w)) return w;
+
+  if (w.endsWith('sses')) w = w.slice(0, -2);
+  else if (w.endsWith('ies') && w.length > 4) w = `${w.slice(0, -3)}y`;
+  else if (w.endsWith('s') && !/(ss|us|is)$/.test(w)) w = w.slice(0, -1);
+
+  if (w.endsWith('eed')) {
+    if (w.length > 4) w = w.slice(0, -1);
+  } else if (w.endsWith('ied') && w.length > 4) {
+    w = `${w.slice(0, -3)}y`;
+  } else {
+    const verb = w.match(/^(.*[aeiouy].*?)(ed|ing)$/);
+    if (verb && verb[1].length >= 3) {
+      w = verb[1];
+      if (/(at|bl|iz)$/.test(w)) w += 'e';
+      else if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+    }
+  }
+
+  // Two passes, so "generally" and "general" meet
+  for (let pass = 0; pass < 2; pass++) {
+    const suffix = SUFFIXES.find((s) => w.endsWith(s) && w.length - s.length >= 4);
+    if (!suffix) break;
+    w = w.slice(0, -suffix.length);
+  }
+
+  if (w.endsWith('e') && w.length >= 4) w = w.slice(0, -1);
+  if (w.endsWith('ll') && w.length > 4) w = w.slice(0, -1);
+  return w;
+}
+
+/**
+ * Split text into index terms: lowercase words of two or more letters or
+ * digits, without stopwords.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  return normalize(text)
+    .split(' ')
+    .filter((t) => t.length >= 2 && !STOPWORDS.has(t));
+}
+
+/**
+ * Compile synonym dictionaries (`{ key: [words] }`, as staff edit them) into
+ * the stem groups searches take. A later dictionary extends the group of an
+ * earlier one with the same key, so a client type's overlay adds to the
+ * shared dictionary.
+ * @param {...Object<string, string[]>} dictionaries
+ * @returns {string[][]}
+ */
+function compileSynonyms(...dictionaries) {
+  const groups = new Map();
+  for (const dictionary of dictionaries) {
+    for (const [key, words] of Object.entries(dictionary || {})) {
+      const group = groups.get(key) || new Set();
+      for (const w of tokenize([key, ...words].join(' '))) group.add(stem(w));
+      groups.set(key, group);
+    }
+  }
+  return Array.from(groups.values(), (group) => [...group]);
+}
+
+/**
+ * The concepts in a question: each stem asked (weight 1, or FUZZY_WEIGHT
+ * once `correct` fixes its spelling) with its synonym group
+ * (SYNONYM_WEIGHT). searchIndexes scores each concept as one term, so a big
+ * synonym group can't outweigh the word that brought it in.
+ * @param {string} question
+ * @param {function(string): ?string} [correct] - a stem's correction, or null
+ * @param {string[][]} [synonyms] - from compileSynonyms
+ * @returns {Array<Array<{term: string, weight: number}>>}
+ */
+function queryTerms(question, correct = () => null, synonyms = []) {
+  const stems = [...new Set(tokenize(question).map(stem))];
+  return stems.map((asked) => {
+    const fixed = correct(asked);
+    const term = fixed || asked;
+    const weight = fixed ? FUZZY_WEIGHT : 1;
+    const concept = new Map([[term, weight]]);
+    for (const group of synonyms) {
+      if (!group.includes(term)) continue;
+      for (const t of group) {
+        if (!concept.has(t)) concept.set(t, Math.min(weight, SYNONYM_WEIGHT));
+      }
+    }
+    return Array.from(concept, ([t, w]) => ({ term: t, weight: w }));
+  });
+}
+
+function countTerms(terms) {
+  const counts = new Map();
+  for (const t of terms) counts.set(t, (counts.get(t) || 0) + 1);
+  return counts;
+}
+
+/**
+ * Build the inverted index for one document's clauses.
+ * `terms[stem]` lists `[clause index, heading tf, body tf]` for every clause
+ * containing it; `lengths[i]` is `[heading terms, body terms]`; `forms[stem]`
+ * is the first spelling of it in the document.
+ * @param {Array<{heading: string, text: string}>} clauses - from the clause tree, in document order
+ * @returns {{clauses: Array, lengths: Array<[number, number]>, terms: Object<string, Array<[number, number, number]>>, forms: Object<string, string>, headingTotal: number, bodyTotal: number}}
+ */
+function buildIndex(clauses) {
+  const terms = {};
+  const forms = {};
+  const lengths = [];
+  let headingTotal = 0;
+  let bodyTotal = 0;
+  const stems = (text) => tokenize(text).map((word) => {
+    const s = stem(word);
+    if (!Object.hasOwn(forms, s)) forms[s] = word;
+    return s;
+  });
+
+  clauses.forEach((clause, i) => {
+    const heading = stems(clause.heading);
+    const body = stems(clause.text);
+    lengths.push([heading.length, body.length]);
+    headingTotal += heading.length;
+    bodyTotal += body.length;
+
+    const headingCounts = countTerms(heading);
+    const bodyCounts = countTerms(body);
+    for (const term of new Set([...headingCounts.keys(), ...bodyCounts.keys()])) {
+      if (!Object.hasOwn(terms, term)) terms[term] = [];
+      terms[term].push([i, headingCounts.get(term) || 0, bodyCounts.get(term) || 0]);
+    }
+  });
+
+  return { clauses, lengths, terms, forms, headingTotal, bodyTotal };
+}
+
+// Typos forgiven in a stem: none in short ones, where one edit reaches too many other
+// words ("house" -> "hour"), one from five letters, two from eight
+function maxEdits(term) {
+  if (term.length >= 8) return 2;
+  return term.length >= 5 ? 1 : 0;
+}
+
+// Optimal string alignment distance (a swap of neighbours is one edit); stops
+// counting past `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let before = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d = Math.min(d, before[j - 2] + 1);
+      row.push(d);
+      best = Math.min(best, d);
+    }
+    if (best > max) return max + 1;
+    before = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Spelling correction against the indexes' vocabulary. The returned function
+ * maps a stem that no index contains (and no synonym group knows) to the
+ * nearest stem that one does with the same first letter, preferring fewer
+ * edits and then the more frequent stem; anything else maps to null.
+ * @param {Array<Object>} indexes - from buildIndex
+ * @param {string[][]} [synonyms] - from compileSynonyms
+ * @returns {function(string): ?string}
+ */
+function corrector(indexes, synonyms = []) {
+  let vocabulary = null; // stem -> occurrences, built on the first unknown word
+  const fixes = new Map();
+  return (term) => {
+    if (fixes.has(term)) return fixes.get(term);
+    let fixed = null;
+    const max = maxEdits(term);
+    const known = indexes.some((idx) => Object.hasOwn(idx.terms, term)) || synonyms.some((g) => g.includes(term));
+    if (max && !known && !/\d/.test(term)) {
+      if (!vocabulary) {
+        vocabulary = new Map();
+        for (const idx of indexes) {
+          for (const [t, postings] of Object.entries(idx.terms)) {
+            const occurrences = postings.reduce((n, [, headingTf, bodyTf]) => n + headingTf + bodyTf, 0);
+            vocabulary.set(t, (vocabulary.get(t) || 0) + occurrences);
+          }
+        }
+      }
+      let best = { distance: max + 1, occurrences: 0 };
+      for (const [candidate, occurrences] of vocabulary) {
+        if (candidate[0] !== term[0] || /\d/.test(candidate)) continue;
+        const distance = editDistance(term, candidate, max);
+        if (distance < best.distance || (distance === best.distance && occurrences > best.occurrences)) {
+          best = { distance, occurrences };
+          fixed = candidate;
+        }
+      }
+      if (best.distance > max) fixed = null;
+    }
+    fixes.set(term, fixed);
+    return fixed;
+  };
+}
+
+// Score every matching clause: [{ x (index), i (clause), score }], best first
+function rank(indexes, question, correct, synonyms) {
+  const count = indexes.reduce((n, idx) => n + idx.clauses.length, 0);
+  if (!count) return [];
+  const avgHeading = indexes.reduce((n, idx) => n + idx.headingTotal, 0) / count || 1;
+  const avgBody = indexes.reduce((n, idx) => n + idx.bodyTotal, 0) / count || 1;
+
+  // Per index: clause index -> total score
+  const scores = indexes.map(() => new Map());
+  const stats = new Map(); // term -> { df, idf, postings } for the terms seen so far
+  const termStats = (term) => {
+    if (!stats.has(term)) {
+      const postings = indexes.map((idx) => (Object.hasOwn(idx.terms, term) ? idx.terms[term] : []));
+      const df = postings.reduce((n, p) => n + p.length, 0);
+      stats.set(term, { df, idf: Math.log(1 + (count - df + 0.5) / (df + 0.5)), postings });
+    }
+    return stats.get(term);
+  };
+
+  for (const concept of queryTerms(question, correct, synonyms)) {
+    // A concept's terms count as one: their frequencies add up and saturate together,
+    // and its IDF is the weighted mean over the terms the clause contains. A synonym
+    // stands in for the word asked, so it is never rarer than that word.
+    const asked = termStats(concept[0].term);
+    const maxIdf = asked.df ? asked.idf : Infinity;
+    const merged = indexes.map(() => new Map()); // clause index -> { tf, idf, weight }
+    for (const { term, weight } of concept) {
+      const { postings } = termStats(term);
+      const idf = Math.min(termStats(term).idf, maxIdf);
+      postings.forEach((list, x) => {
+        for (const [i, headingTf, bodyTf] of list) {
+          const [headingLen, bodyLen] = indexes[x].lengths[i];
+          const tf =
+            (HEADING_WEIGHT * headingTf) / (1 - B_HEADING + (B_HEADING * headingLen) / avgHeading) +
+            bodyTf / (1 - B_BODY + (B_BODY * bodyLen) / avgBody);
+          const m = merged[x].get(i) || { tf: 0, idf: 0, weight: 0 };
+          m.tf += weight * tf;
+          m.idf += weight * idf;
+          m.weight += weight;
+          merged[x].set(i, m);
+        }
+      });
+    }
+    merged.forEach((byClause, x) => {
+      for (const [i, { tf, idf, weight }] of byClause) {
+        const score = ((idf / weight) * tf * (K1 + 1)) / (K1 + tf);
+        scores[x].set(i, (scores[x].get(i) || 0) + score);
+      }
+    });
+  }
+
+  // Ties keep document order
+  return scores
+    .flatMap((byClause, x) => Array.from(byClause, ([i, score]) => ({ x, i, score })))
+    .sort((a, b) => b.score - a.score || a.x - b.x || a.i - b.i);
+}
+
+// One query token: an optional `-`, an optional `field:`, then a "quoted phrase" (the
+// closing quote may be missing) or a bare word
+const QUERY_TOKEN_RE = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+const QUERY_FIELDS = ['heading', 'doc'];
+
+const emptyFilter = () => ({ words: [], phrases: [], headings: [], docs: [] });
+
+/**
+ * Parse search syntax:
+ *   "exact phrase"     the clause has these words, in this order
+ *   -word, -"phrase"   the clause must not have it (also -heading:, -doc:)
+ *   heading:word       the clause heading has it (heading:"two words" too)
+ *   doc:com_msa        only that document's clauses
+ *   a OR b             either side; phrases and filters belong to their side
+ * Everything else is ranked as before, and every word, phrase and heading filter
+ * counts toward the ranking. Exclusions apply to every side.
+ * @param {string} query
+ * @returns {{alternatives: Array<{words: string[], phrases: string[], headings: string[], docs: string[]}>, exclude: {words: string[], phrases: string[], headings: string[], docs: string[]}, advanced: boolean}}
+ */
+function parseQuery(query) {
+  const alternatives = [emptyFilter()];
+  const exclude = emptyFilter();
+  let advanced = false;
+
+  for (const [token, sign, rawField, quoted, bare] of String(query || '').matchAll(QUERY_TOKEN_RE)) {
+    const alt = alternatives[alternatives.length - 1];
+    if (token === 'OR') {
+      if (alt.words.length || alt.phrases.length || alt.headings.length || alt.docs.length) alternatives.push(emptyFilter());
+      advanced = true;
+      continue;
+    }
+    const field = rawField && QUERY_FIELDS.includes(rawField.toLowerCase()) ? rawField.toLowerCase() : null;
+    const target = sign ? exclude : alt;
+    if (field === 'doc') {
+      // Document IDs are matched as written
+      const id = (quoted ?? bare).trim().toLowerCase();
+      if (id) target.docs.push(id);
+      advanced = true;
+      continue;
+    }
+    // An unknown field ("note:x") is just text
+    const value = normalize(field || !rawField ? (quoted ?? bare) : `${rawField} ${quoted ?? bare}`);
+    if (!value) continue;
+    // An excluded stopword ("-the") has no indexed form, and as a phrase it would rule
+    // out nearly every clause, so it is dropped
+    if (sign && field !== 'heading' && !tokenize(value).length) continue;
+    if (sign || field || quoted !== undefined) advanced = true;
+
+    if (field === 'heading') target.headings.push(value);
+    else if (sign) {
+      // A single word is excluded in any form; anything longer as written
+      const words = tokenize(value);
+      if (words.length === 1) target.words.push(words[0]);
+      else target.phrases.push(value);
+    } else if (quoted !== undefined) target.phrases.push(value);
+    else target.words.push(value);
+  }
+
+  return { alternatives, exclude, advanced };
+}
+
+// Every matching clause for a parsed query: [{ x, i, score }], best first
+function search(indexes, query, correct, synonyms) {
+  const { alternatives, exclude } = parseQuery(query);
+  const key = (r) => `${r.x}:${r.i}`;
+  const texts = new Map(); // key -> normalized heading and text, for phrases
+
+  const hasWord = (x, i, word) => {
+    const t = stem(word);
+    return Object.hasOwn(indexes[x].terms, t) && indexes[x].terms[t].some(([j]) => j === i);
+  };
+  const hasPhrase = (x, i, phrase) => {
+    const k = `${x}:${i}`;
+    if (!texts.has(k)) {
+      const clause = indexes[x].clauses[i];
+      texts.set(k, ` ${normalize(`${clause.heading} ${clause.text}`)} `);
+    }
+    return texts.get(k).includes(` ${phrase} `);
+  };
+  // Heading filters match by stem, typos corrected like the rest of the question
+  const inHeading = (x, i, value, fix) => {
+    const heading = indexes[x].clauses[i].heading;
+    const wanted = tokenize(value).map((w) => (fix && correct(stem(w))) || stem(w));
+    if (!wanted.length) return ` ${normalize(heading)} `.includes(` ${value} `);
+    const stems = tokenize(heading).map(stem);
+    return wanted.every((w) => stems.includes(w));
+  };
+  const inDoc = (x, i, docs) => docs.includes(String(indexes[x].clauses[i].docId || '').toLowerCase());
+
+  const excluded = (x, i) =>
+    exclude.words.some((w) => hasWord(x, i, w)) ||
+    exclude.phrases.some((p) => hasPhrase(x, i, p)) ||
+    exclude.headings.some((h) => inHeading(x, i, h, false)) ||
+    inDoc(x, i, exclude.docs);
+  const allows = (alt, x, i) =>
+    alt.phrases.every((p) => hasPhrase(x, i, p)) &&
+    alt.headings.every((h) => inHeading(x, i, h, true)) &&
+    (!alt.docs.length || inDoc(x, i, alt.docs));
+
+  const best = new Map();
+  for (const alt of alternatives) {
+    let hits = rank(indexes, [...alt.words, ...alt.phrases, ...alt.headings].join(' '), correct, synonyms);
+    // With filters, every clause that passes them is a hit, ranked or not
+    if (alt.phrases.length || alt.headings.length || alt.docs.length) {
+      const scores = new Map(hits.map((r) => [key(r), r.score]));
+      hits = indexes
+        .flatMap((idx, x) => idx.clauses.map((_, i) => ({ x, i, score: scores.get(`${x}:${i}`) || 0 })))
+        .filter((r) => allows(alt, r.x, r.i));
+    }
+    for (const r of hits) {
+      if (excluded(r.x, r.i)) continue;
+      if (!best.has(key(r)) || best.get(key(r)).score < r.score) best.set(key(r), r);
+    }
+  }
+
+  return [...best.values()].sort((a, b) => b.score - a.score || a.x - b.x || a.i - b.i);
+}
+
+/**
+ * Rank clauses across one or more document indexes. Collection statistics
+ * (clause count, document frequency, average lengths) are pooled, so scores
+ * are comparable across documents. Misspelled words are corrected first, and
+ * the question may use the syntax parseQuery describes.
+ * @param {Array<Object>} indexes - from buildIndex
+ * @param {string} question
+ * @param {number} top
+ * @param {{synonyms?: string[][]}} [options] - synonyms from compileSynonyms
+ * @returns {Array<{heading: string, text: string, score: number}>} clauses with their score, best first
+ */
+function searchIndexes(indexes, question, top = 3, { synonyms = [] } = {}) {
+  if (!indexes.length) return [];
+  return search(indexes, question, corrector(indexes, synonyms), synonyms)
+    .slice(0, top)
+    .map(({ x, i, score }) => ({ ...indexes[x].clauses[i], score }));
+}
+
+/**
+ * The question with its misspelled words corrected, spelled as the documents
+ * spell them, if the correction finds top clauses the question as typed
+ * does not; otherwise null. Phrases, exclusions and doc: filters are left as
+ * typed, since they are never corrected.
+ * @param {Array<Object>} indexes - from buildIndex
+ * @param {string} question
+ * @param {number} top - how many results the caller shows
+ * @param {{synonyms?: string[][]}} [options] - as for searchIndexes
+ * @returns {?string}
+ */
+function didYouMean(indexes, question, top = 3, { synonyms = [] } = {}) {
+  if (!indexes.length) return null;
+  const correct = corrector(indexes, synonyms);
+  const spell = (t) => indexes.find((idx) => Object.hasOwn(idx.forms, t)).forms[t];
+  let changed = false;
+  const corrected = question.replace(QUERY_TOKEN_RE, (token, sign, field, quoted) => {
+    if (sign || (field && field.toLowerCase() !== 'heading') || (quoted !== undefined && !field)) return token;
+    return token.replace(/[a-z0-9]+/gi, (word, at) => {
+      if (field && at < field.length) return word;
+      const lower = word.toLowerCase();
+      const fixed = STOPWORDS.has(lower) ? null : correct(stem(lower));
+      if (!fixed) return word;
+      changed = true;
+      return spell(fixed);
+    });
+  });
+  if (!changed) return null;
+
+  const key = (r) => `${r.x}:${r.i}`;
+  const asTyped = new Set(search(indexes, question, () => null, synonyms).slice(0, top).map(key));
+  return search(indexes, question, correct, synonyms).slice(0, top).some((r) => !asTyped.has(key(r))) ? corrected : null;
+}
+
+/**
+ * The stems a question matches on, for picking and highlighting the passage
+ * that answers it: each word asked (corrected as searchIndexes corrects it),
+ * its synonyms, and the words of its phrases and heading: filters. A stem's
+ * weight is what it counts for in the ranking times its IDF across
+ * `indexes`, so rare words lead. Exclusions are left out.
+ * @param {Array<Object>} indexes - from buildIndex
+ * @param {string} question
+ * @param {{synonyms?: string[][]}} [options] - as for searchIndexes
+ * @returns {Object<string, number>} stem -> weight
+ */
+function matchTerms(indexes, question, { synonyms = [] } = {}) {
+  const correct = corrector(indexes, synonyms);
+  const count = indexes.reduce((n, idx) => n + idx.clauses.length, 0);
+  const idf = (term) => {
+    const df = indexes.reduce((n, idx) => n + (Object.hasOwn(idx.terms, term) ? idx.terms[term].length : 0), 0);
+    return Math.log(1 + (count - df + 0.5) / (df + 0.5));
+  };
+  const terms = {};
+  for (const alt of parseQuery(question).alternatives) {
+    for (const concept of queryTerms([...alt.words, ...alt.phrases, ...alt.headings].join(' '), correct, synonyms)) {
+      // As in rank(), a synonym is never rarer than the word asked
+      const maxIdf = idf(concept[0].term);
+      for (const { term, weight } of concept) {
+        terms[term] = Math.max(terms[term] || 0, weight * Math.min(idf(term), maxIdf));
+      }
+    }
+  }
+  return terms;
+}
+
+// Where a clause's text breaks into sentences (and semicolon-separated parts)
+const SENTENCE_BREAK = /(?<=[.!?;:])\s+/;
+// A term already in the snippet counts this much toward another sentence
+const REPEAT_WEIGHT = 0.25;
+
+/**
+ * The part of a clause's text that answers a question, in at most `limit`
+ * characters (plus ellipses). Sentences are picked by the weight of the terms
+ * they contain, best first, and a term already picked counts for less, so a
+ * second window adds something new. Leftover room goes to the sentences
+ * around the picked ones. Windows keep document order; gaps between them and
+ * cut-off ends show as "...". Text that fits is returned whole, and text with
+ * no term in it is cut like excerpt().
+ * @param {string} text - clause text
+ * @param {Object<string, number>} terms - from matchTerms
+ * @param {number} limit
+ * @returns {string}
+ */
+function snippet(text, terms, limit = 900) {
+  const s = (text || '').trim().replace(/\s+/g, ' ');
+  if (s.length <= limit) return s;
+
+  const sentences = s.split(SENTENCE_BREAK);
+  const stems = sentences.map((sentence) => new Set(tokenize(sentence).map(stem).filter((t) => terms[t])));
+  const picked = new Set();
+  const covered = new Set();
+  let used = 0;
+  const fits = (i) => i >= 0 && i < sentences.length && !picked.has(i) && used + sentences[i].length + 1 <= limit;
+  const pick = (i) => {
+    picked.add(i);
+    used += sentences[i].length + 1;
+    stems[i].forEach((t) => covered.add(t));
+  };
+
+  for (;;) {
+    let best = -1;
+    let bestScore = 0;
+    sentences.forEach((_, i) => {
+      if (!fits(i)) return;
+      let score = 0;
+      for (const t of stems[i]) score += covered.has(t) ? terms[t] * REPEAT_WEIGHT : terms[t];
+      if (score > bestScore) [best, bestScore] = [i, score];
+    });
+    if (best === -1) break;
+    pick(best);
+  }
+
+  if (!picked.size) {
+    // Only a sentence longer than the limit has the terms: cut it around the first one
+    const at = stems.findIndex((set) => set.size);
+    if (at === -1) return `${s.slice(0, limit)}...`;
+    const sentence = sentences[at];
+    const first = [...sentence.matchAll(/[a-z0-9]+/gi)].find((m) => terms[stem(m[0].toLowerCase())]);
+    const start = Math.max(0, sentence.lastIndexOf(' ', Math.max(0, first.index - Math.floor(limit / 4))) + 1);
+    return `${at > 0 || start > 0 ? '...' : ''}${sentence.slice(start, start + limit)}...`;
+  }
+
+  // Fill with context, the sentence after each window before the one before it
+  for (let grew = true; grew; ) {
+    grew = false;
+    for (const i of [...picked].sort((a, b) => a - b)) {
+      for (const j of [i + 1, i - 1]) {
+        if (fits(j)) {
+          pick(j);
+          grew = true;
+        }
+      }
+    }
+  }
+
+  const order = [...picked].sort((a, b) => a - b);
+  const body = order.map((i, k) => (k === 0 ? '' : i === order[k - 1] + 1 ? ' ' : ' ... ') + sentences[i]).join('');
+  return `${order[0] > 0 ? '... ' : ''}${body}${order[order.length - 1] < sentences.length - 1 ? ' ...' : ''}`;
+}
+
+export {
+  normalize,
+  stem,
+  tokenize,
+  expandTokens,
+  compileSynonyms,
+  queryTerms,
+  buildIndex,
+  parseQuery,
+  searchIndexes,
+  didYouMean,
+  matchTerms,
+  snippet,
+};
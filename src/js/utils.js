@@ -135,6 +135,21 @@ function isValidEmail(email) {
   return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
 }
 
+/**
+ * Build an Authorization header from the stored portal session, if any.
+ * @returns {Object}
+ */
+function authHeaders() {
+  try {
+    const auth = JSON.parse(sessionStorage.getItem('fw_auth') || 'null');
+    return auth && auth.token && auth.expiresAt > Date.now()
+      ? { Authorization: `Bearer ${auth.token}` }
+      : {};
+  } catch {
+    return {};
+  }
+}
+
 export {
   sanitize,
   debounce,
@@ -146,4 +161,5 @@ export {
   isNonEmptyString,
   simpleHash,
   isValidEmail,
+  authHeaders,
 };
@@ -1,10 +1,19 @@
-const CACHE_NAME = 'freshwater-vault-v4';
+const CACHE_NAME = 'freshwater-vault-v23';
 const ASSETS_TO_CACHE = [
   '/',
   '/index.html',
   '/manifest.json',
   '/src/css/main.css',
   '/src/css/themes.css',
+  '/src/js/docs.js',
+  '/src/js/clauses.js',
+  '/src/js/search.js',
+  '/src/js/faq.js',
+  '/src/js/i18n.js',
+  '/src/js/doc-store.js',
+  '/src/js/indexer.js',
+  '/src/js/index-worker.js',
+  '/src/js/pdf.js',
   '/public/assets/logo-dark.png',
 ];
 
@@ -55,15 +64,18 @@ self.addEventListener('fetch', (event) => {
         return response;
       })
       .catch(() => {
-        // Fall back to cache
-        return caches.match(event.request).then(
-          (cached) =>
-            cached ||
-            new Response('Offline - please reconnect to the internet.', {
-              status: 503,
-              headers: { 'Content-Type': 'text/plain' },
-            })
-        );
+        // Fall back to cache; app routes (/docs/<id>) are all served by index.html
+        return caches
+          .match(event.request)
+          .then((cached) => cached || (event.request.mode === 'navigate' ? caches.match('/index.html') : null))
+          .then(
+            (cached) =>
+              cached ||
+              new Response('Offline - please reconnect to the internet.', {
+                status: 503,
+                headers: { 'Content-Type': 'text/plain' },
+              })
+          );
       })
   );
 });
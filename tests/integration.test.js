@@ -74,6 +74,15 @@ describe('API Integration: ask.js', () => {
     const limited = longText.slice(0, 1500);
     expect(limited.length).toBe(1500);
   });
+
+  test('answers in a known language, English otherwise', () => {
+    const RESPONSE_LANGUAGES = { en: 'English', es: 'Spanish' };
+    const responseLanguage = (body) => (Object.hasOwn(RESPONSE_LANGUAGES, body.language) ? body.language : 'en');
+    expect(responseLanguage({ language: 'es' })).toBe('es');
+    expect(responseLanguage({})).toBe('en');
+    expect(responseLanguage({ language: 'fr' })).toBe('en');
+    expect(responseLanguage({ language: 'constructor' })).toBe('en');
+  });
 });
 
 describe('API Integration: analytics.js', () => {
@@ -108,21 +117,56 @@ describe('API Integration: analytics.js', () => {
     }
     expect(events.length).toBe(500);
   });
+
+  test('records searches only from signed sessions, within the hourly limit', () => {
+    // Mirrors the search branch of analytics.js
+    const limits = new Map();
+    const allow = (key) => {
+      const record = limits.get(key) || { count: 0 };
+      record.count++;
+      limits.set(key, record);
+      return record.count <= 60;
+    };
+    const recorded = [];
+    const track = (session, body, ip = '1.2.3.4') => {
+      if (session && body.event === 'search' && body.query && allow(session.sub ? `client:${session.sub}` : `ip:${ip}`)) {
+        recorded.push({ query: body.query, clientType: session.clientType });
+      }
+    };
+
+    track(null, { event: 'search', query: 'free money', clientType: 'residential' });
+    track({ clientType: 'hoa' }, { event: 'search', query: 'dues', clientType: 'municipal' });
+    for (let i = 0; i < 70; i++) track({ sub: 'cl_1', clientType: 'commercial' }, { event: 'search', query: `q${i}` });
+    expect(recorded[0]).toEqual({ query: 'dues', clientType: 'hoa' });
+    expect(recorded).toHaveLength(61);
+  });
 });
 
 describe('Caching Behavior', () => {
-  test('cache key generation is consistent', () => {
-    function getCacheKey(question, excerpts) {
-      const normalized = question.toLowerCase().trim();
-      const excerptKey = excerpts.map((e) => e.heading).join('|');
-      return `${normalized}::${excerptKey}`;
-    }
+  function getCacheKey(question, excerpts, language = 'en') {
+    const normalized = question.toLowerCase().trim();
+    const excerptKey = excerpts.map((e) => `${e.document}/${e.heading}`).join('|');
+    return `${language}:${normalized}::${excerptKey}`;
+  }
 
+  test('cache key generation is consistent', () => {
     const key1 = getCacheKey('What is the fee?', [{ heading: 'SECTION 1' }]);
     const key2 = getCacheKey('what is the fee?', [{ heading: 'SECTION 1' }]);
     expect(key1).toBe(key2);
   });
 
+  test('same heading in different documents is a different answer', () => {
+    const msa = getCacheKey('What is the fee?', [{ document: 'Master Service Agreement', heading: 'SECTION 1' }]);
+    const sub = getCacheKey('What is the fee?', [{ document: 'Subcontractor Agreement', heading: 'SECTION 1' }]);
+    expect(msa).not.toBe(sub);
+  });
+
+  test('an answer in Spanish is cached apart from the English one', () => {
+    const excerpts = [{ document: 'Master Service Agreement', heading: 'SECTION 8' }];
+    expect(getCacheKey('Can I cancel?', excerpts)).toBe(getCacheKey('Can I cancel?', excerpts, 'en'));
+    expect(getCacheKey('Can I cancel?', excerpts, 'es')).not.toBe(getCacheKey('Can I cancel?', excerpts));
+  });
+
   test('cache respects TTL', () => {
     const CACHE_TTL = 60 * 60 * 1000; // 1 hour
     const cachedAt = Date.now() - 30 * 60 * 1000; // 30 minutes ago
@@ -256,3 +300,1211 @@ describe('Session Management', () => {
     expect(id).toMatch(/^sess_[a-z0-9]+_[a-z0-9]+$/);
   });
 });
+
+describe('API Integration: auth.js', () => {
+  const crypto = require('crypto');
+  const SECRET = 'test-secret';
+
+  function hashPin(pin, salt = crypto.randomBytes(16).toString('hex')) {
+    return `${salt}:${crypto.scryptSync(String(pin), salt, 32).toString('hex')}`;
+  }
+
+  function verifyPin(pin, stored) {
+    const [salt] = stored.split(':');
+    return hashPin(pin, salt) === stored;
+  }
+
+  function signSession(claims, ttl) {
+    const payload = Buffer.from(JSON.stringify({ ...claims, exp: Date.now() + ttl })).toString('base64url');
+    const sig = crypto.createHmac('sha256', SECRET).update(payload).digest('base64url');
+    return `${payload}.${sig}`;
+  }
+
+  function verifySession(token) {
+    const [payload, sig] = token.split('.');
+    const expected = crypto.createHmac('sha256', SECRET).update(payload).digest('base64url');
+    if (sig !== expected) return null;
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return Date.now() < claims.exp ? claims : null;
+  }
+
+  test('hashes are salted and verify only the right PIN', () => {
+    const a = hashPin('2003');
+    const b = hashPin('2003');
+    expect(a).not.toBe(b);
+    expect(a).not.toContain('2003');
+    expect(verifyPin('2003', a)).toBe(true);
+    expect(verifyPin('2004', a)).toBe(false);
+  });
+
+  test('accepts a valid session token', () => {
+    const token = signSession({ clientType: 'hoa' }, 60000);
+    expect(verifySession(token).clientType).toBe('hoa');
+  });
+
+  test('rejects a forged session token', () => {
+    const token = signSession({ clientType: 'hoa' }, 60000);
+    const forged = Buffer.from(JSON.stringify({ clientType: 'municipal', exp: Date.now() + 60000 })).toString('base64url');
+    expect(verifySession(`${forged}.${token.split('.')[1]}`)).toBeNull();
+  });
+
+  test('rejects an expired session token', () => {
+    expect(verifySession(signSession({ clientType: 'hoa' }, -1))).toBeNull();
+  });
+
+  test('locks out after repeated failures', () => {
+    const attemptMap = new Map();
+    const MAX = 5;
+    function recordFailure(key) {
+      const record = attemptMap.get(key) || { count: 0, lockedUntil: 0 };
+      record.count++;
+      if (record.count >= MAX) record.lockedUntil = Date.now() + 15 * 60 * 1000;
+      attemptMap.set(key, record);
+    }
+    const isLocked = (key) => (attemptMap.get(key)?.lockedUntil || 0) > Date.now();
+
+    for (let i = 0; i < 4; i++) recordFailure('ip:1.2.3.4');
+    expect(isLocked('ip:1.2.3.4')).toBe(false);
+    recordFailure('ip:1.2.3.4');
+    expect(isLocked('ip:1.2.3.4')).toBe(true);
+    expect(isLocked('ip:5.6.7.8')).toBe(false);
+  });
+
+  test('keys lockouts on the edge IP, not the client-supplied X-Forwarded-For', () => {
+    // Mirrors getClientIP in netlify/lib/auth.js
+    function getClientIP(headers) {
+      return (
+        headers['x-nf-client-connection-ip'] ||
+        headers['x-forwarded-for']?.split(',').pop()?.trim() ||
+        'unknown'
+      );
+    }
+    expect(getClientIP({ 'x-nf-client-connection-ip': '5.6.7.8', 'x-forwarded-for': '1.1.1.1' })).toBe('5.6.7.8');
+    expect(getClientIP({ 'x-forwarded-for': '1.1.1.1, 9.9.9.9' })).toBe('9.9.9.9');
+    expect(getClientIP({})).toBe('unknown');
+  });
+
+  test('slows a portal under guessing and alerts staff once, without locking it', () => {
+    // Mirrors createThrottle in netlify/lib/auth.js, as netlify/functions/auth.js uses it
+    const ATTEMPT_WINDOW = 15 * 60 * 1000;
+    const ALERT_FAILURES = 50;
+    let now = 0;
+    function createThrottle({ window, free, maxDelay }) {
+      const failures = new Map();
+      return {
+        wait(key) {
+          const record = failures.get(key);
+          if (!record || now >= record.nextAttemptAt) return 0;
+          return Math.ceil((record.nextAttemptAt - now) / 1000);
+        },
+        fail(key, source) {
+          let record = failures.get(key);
+          if (!record || now - record.lastFailure > window) {
+            record = { count: 0, lastFailure: now, nextAttemptAt: 0, sources: new Set() };
+            failures.set(key, record);
+          }
+          record.count++;
+          record.lastFailure = now;
+          record.sources.add(source);
+          if (record.count > free) {
+            const delay = 1000 * 2 ** (record.count - free - 1);
+            record.nextAttemptAt = now + Math.min(delay, maxDelay);
+          }
+          return { count: record.count, sources: record.sources };
+        },
+      };
+    }
+    const portalThrottle = createThrottle({ window: ATTEMPT_WINDOW, free: 20, maxDelay: 30 * 1000 });
+
+    const alerts = [];
+    const waits = [];
+    let last;
+    for (let i = 0; i < 120; i++) {
+      now += (portalThrottle.wait('hoa') * 1000) || 100;
+      last = portalThrottle.fail('hoa', `10.0.0.${i % 24}`);
+      if (last.count === ALERT_FAILURES) alerts.push(i);
+      waits.push(portalThrottle.wait('hoa'));
+    }
+    expect(alerts).toEqual([49]);
+    expect(waits.slice(0, 20).every((w) => w === 0)).toBe(true);
+    expect(waits.slice(20, 26)).toEqual([1, 2, 4, 8, 16, 30]);
+    expect(Math.max(...waits)).toBe(30);
+    expect(last.sources.size).toBe(24);
+    expect(portalThrottle.wait('commercial')).toBe(0);
+
+    // A quiet spell resets the count
+    now += ATTEMPT_WINDOW + 1;
+    expect(portalThrottle.fail('hoa', '10.0.0.1').count).toBe(1);
+    expect(portalThrottle.wait('hoa')).toBe(0);
+  });
+});
+
+describe('Magic Link Sign-In', () => {
+  const crypto = require('crypto');
+  const hashLinkToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+  function redeem(links, token, now = Date.now()) {
+    const match = links.find((l) => l.hash === hashLinkToken(token) && !l.usedAt && l.expiresAt > now);
+    if (match) match.usedAt = now;
+    return match ? match.clientId : null;
+  }
+
+  test('stores only the hash of the link token', () => {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const record = { hash: hashLinkToken(token), clientId: 'cl_1', expiresAt: Date.now() + 60000 };
+    expect(JSON.stringify(record)).not.toContain(token);
+  });
+
+  test('links work exactly once', () => {
+    const links = [{ hash: hashLinkToken('abc'), clientId: 'cl_1', expiresAt: Date.now() + 60000 }];
+    expect(redeem(links, 'abc')).toBe('cl_1');
+    expect(redeem(links, 'abc')).toBeNull();
+  });
+
+  test('expired links are rejected', () => {
+    const links = [{ hash: hashLinkToken('abc'), clientId: 'cl_1', expiresAt: Date.now() - 1 }];
+    expect(redeem(links, 'abc')).toBeNull();
+  });
+
+  test('a logged notification keeps the link token out of the log', () => {
+    // Mirrors linkTarget in notify.js
+    const linkTarget = (str) => {
+      const url = new URL(str);
+      return `${url.origin}${url.pathname}`;
+    };
+    const token = crypto.randomBytes(32).toString('base64url');
+    const logged = linkTarget(`https://vault.example.com/?login=${encodeURIComponent(token)}`);
+    expect(logged).toBe('https://vault.example.com/');
+    expect(logged).not.toContain(token);
+  });
+});
+
+describe('Document Assignment', () => {
+  function matchAssignment(doc, { clientType, client }) {
+    const assign = doc.assign || {};
+    const propertyIds = (client?.properties || []).map((p) => p.id);
+    if (client && (assign.clientIds || []).includes(client.id)) return 'client';
+    if ((assign.propertyIds || []).some((id) => propertyIds.includes(id))) return 'property';
+    if ((assign.clientTypes || []).includes(clientType)) return doc.template ? 'template' : 'type';
+    return null;
+  }
+
+  function resolveDocuments(docs, viewer) {
+    const matched = docs
+      .map((doc) => ({ doc, assignment: matchAssignment(doc, viewer) }))
+      .filter((m) => m.assignment);
+    const ownSlots = new Set(
+      matched.filter((m) => m.assignment !== 'template' && m.doc.slot).map((m) => m.doc.slot)
+    );
+    return matched
+      .filter((m) => m.assignment !== 'template' || !ownSlots.has(m.doc.slot))
+      .map((m) => m.doc.id);
+  }
+
+  const docs = [
+    { id: 'com_msa', slot: 'msa', template: true, assign: { clientTypes: ['hoa'] } },
+    { id: 'com_sub', slot: 'sub', template: true, assign: { clientTypes: ['hoa'] } },
+    { id: 'maple_msa', slot: 'msa', assign: { propertyIds: ['pr_maple'] } },
+    { id: 'oak_addendum', assign: { clientIds: ['cl_oak'] } },
+  ];
+
+  test('portal sessions see only templates for their type', () => {
+    expect(resolveDocuments(docs, { clientType: 'hoa', client: null })).toEqual(['com_msa', 'com_sub']);
+  });
+
+  test("a property's own agreement replaces the template in its slot", () => {
+    const viewer = { clientType: 'hoa', client: { id: 'cl_maple', properties: [{ id: 'pr_maple' }] } };
+    expect(resolveDocuments(docs, viewer)).toEqual(['com_sub', 'maple_msa']);
+  });
+
+  test('client-specific documents are not visible to other clients', () => {
+    const viewer = { clientType: 'hoa', client: { id: 'cl_elm', properties: [] } };
+    expect(resolveDocuments(docs, viewer)).not.toContain('oak_addendum');
+  });
+
+  test('other client types see nothing', () => {
+    expect(resolveDocuments(docs, { clientType: 'municipal', client: null })).toEqual([]);
+  });
+});
+
+describe('Admin Console', () => {
+  function loadAccessCodes(envJson, rotated) {
+    let fromEnv = {};
+    try {
+      fromEnv = JSON.parse(envJson || '{}');
+    } catch {
+      fromEnv = {};
+    }
+    const codes = { ...fromEnv };
+    for (const [clientType, record] of Object.entries(rotated)) {
+      if (record?.hash) codes[clientType] = record.hash;
+    }
+    return codes;
+  }
+
+  function validateDocument(doc) {
+    if (!/^[a-z0-9_-]{2,60}$/i.test(doc.id || '')) return 'Document ID must be 2-60 letters, numbers, - or _';
+    if (!doc.title) return 'Document title is required';
+    if (doc.googleDocId && !/^[A-Za-z0-9_-]+$/.test(doc.googleDocId)) return 'Invalid Google Doc ID';
+    return null;
+  }
+
+  function isAdmin(session) {
+    return session?.role === 'admin';
+  }
+
+  test('rotated codes take precedence over ACCESS_PIN_HASHES', () => {
+    const codes = loadAccessCodes('{"hoa":"env:hash","municipal":"env:hash2"}', {
+      hoa: { hash: 'new:hash', updatedAt: '2026-03-01T00:00:00Z' },
+    });
+    expect(codes).toEqual({ hoa: 'new:hash', municipal: 'env:hash2' });
+  });
+
+  test('malformed ACCESS_PIN_HASHES falls back to rotated codes only', () => {
+    expect(loadAccessCodes('{not json', { hoa: { hash: 'a:b' } })).toEqual({ hoa: 'a:b' });
+  });
+
+  test('documents need a safe ID and a title', () => {
+    expect(validateDocument({ id: 'maple_ct_msa', title: 'MSA' })).toBeNull();
+    expect(validateDocument({ id: '../etc', title: 'MSA' })).toMatch(/Document ID/);
+    expect(validateDocument({ id: 'ok_id', title: '' })).toMatch(/title/);
+    expect(validateDocument({ id: 'ok_id', title: 'MSA', googleDocId: 'x"><script>' })).toMatch(/Google Doc/);
+  });
+
+  test('client portal sessions are not admin sessions', () => {
+    expect(isAdmin({ clientType: 'hoa', exp: Date.now() + 1000 })).toBe(false);
+    expect(isAdmin(null)).toBe(false);
+    expect(isAdmin({ role: 'admin' })).toBe(true);
+  });
+
+  test('only listed actions run', () => {
+    // Mirrors the action lookup in netlify/functions/admin.js
+    const actions = { 'save-document': () => ({}) };
+    const lookup = (name) => (Object.hasOwn(actions, name) ? actions[name] : null);
+    expect(lookup('save-document')).toBe(actions['save-document']);
+    expect(lookup('constructor')).toBeNull();
+    expect(lookup('__proto__')).toBeNull();
+    expect(lookup(undefined)).toBeNull();
+  });
+
+  test('editing a missing collection leaves its default untouched', async () => {
+    // Mirrors readCollection in netlify/lib/store.js
+    const fsp = require('fs/promises');
+    async function readCollection(file, fallback = []) {
+      try {
+        return JSON.parse(await fsp.readFile(file, 'utf8'));
+      } catch (err) {
+        if (err.code === 'ENOENT') return structuredClone(fallback);
+        throw err;
+      }
+    }
+    const DEFAULT_DOCUMENTS = [{ id: 'res_msa', title: 'MSA' }];
+    const docs = await readCollection('/nonexistent/documents.json', DEFAULT_DOCUMENTS);
+    docs.push({ id: 'new_doc' });
+    docs[0].retired = true;
+    expect(DEFAULT_DOCUMENTS).toEqual([{ id: 'res_msa', title: 'MSA' }]);
+  });
+});
+
+describe('API Integration: docs.js', () => {
+  // Mirrors safeUrl in netlify/lib/sanitize.js (checked against it below)
+  const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', colon: ':', tab: '\t', newline: '\n' };
+
+  function decodeEntities(value) {
+    return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);?/gi, (match, code) => {
+      if (code[0] === '#') {
+        const n = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return Number.isFinite(n) && n > 0 && n < 0x110000 ? String.fromCodePoint(n) : '';
+      }
+      return NAMED_ENTITIES[code.toLowerCase()] ?? match;
+    });
+  }
+
+  function unwrapGoogleRedirect(url) {
+    try {
+      const parsed = new URL(url);
+      if (/(^|\.)google\.com$/.test(parsed.hostname) && parsed.pathname === '/url' && parsed.searchParams.get('q')) {
+        return parsed.searchParams.get('q');
+      }
+    } catch {
+      // relative or malformed - handled by the caller
+    }
+    return url;
+  }
+
+  function safeUrl(raw, { image = false } = {}) {
+    // eslint-disable-next-line no-control-regex
+    const value = decodeEntities(String(raw || '')).replace(/[\u0000- \u007f]/g, '');
+    if (!value) return null;
+    if (!image && /^#[\w.-]+$/.test(value)) return value;
+
+    const url = image ? value : unwrapGoogleRedirect(value);
+    const protocol = url.match(/^([a-z][a-z0-9+.-]*):/i)?.[1]?.toLowerCase();
+    if (image) return protocol === 'https' ? url : null;
+    return ['http', 'https', 'mailto', 'tel'].includes(protocol) ? url : null;
+  }
+
+  function isNotModified(requestHeaders, { etag, lastModified }) {
+    const ifNoneMatch = requestHeaders['if-none-match'];
+    if (ifNoneMatch) {
+      return ifNoneMatch
+        .split(',')
+        .map((tag) => tag.trim().replace(/^W\//, ''))
+        .some((tag) => tag === etag || tag === '*');
+    }
+    const ifModifiedSince = Date.parse(requestHeaders['if-modified-since'] || '');
+    return !Number.isNaN(ifModifiedSince) && Date.parse(lastModified) <= ifModifiedSince;
+  }
+
+  function documentSource(doc) {
+    if (doc.source?.type) return doc.source;
+    if (doc.googleDocId) return { type: 'google', id: doc.googleDocId };
+    return null;
+  }
+
+  function publicDocument(doc) {
+    const available = Boolean(documentSource(doc));
+    const rest = { ...doc };
+    delete rest.googleDocId;
+    delete rest.source;
+    delete rest.assign;
+    return { ...rest, available };
+  }
+
+  const entry = { etag: '"abc123"', lastModified: 'Mon, 02 Mar 2026 10:00:00 GMT' };
+
+  test('the safeUrl copies match netlify/lib/sanitize.js', () => {
+    // Jest can't import the ES module, so compare the source instead: a change to the
+    // real functions fails here until the copies above are updated with it
+    const fs = require('fs');
+    const path = require('path');
+    const squash = (code) => code.replace(/\s+/g, ' ');
+    const source = squash(fs.readFileSync(path.join(__dirname, '..', 'netlify', 'lib', 'sanitize.js'), 'utf8'));
+    const entities = source.match(/const NAMED_ENTITIES = (\{.*?\});/)[1];
+    expect(new Function(`return ${entities}`)()).toEqual(NAMED_ENTITIES);
+    for (const fn of [decodeEntities, unwrapGoogleRedirect, safeUrl]) {
+      expect(source).toContain(squash(fn.toString()));
+    }
+  });
+
+  test('rejects script and obfuscated javascript: links', () => {
+    expect(safeUrl('javascript:alert(1)')).toBeNull();
+    expect(safeUrl(' java\tscript:alert(1)')).toBeNull();
+    expect(safeUrl('java&#115;cript:alert(1)')).toBeNull();
+    expect(safeUrl('java&#x73;cript&colon;alert(1)')).toBeNull();
+    expect(safeUrl('data:text/html,<script>')).toBeNull();
+  });
+
+  test('unwraps Google redirects and checks the link inside', () => {
+    const wrap = (target) => `https://www.google.com/url?q=${encodeURIComponent(target)}&amp;sa=D`;
+    expect(safeUrl(wrap('https://freshwater.example/rates'))).toBe('https://freshwater.example/rates');
+    expect(safeUrl(wrap('javascript:alert(document.cookie)'))).toBeNull();
+    expect(safeUrl(wrap(' java\tscript:alert(1)'))).toBeNull();
+    expect(safeUrl('https://evilgoogle.com/url?q=javascript:alert(1)')).toBe('https://evilgoogle.com/url?q=javascript:alert(1)');
+  });
+
+  test('images must be https', () => {
+    expect(safeUrl('https://lh3.googleusercontent.com/a.png', { image: true })).toBe('https://lh3.googleusercontent.com/a.png');
+    expect(safeUrl('http://lh3.googleusercontent.com/a.png', { image: true })).toBeNull();
+    expect(safeUrl('data:image/svg+xml,<svg onload=alert(1)>', { image: true })).toBeNull();
+    expect(safeUrl('#h.abc123', { image: true })).toBeNull();
+    // An image is never unwrapped: the redirect itself is what the browser would load
+    expect(safeUrl('https://www.google.com/url?q=http://tracker.example/p.gif', { image: true }))
+      .toBe('https://www.google.com/url?q=http://tracker.example/p.gif');
+  });
+
+  test('keeps web, mail and in-page links', () => {
+    expect(safeUrl('https://freshwater.example/terms')).toBe('https://freshwater.example/terms');
+    expect(safeUrl('mailto:office@freshwater.example')).toBe('mailto:office@freshwater.example');
+    expect(safeUrl('#h.abc123')).toBe('#h.abc123');
+  });
+
+  test('matching ETag revalidates to 304', () => {
+    expect(isNotModified({ 'if-none-match': '"abc123"' }, entry)).toBe(true);
+    expect(isNotModified({ 'if-none-match': 'W/"abc123", "other"' }, entry)).toBe(true);
+    expect(isNotModified({ 'if-none-match': '"stale"' }, entry)).toBe(false);
+  });
+
+  test('If-Modified-Since is only used without an ETag', () => {
+    expect(isNotModified({ 'if-modified-since': 'Tue, 03 Mar 2026 10:00:00 GMT' }, entry)).toBe(true);
+    expect(isNotModified({ 'if-modified-since': 'Sun, 01 Mar 2026 10:00:00 GMT' }, entry)).toBe(false);
+    expect(
+      isNotModified({ 'if-none-match': '"stale"', 'if-modified-since': 'Tue, 03 Mar 2026 10:00:00 GMT' }, entry)
+    ).toBe(false);
+  });
+
+  test('document lists never include Google Doc IDs or assignments', () => {
+    const doc = publicDocument({ id: 'res_msa', title: 'MSA', googleDocId: '1lRh', assign: { clientIds: ['cl_1'] } });
+    expect(doc).toEqual({ id: 'res_msa', title: 'MSA', available: true });
+    expect(publicDocument({ id: 'x', title: 'Soon' }).available).toBe(false);
+  });
+
+  test('document lists never include source URLs or paths', () => {
+    const doc = publicDocument({ id: 'coi', title: 'COI', source: { type: 'file', path: 'coi/2026.pdf' } });
+    expect(doc).toEqual({ id: 'coi', title: 'COI', available: true });
+  });
+});
+
+describe('Document Sources', () => {
+  const FILE_EXTENSIONS = ['.pdf', '.docx', '.md', '.markdown', '.html', '.htm', '.txt'];
+
+  function isSafeRelativePath(str) {
+    return (
+      typeof str === 'string' &&
+      /^[\w][\w ./-]{0,199}$/.test(str) &&
+      str.split('/').every((part) => part && !part.startsWith('.'))
+    );
+  }
+
+  function cleanSource(input) {
+    const type = String(input?.type || '').trim();
+    const value = String(input?.id || input?.url || input?.path || '').trim();
+    if (!type && !value) return null;
+    if (!['google', 'pdf', 'docx', 'markdown', 'file'].includes(type)) throw new Error('Unknown source type');
+    if (!value) throw new Error('Document source location is required');
+    if (type === 'google') {
+      if (!/^[A-Za-z0-9_-]{10,100}$/.test(value)) throw new Error('Invalid Google Doc ID');
+      return { type, id: value };
+    }
+    if (type === 'pdf' || type === 'docx') {
+      if (!value.startsWith('https://')) throw new Error(`A ${type.toUpperCase()} source needs an https URL`);
+      return { type, url: value };
+    }
+    const ext = (value.match(/\.[a-z]+$/i)?.[0] || '').toLowerCase();
+    if (!isSafeRelativePath(value) || !(type === 'markdown' ? ['.md', '.markdown'] : FILE_EXTENSIONS).includes(ext)) {
+      throw new Error('Invalid source path');
+    }
+    return { type, path: value };
+  }
+
+  function textToHtml(text) {
+    const paragraphs = [];
+    let current = null;
+    for (const raw of String(text || '').split(/\r?\n/)) {
+      const line = raw.replace(/\s+/g, ' ').trim();
+      if (!line) {
+        current = null;
+        continue;
+      }
+      if (current !== null && !/[.:;!?]$/.test(current) && /^[a-z(]/.test(line)) {
+        current = `${current} ${line}`;
+        paragraphs[paragraphs.length - 1] = current;
+      } else {
+        current = line;
+        paragraphs.push(line);
+      }
+    }
+    return paragraphs.map((p) => `<p>${p.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')}</p>`).join('\n');
+  }
+
+  test('accepts each source type with its location', () => {
+    expect(cleanSource({ type: 'google', id: '1lRhOh_Ji2jWlI7BUEo32GGskDAqFEmQp' })).toEqual({ type: 'google', id: '1lRhOh_Ji2jWlI7BUEo32GGskDAqFEmQp' });
+    expect(cleanSource({ type: 'pdf', url: 'https://files.example/coi.pdf' })).toEqual({ type: 'pdf', url: 'https://files.example/coi.pdf' });
+    expect(cleanSource({ type: 'markdown', path: 'policies/snow.md' })).toEqual({ type: 'markdown', path: 'policies/snow.md' });
+    expect(cleanSource({ type: 'file', path: 'w9/2026.pdf' })).toEqual({ type: 'file', path: 'w9/2026.pdf' });
+    expect(cleanSource({ type: '', path: '' })).toBeNull();
+  });
+
+  test('rejects paths that escape their directory and non-https uploads', () => {
+    expect(() => cleanSource({ type: 'file', path: '../clients.json' })).toThrow();
+    expect(() => cleanSource({ type: 'file', path: 'a/../../etc/passwd.txt' })).toThrow();
+    expect(() => cleanSource({ type: 'file', path: '/etc/passwd.txt' })).toThrow();
+    expect(() => cleanSource({ type: 'markdown', path: 'notes.pdf' })).toThrow();
+    expect(() => cleanSource({ type: 'docx', url: 'http://files.example/a.docx' })).toThrow(/https/);
+    expect(() => cleanSource({ type: 'ftp', url: 'ftp://x' })).toThrow(/Unknown/);
+  });
+
+  test('PDF text keeps headings and joins wrapped lines', () => {
+    expect(textToHtml('7.2 Snow Trigger\nPlowing starts at 2 inches when\nsnow accumulates.\n\nFees & <taxes>')).toBe(
+      '<p>7.2 Snow Trigger</p>\n<p>Plowing starts at 2 inches when snow accumulates.</p>\n<p>Fees &amp; &lt;taxes&gt;</p>'
+    );
+  });
+});
+
+describe('Contract Lifecycle', () => {
+  const DAY = 24 * 60 * 60 * 1000;
+
+  function parseDate(str) {
+    const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(str || '');
+    if (!m) return null;
+    const ms = Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+    return new Date(ms).toISOString().slice(0, 10) === str ? ms : null;
+  }
+
+  const formatDate = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+  function addMonths(ms, months) {
+    const d = new Date(ms);
+    const t = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + months, 1));
+    const lastDay = new Date(Date.UTC(t.getUTCFullYear(), t.getUTCMonth() + 1, 0)).getUTCDate();
+    return Date.UTC(t.getUTCFullYear(), t.getUTCMonth(), Math.min(d.getUTCDate(), lastDay));
+  }
+
+  function cleanLifecycle(input) {
+    if (!input) return null;
+    const effectiveDate = String(input.effectiveDate || '').trim();
+    const termEnd = String(input.termEnd || '').trim();
+    if (!effectiveDate && !termEnd) return null;
+    if (effectiveDate && parseDate(effectiveDate) === null) throw new Error('Effective date must be YYYY-MM-DD');
+    if (termEnd && parseDate(termEnd) === null) throw new Error('Term end must be YYYY-MM-DD');
+    if (effectiveDate && termEnd && parseDate(termEnd) <= parseDate(effectiveDate)) {
+      throw new Error('Term end must be after the effective date');
+    }
+    const renewal = ['none', 'auto', 'manual'].includes(input.renewal) ? input.renewal : 'none';
+    const renewalMonths = Math.round(Number(input.renewalMonths) || 12);
+    const noticeDays = Math.round(Number(input.noticeDays) || 0);
+    if (renewal === 'auto' && !termEnd) throw new Error('Auto-renewing contracts need a term end');
+    return {
+      effectiveDate: effectiveDate || null,
+      termEnd: termEnd || null,
+      renewal,
+      ...(renewal === 'auto' && { renewalMonths }),
+      noticeDays,
+    };
+  }
+
+  function currentTerm(lifecycle, now) {
+    if (!lifecycle || (!lifecycle.effectiveDate && !lifecycle.termEnd)) return null;
+    const d = new Date(now);
+    const today = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+    const effective = parseDate(lifecycle.effectiveDate);
+    let termStart = effective;
+    let termEnd = parseDate(lifecycle.termEnd);
+    const renewal = lifecycle.renewal || 'none';
+    const noticeDays = lifecycle.noticeDays || 0;
+    if (renewal === 'auto' && termEnd !== null) {
+      const firstEnd = termEnd;
+      for (let renewals = 1; termEnd < today; renewals++) {
+        termStart = termEnd + DAY;
+        termEnd = addMonths(firstEnd, renewals * (lifecycle.renewalMonths || 12));
+      }
+    }
+    let status = 'active';
+    if (effective !== null && effective > today) status = 'pending';
+    else if (termEnd !== null && termEnd < today) status = 'expired';
+    return {
+      effectiveDate: termStart === null ? null : formatDate(termStart),
+      termEnd: termEnd === null ? null : formatDate(termEnd),
+      renewal,
+      noticeDays,
+      noticeDeadline: termEnd !== null && noticeDays ? formatDate(termEnd - noticeDays * DAY) : null,
+      status,
+    };
+  }
+
+  function upcomingDeadlines(lifecycle, now) {
+    const term = currentTerm(lifecycle, now);
+    if (!term || !term.termEnd) return [];
+    const today = parseDate(formatDate(now));
+    const deadlines = [];
+    if (term.noticeDeadline && term.renewal !== 'none') deadlines.push({ kind: 'notice', date: term.noticeDeadline });
+    deadlines.push({ kind: term.renewal === 'auto' ? 'renewal' : 'expiration', date: term.termEnd });
+    return deadlines
+      .map((dl) => ({ ...dl, daysLeft: Math.round((parseDate(dl.date) - today) / DAY) }))
+      .filter((dl) => dl.daysLeft >= 0)
+      .sort((a, b) => a.daysLeft - b.daysLeft);
+  }
+
+  function dueReminder(daysLeft) {
+    const due = [30, 7, 1].filter((days) => daysLeft <= days);
+    return due.length ? Math.min(...due) : null;
+  }
+
+  const at = (date) => Date.parse(`${date}T15:00:00Z`);
+
+  test('validates admin input', () => {
+    expect(cleanLifecycle({ effectiveDate: '', termEnd: '' })).toBeNull();
+    expect(cleanLifecycle({ effectiveDate: '2026-01-01', termEnd: '2026-12-31', renewal: 'auto', noticeDays: '60' })).toEqual({
+      effectiveDate: '2026-01-01',
+      termEnd: '2026-12-31',
+      renewal: 'auto',
+      renewalMonths: 12,
+      noticeDays: 60,
+    });
+    expect(() => cleanLifecycle({ termEnd: '2026-02-31' })).toThrow('Term end must be YYYY-MM-DD');
+    expect(() => cleanLifecycle({ effectiveDate: '2026-06-01', termEnd: '2026-05-01' })).toThrow('after the effective date');
+    expect(() => cleanLifecycle({ effectiveDate: '2026-06-01', renewal: 'auto' })).toThrow('need a term end');
+  });
+
+  test('auto-renewing terms roll forward without drifting off month end', () => {
+    const lifecycle = { effectiveDate: '2025-01-01', termEnd: '2025-01-31', renewal: 'auto', renewalMonths: 1 };
+    const term = currentTerm(lifecycle, at('2025-04-10'));
+    expect(term.effectiveDate).toBe('2025-04-01');
+    expect(term.termEnd).toBe('2025-04-30');
+    expect(term.status).toBe('active');
+  });
+
+  test('reports pending and expired terms', () => {
+    const lifecycle = { effectiveDate: '2026-03-01', termEnd: '2026-11-30', renewal: 'none' };
+    expect(currentTerm(lifecycle, at('2026-02-01')).status).toBe('pending');
+    expect(currentTerm(lifecycle, at('2026-12-01')).status).toBe('expired');
+    expect(upcomingDeadlines(lifecycle, at('2026-12-01'))).toEqual([]);
+  });
+
+  test('lists the notice deadline before the renewal', () => {
+    const lifecycle = { effectiveDate: '2025-11-01', termEnd: '2026-10-31', renewal: 'auto', noticeDays: 30 };
+    expect(upcomingDeadlines(lifecycle, at('2026-09-24'))).toEqual([
+      { kind: 'notice', date: '2026-10-01', daysLeft: 7 },
+      { kind: 'renewal', date: '2026-10-31', daysLeft: 37 },
+    ]);
+  });
+
+  test('manual renewals get a notice deadline and an expiration', () => {
+    const lifecycle = { termEnd: '2026-10-31', renewal: 'manual', noticeDays: 14 };
+    expect(upcomingDeadlines(lifecycle, at('2026-10-01')).map((dl) => dl.kind)).toEqual(['notice', 'expiration']);
+  });
+
+  test('sends the most urgent reminder still due after a missed run', () => {
+    expect(dueReminder(45)).toBeNull();
+    expect(dueReminder(30)).toBe(30);
+    expect(dueReminder(12)).toBe(30);
+    expect(dueReminder(5)).toBe(7);
+    expect(dueReminder(0)).toBe(1);
+  });
+
+  test('a long staff digest keeps whole lines and counts the rest', () => {
+    // Mirrors digestMessage in netlify/functions/reminders.js
+    const MAX_MESSAGE_LENGTH = 1000;
+    function digestMessage(lines) {
+      const more = (count) => `…and ${count} more — see the admin console`;
+      for (let shown = lines.length; shown > 0; shown--) {
+        const kept = lines.slice(0, shown);
+        if (shown < lines.length) kept.push(more(lines.length - shown));
+        const message = kept.join('\n');
+        if (message.length <= MAX_MESSAGE_LENGTH) return message;
+      }
+      return more(lines.length);
+    }
+
+    const lines = Array.from({ length: 30 }, (_, i) =>
+      `Residential MSA ${i + 1} (Maple Court HOA): notice deadline 2026-06-${String(i + 1).padStart(2, '0')}, in ${i + 1} days`
+    );
+    const message = digestMessage(lines);
+    const shown = message.split('\n');
+    expect(message.length).toBeLessThanOrEqual(MAX_MESSAGE_LENGTH);
+    expect(shown[0]).toBe(lines[0]);
+    expect(shown.slice(0, -1)).toEqual(lines.slice(0, shown.length - 1));
+    expect(shown[shown.length - 1]).toBe(`…and ${31 - shown.length} more — see the admin console`);
+    expect(digestMessage(lines.slice(0, 3))).toBe(lines.slice(0, 3).join('\n'));
+  });
+});
+
+describe('Acknowledgements', () => {
+  const crypto = require('crypto');
+  const GENESIS = '0'.repeat(64);
+  const FIELDS = ['id', 'docId', 'docTitle', 'version', 'contentSha256', 'name', 'title', 'clientType',
+    'clientId', 'email', 'ip', 'userAgent', 'acknowledgedAt', 'prevHash'];
+  const SECRET = 'test-receipt-secret';
+
+  const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+  const canonical = (record) => JSON.stringify(FIELDS.map((field) => record[field] ?? null));
+  const recordHash = (record) => sha256(canonical(record));
+  const sign = (record) =>
+    crypto.createHmac('sha256', SECRET).update(`${canonical(record)}.${record.hash}`).digest('hex');
+
+  function append(records, fields, html) {
+    const record = {
+      id: `ack_${records.length + 1}`,
+      ...fields,
+      contentSha256: sha256(html),
+      acknowledgedAt: '2026-10-19T12:00:00.000Z',
+      prevHash: records[records.length - 1]?.hash || GENESIS,
+    };
+    record.hash = recordHash(record);
+    records.push(record);
+    return record;
+  }
+
+  function verifyChain(records) {
+    let prevHash = GENESIS;
+    for (const record of records) {
+      if (record.prevHash !== prevHash || recordHash(record) !== record.hash) {
+        return { ok: false, count: records.length, brokenAt: record.id || null };
+      }
+      prevHash = record.hash;
+    }
+    return { ok: true, count: records.length, brokenAt: null };
+  }
+
+  const html = '<h1>1. Services</h1><p>Snow removal after 2 inches.</p>';
+  const fields = { docId: 'hoa_msa', docTitle: 'HOA Agreement', version: sha256(html).slice(0, 16), name: 'Dana Ruiz', title: 'Board President', clientType: 'hoa', ip: '203.0.113.7' };
+
+  test('records the content hash of the exact version shown', () => {
+    const record = append([], fields, html);
+    expect(record.contentSha256).toBe(sha256(html));
+    expect(record.contentSha256.startsWith(record.version)).toBe(true);
+    expect(record.prevHash).toBe(GENESIS);
+  });
+
+  test('links each record to the one before it', () => {
+    const records = [];
+    append(records, fields, html);
+    append(records, { ...fields, name: 'Sam Ode', title: 'Treasurer' }, html);
+    expect(records[1].prevHash).toBe(records[0].hash);
+    expect(verifyChain(records)).toEqual({ ok: true, count: 2, brokenAt: null });
+  });
+
+  test('detects an edited or deleted record', () => {
+    const records = [];
+    append(records, fields, html);
+    append(records, { ...fields, name: 'Sam Ode' }, html);
+    append(records, { ...fields, name: 'Lee Park' }, html);
+
+    const edited = records.map((r) => ({ ...r }));
+    edited[1].ip = '198.51.100.1';
+    expect(verifyChain(edited)).toMatchObject({ ok: false, brokenAt: 'ack_2' });
+
+    const deleted = [records[0], records[2]];
+    expect(verifyChain(deleted)).toMatchObject({ ok: false, brokenAt: 'ack_3' });
+  });
+
+  test('receipt signatures break when any field changes', () => {
+    const record = append([], fields, html);
+    const receipt = { ...record, signature: sign(record) };
+    expect(sign(receipt)).toBe(receipt.signature);
+
+    const forged = { ...receipt, name: 'Someone Else' };
+    expect(recordHash(forged)).not.toBe(forged.hash);
+    expect(sign({ ...forged, hash: recordHash(forged) })).not.toBe(receipt.signature);
+  });
+});
+
+describe('Compliance Packet', () => {
+  const DAY = 24 * 60 * 60 * 1000;
+  const NOW = Date.UTC(2026, 4, 1, 15, 0);
+  const EXPIRY_WARNING_DAYS = 30;
+
+  function parseDate(str) {
+    const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(str || '');
+    if (!m) return null;
+    const ms = Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+    return new Date(ms).toISOString().slice(0, 10) === str ? ms : null;
+  }
+
+  function daysUntil(date, now) {
+    const ms = parseDate(date);
+    const d = new Date(now);
+    const start = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+    return ms === null ? null : Math.round((ms - start) / DAY);
+  }
+
+  function itemStatus(item, now) {
+    if (!item.file && !item.url) return 'missing';
+    const days = daysUntil(item.expiresAt, now);
+    if (days === null) return 'current';
+    if (days < 0) return 'expired';
+    return days <= EXPIRY_WARNING_DAYS ? 'expiring' : 'current';
+  }
+
+  function publicPacket(items, now) {
+    return items.map((item) => {
+      const status = itemStatus(item, now);
+      const usable = status === 'current' || status === 'expiring';
+      return {
+        id: item.id,
+        name: item.name,
+        issuedAt: item.issuedAt || null,
+        expiresAt: item.expiresAt || null,
+        status,
+        download: usable && Boolean(item.file),
+        url: usable && !item.file ? item.url || '' : '',
+      };
+    });
+  }
+
+  function cleanItemDates(input, name) {
+    const issuedAt = String(input.issuedAt || '').trim();
+    const expiresAt = String(input.expiresAt || '').trim();
+    if (issuedAt && parseDate(issuedAt) === null) throw new Error(`"${name}" issue date must be YYYY-MM-DD`);
+    if (expiresAt && parseDate(expiresAt) === null) throw new Error(`"${name}" expiry date must be YYYY-MM-DD`);
+    if (issuedAt && expiresAt && expiresAt <= issuedAt) {
+      throw new Error(`"${name}" must expire after it was issued`);
+    }
+    return { issuedAt: issuedAt || null, expiresAt: expiresAt || null };
+  }
+
+  const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+  });
+
+  function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  const file = { path: 'compliance/coi-abc.pdf', name: 'coi.pdf', type: 'application/pdf' };
+
+  test('classifies items by expiry', () => {
+    expect(itemStatus({ file }, NOW)).toBe('current');
+    expect(itemStatus({ file, expiresAt: '2026-12-31' }, NOW)).toBe('current');
+    expect(itemStatus({ file, expiresAt: '2026-05-31' }, NOW)).toBe('expiring');
+    expect(itemStatus({ file, expiresAt: '2026-05-01' }, NOW)).toBe('expiring');
+    expect(itemStatus({ file, expiresAt: '2026-04-30' }, NOW)).toBe('expired');
+    expect(itemStatus({ expiresAt: '2026-12-31' }, NOW)).toBe('missing');
+  });
+
+  test('never offers expired items to clients', () => {
+    const packet = publicPacket(
+      [
+        { id: 'w9', name: 'W-9', file },
+        { id: 'coi', name: 'COI', file, expiresAt: '2026-04-01' },
+        { id: 'sos', name: 'State Filing', url: 'https://example.org/sos' },
+        { id: 'old', name: 'Old Link', url: 'https://example.org/old', expiresAt: '2025-01-01' },
+      ],
+      NOW
+    );
+    expect(packet.map((i) => [i.id, i.status, i.download, i.url])).toEqual([
+      ['w9', 'current', true, ''],
+      ['coi', 'expired', false, ''],
+      ['sos', 'current', false, 'https://example.org/sos'],
+      ['old', 'expired', false, ''],
+    ]);
+    expect(packet[0]).not.toHaveProperty('file');
+  });
+
+  test('validates issue and expiry dates', () => {
+    expect(cleanItemDates({ issuedAt: '2026-01-05', expiresAt: '' }, 'W-9')).toEqual({
+      issuedAt: '2026-01-05',
+      expiresAt: null,
+    });
+    expect(() => cleanItemDates({ expiresAt: '2026-02-30' }, 'COI')).toThrow('"COI" expiry date');
+    expect(() => cleanItemDates({ issuedAt: '2026-06-01', expiresAt: '2026-06-01' }, 'COI'))
+      .toThrow('must expire after it was issued');
+  });
+
+  test('computes the ZIP checksum', () => {
+    expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+    expect(crc32(Buffer.alloc(0))).toBe(0);
+  });
+});
+
+describe('Change Orders', () => {
+  const TRANSITIONS = {
+    submitted: ['quoted', 'declined'],
+    quoted: ['quoted', 'approved', 'declined'],
+    approved: [],
+    declined: [],
+  };
+
+  function photoExtension(bytes) {
+    if (bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return 'jpg';
+    if (bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+    if (bytes.subarray(0, 4).toString('latin1') === 'RIFF' && bytes.subarray(8, 12).toString('latin1') === 'WEBP') return 'webp';
+    return null;
+  }
+
+  // Mirrors updateChangeOrder in netlify/lib/change-orders.js, without the store
+  function update(order, status, { by, clientId, amount, note = '' } = {}) {
+    if (by === 'client' && order.clientId !== clientId) throw new Error('Change order not found');
+    if (!TRANSITIONS[order.status].includes(status)) throw new Error(`can't be marked ${status}`);
+    if (by === 'client' && (order.status !== 'quoted' || status === 'quoted')) {
+      throw new Error('Only a quote can be approved or declined');
+    }
+    const next = { ...order, status, history: [...order.history, { status, by, note }] };
+    if (status === 'quoted') {
+      const value = Math.round(Number(amount) * 100) / 100;
+      if (!Number.isFinite(value) || value <= 0) throw new Error('Enter the quoted amount');
+      next.quote = { amount: value, note };
+    }
+    return next;
+  }
+
+  const submitted = {
+    id: 'co_1',
+    clientId: 'cl_1',
+    status: 'submitted',
+    quote: null,
+    history: [{ status: 'submitted', by: 'client', note: '' }],
+  };
+
+  test('runs submitted -> quoted -> approved', () => {
+    const quoted = update(submitted, 'quoted', { by: 'staff', amount: '1250.499' });
+    expect(quoted.quote.amount).toBe(1250.5);
+    const approved = update(quoted, 'approved', { by: 'client', clientId: 'cl_1' });
+    expect(approved.status).toBe('approved');
+    expect(approved.history.map((h) => `${h.status}:${h.by}`)).toEqual([
+      'submitted:client',
+      'quoted:staff',
+      'approved:client',
+    ]);
+    expect(() => update(approved, 'declined', { by: 'staff' })).toThrow("can't be marked declined");
+  });
+
+  test('clients can only answer a quote on their own orders', () => {
+    expect(() => update(submitted, 'approved', { by: 'client', clientId: 'cl_1' })).toThrow();
+    const quoted = update(submitted, 'quoted', { by: 'staff', amount: 300 });
+    expect(() => update(quoted, 'approved', { by: 'client', clientId: 'cl_2' })).toThrow('not found');
+    expect(() => update(quoted, 'quoted', { by: 'client', clientId: 'cl_1', amount: 1 })).toThrow('Only a quote');
+    expect(update(quoted, 'declined', { by: 'client', clientId: 'cl_1' }).status).toBe('declined');
+  });
+
+  test('a quote needs a positive amount', () => {
+    expect(() => update(submitted, 'quoted', { by: 'staff' })).toThrow('Enter the quoted amount');
+    expect(() => update(submitted, 'quoted', { by: 'staff', amount: '-5' })).toThrow('Enter the quoted amount');
+  });
+
+  test('accepts photos by content, not file name', () => {
+    expect(photoExtension(Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0]))).toBe('jpg');
+    expect(photoExtension(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0]))).toBe('png');
+    expect(photoExtension(Buffer.from('RIFF\0\0\0\0WEBPVP8 ', 'latin1'))).toBe('webp');
+    expect(photoExtension(Buffer.from('%PDF-1.7 renamed.jpg'))).toBeNull();
+  });
+});
+
+describe('Search Synonyms', () => {
+  const CLIENT_TYPE_IDS = ['residential', 'commercial', 'hoa', 'municipal'];
+
+  // Mirrors cleanSynonyms in netlify/lib/synonyms.js
+  function cleanWords(words) {
+    return (Array.isArray(words) ? words : [])
+      .flatMap((w) => String(w || '').toLowerCase().split(/[^a-z0-9]+/))
+      .filter((w) => w.length >= 2 && w.length <= 30);
+  }
+
+  function cleanDictionary(input, name) {
+    const dictionary = {};
+    const entries = Object.entries(input && typeof input === 'object' ? input : {});
+    if (entries.length > 100) throw new Error(`${name} can have up to 100 groups`);
+    for (const [rawKey, words] of entries) {
+      const key = String(rawKey).toLowerCase().trim();
+      if (!/^[a-z0-9]{2,30}$/.test(key)) throw new Error(`${name}: "${rawKey}" must be one word of 2-30 letters or numbers`);
+      const group = [...new Set(cleanWords(words))].filter((w) => w !== key);
+      if (!group.length) throw new Error(`${name}: "${key}" needs at least one synonym`);
+      if (group.length > 40) throw new Error(`${name}: "${key}" can have up to 40 synonyms`);
+      dictionary[key] = group;
+    }
+    return dictionary;
+  }
+
+  function cleanSynonyms(input) {
+    const overlays = {};
+    for (const [clientType, dictionary] of Object.entries(input?.overlays || {})) {
+      if (!CLIENT_TYPE_IDS.includes(clientType)) throw new Error(`Unknown client type: ${clientType}`);
+      const clean = cleanDictionary(dictionary, clientType);
+      if (Object.keys(clean).length) overlays[clientType] = clean;
+    }
+    return { base: cleanDictionary(input?.base, 'Shared synonyms'), overlays };
+  }
+
+  test('cleans staff edits into lowercase word groups', () => {
+    const clean = cleanSynonyms({
+      base: { Cancel: ['Terminate', 'quit', 'quit', 'cancel'] },
+      overlays: { municipal: { wage: ['Prevailing wage', 'Davis-Bacon'] }, residential: {} },
+    });
+    expect(clean).toEqual({
+      base: { cancel: ['terminate', 'quit'] },
+      overlays: { municipal: { wage: ['prevailing', 'davis', 'bacon'] } },
+    });
+  });
+
+  test('rejects groups staff need to fix', () => {
+    expect(() => cleanSynonyms({ base: { 'late fee': ['penalty'] } })).toThrow('must be one word');
+    expect(() => cleanSynonyms({ base: { late: ['a', ''] } })).toThrow('needs at least one synonym');
+    expect(() => cleanSynonyms({ base: {}, overlays: { industrial: { dues: ['fees'] } } })).toThrow('Unknown client type');
+    const tooMany = Object.fromEntries(Array.from({ length: 101 }, (_, i) => [`k${i}`, ['w']]));
+    expect(() => cleanSynonyms({ base: tooMany })).toThrow('up to 100 groups');
+  });
+
+  test('keeps the most recent searches for previews', () => {
+    // Mirrors recordSearch: newest last, capped
+    const record = (searches, query, clientType) => {
+      const text = String(query || '').trim().slice(0, 200);
+      if (!text) return searches;
+      return searches
+        .concat({ query: text, clientType: CLIENT_TYPE_IDS.includes(clientType) ? clientType : '', clientId: '' })
+        .slice(-200);
+    };
+    let searches = [];
+    for (let i = 0; i < 205; i++) searches = record(searches, `question ${i}`, 'municipal');
+    searches = record(searches, '   ', 'municipal');
+    searches = record(searches, 'lien', 'industrial');
+    expect(searches).toHaveLength(200);
+    expect(searches[0].query).toBe('question 6');
+    expect(searches[199]).toEqual({ query: 'lien', clientType: '', clientId: '' });
+  });
+});
+
+describe('Season Archive', () => {
+  // Mirrors netlify/lib/seasons.js, with an in-memory store and sources
+  function seasonId(label) {
+    return String(label || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60);
+  }
+
+  function parseArchivedId(id) {
+    const match = /^([a-z0-9_-]{2,60})@([a-z0-9-]{1,60})$/i.exec(String(id || ''));
+    return match ? { docId: match[1], seasonId: match[2] } : null;
+  }
+
+  function createArchive(documents, sources) {
+    const store = { documents, seasons: [] };
+    const closeSeason = (label, nextLabel = '') => {
+      const id = seasonId(label);
+      if (nextLabel && seasonId(nextLabel) === id) throw new Error('The next season needs a different name');
+      if (store[`season_${id}`]) throw new Error(`${label} is already archived; archived seasons can't be changed`);
+      const live = store.documents.filter((d) => d.season === label && !d.retired);
+      if (!live.length) throw new Error(`No live documents are tagged "${label}"`);
+      const frozen = live.map((doc) => {
+        const html = sources[doc.id];
+        if (!html) throw new Error(`Couldn't load "${doc.title}" (${doc.id}); nothing was archived`);
+        return { id: doc.id, title: doc.title, season: label, assign: doc.assign, html };
+      });
+      store[`season_${id}`] = { id, label, documents: frozen };
+      store.seasons.push({ id, label });
+      if (nextLabel) store.documents = store.documents.map((d) => (d.season === label && !d.retired ? { ...d, season: nextLabel } : d));
+    };
+    const getArchived = (archivedId) => {
+      const parsed = parseArchivedId(archivedId);
+      return store[`season_${parsed?.seasonId}`]?.documents.find((d) => d.id === parsed.docId) || null;
+    };
+    return { store, closeSeason, getArchived };
+  }
+
+  const docs = [
+    { id: 'res_msa', title: 'Master Service Agreement', season: '2026 Season', assign: { clientTypes: ['residential'] } },
+    { id: 'old_addendum', title: 'Addendum', season: '2026 Season', retired: true },
+  ];
+
+  test('closing a season freezes its text and rolls live documents forward', () => {
+    const sources = { res_msa: '<p>Plowing begins at 2 inches.</p>' };
+    const { store, closeSeason, getArchived } = createArchive(docs, sources);
+    closeSeason('2026 Season', '2027 Season');
+    sources.res_msa = '<p>Plowing begins at 3 inches.</p>';
+
+    expect(store.documents.find((d) => d.id === 'res_msa').season).toBe('2027 Season');
+    expect(store.seasons).toEqual([{ id: '2026-season', label: '2026 Season' }]);
+    expect(getArchived('res_msa@2026-season').html).toBe('<p>Plowing begins at 2 inches.</p>');
+    expect(getArchived('old_addendum@2026-season')).toBeNull();
+  });
+
+  test('an archived season can never be rewritten', () => {
+    const { closeSeason } = createArchive(docs, { res_msa: '<p>Terms</p>' });
+    closeSeason('2026 Season');
+    expect(() => closeSeason('2026 Season')).toThrow("can't be changed");
+  });
+
+  test('nothing is archived when a document cannot be loaded', () => {
+    const { store, closeSeason } = createArchive(docs, {});
+    expect(() => closeSeason('2026 Season', '2027 Season')).toThrow('nothing was archived');
+    expect(store.seasons).toEqual([]);
+    expect(store.documents[0].season).toBe('2026 Season');
+    expect(() => closeSeason('2025 Season')).toThrow('No live documents');
+    expect(() => closeSeason('2026 Season', '2026 season')).toThrow('different name');
+  });
+
+  test('archived IDs name the document and its season', () => {
+    expect(seasonId('2026 Season')).toBe('2026-season');
+    expect(seasonId(' Winter 2025/26 ')).toBe('winter-2025-26');
+    expect(parseArchivedId('res_msa@2026-season')).toEqual({ docId: 'res_msa', seasonId: '2026-season' });
+    expect(parseArchivedId('res_msa')).toBeNull();
+    expect(parseArchivedId('res_msa@../clients')).toBeNull();
+  });
+});
+
+describe('Curated FAQ', () => {
+  const CLIENT_TYPE_IDS = ['residential', 'commercial', 'hoa', 'municipal'];
+
+  // Mirrors netlify/lib/faq.js
+  function cleanText(str, max) {
+    if (typeof str !== 'string') return '';
+    return str.replace(/<[^>]*>/g, '').replace(/[ \t]+/g, ' ').trim().slice(0, max);
+  }
+
+  function cleanFaq(items, documents) {
+    return (Array.isArray(items) ? items : []).map((item) => {
+      const entry = {
+        question: cleanText(item?.question, 200),
+        patterns: [...new Set((item?.patterns || []).map((p) => cleanText(p, 100).toLowerCase()))].filter(Boolean),
+        answer: cleanText(item?.answer, 2000),
+        docId: cleanText(item?.docId, 60),
+        clause: cleanText(item?.clause, 100).toLowerCase(),
+        clientTypes: [...new Set(item?.clientTypes || [])].filter((t) => CLIENT_TYPE_IDS.includes(t)),
+      };
+      if (!entry.question) throw new Error('Every answer needs the question it answers');
+      if (!entry.answer) throw new Error(`"${entry.question}" needs an answer`);
+      if (entry.docId && !documents.some((d) => d.id === entry.docId)) {
+        throw new Error(`"${entry.question}" links to an unknown document (${entry.docId})`);
+      }
+      if (entry.clause && !entry.docId) throw new Error(`"${entry.question}" needs a document for its clause link`);
+      return entry;
+    });
+  }
+
+  function faqFor(entries, visibleDocIds, clientType) {
+    return entries.filter(
+      (entry) =>
+        (!entry.clientTypes.length || entry.clientTypes.includes(clientType)) &&
+        (!entry.docId || visibleDocIds.includes(entry.docId))
+    );
+  }
+
+  function topSearches(searches, clientType, limit = 5) {
+    const askedBy = new Map();
+    for (const { query, clientType: type, clientId } of searches) {
+      if (type !== clientType || !clientId || query.length > 80 || /\d/.test(query)) continue;
+      const key = query.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+      if (!key) continue;
+      const clients = askedBy.get(key)?.clients || new Set();
+      askedBy.set(key, { query, clients: clients.add(clientId) });
+    }
+    return [...askedBy.values()]
+      .filter((s) => s.clients.size >= 2)
+      .sort((a, b) => b.clients.size - a.clients.size)
+      .slice(0, limit)
+      .map((s) => s.query);
+  }
+
+  const documents = [{ id: 'res_msa' }, { id: 'com_msa' }];
+
+  test('cleans staff entries and rejects ones that cannot be shown', () => {
+    const [entry] = cleanFaq([{
+      question: ' Can I <b>cancel</b> mid-season? ',
+      patterns: ['Cancel mid season', 'cancel mid season', ''],
+      answer: 'You pay for work done.',
+      docId: 'res_msa',
+      clause: 'S-7',
+      clientTypes: ['residential', 'industrial'],
+    }], documents);
+    expect(entry).toEqual({
+      question: 'Can I cancel mid-season?',
+      patterns: ['cancel mid season'],
+      answer: 'You pay for work done.',
+      docId: 'res_msa',
+      clause: 's-7',
+      clientTypes: ['residential'],
+    });
+    expect(() => cleanFaq([{ question: 'Fees?' }], documents)).toThrow('needs an answer');
+    expect(() => cleanFaq([{ question: 'Fees?', answer: 'No', docId: 'old_msa' }], documents)).toThrow('unknown document');
+    expect(() => cleanFaq([{ question: 'Fees?', answer: 'No', clause: 's-5' }], documents)).toThrow('needs a document');
+  });
+
+  test('answers reach only the portals and documents they are for', () => {
+    const entries = [
+      { question: 'a', clientTypes: [], docId: '' },
+      { question: 'b', clientTypes: ['commercial'], docId: '' },
+      { question: 'c', clientTypes: [], docId: 'com_msa' },
+    ];
+    expect(faqFor(entries, ['res_msa'], 'residential').map((e) => e.question)).toEqual(['a']);
+    expect(faqFor(entries, ['com_msa'], 'commercial').map((e) => e.question)).toEqual(['a', 'b', 'c']);
+  });
+
+  test('top searches need two client accounts and stay within their portal', () => {
+    const searches = [
+      { query: 'When do you plow?', clientType: 'residential', clientId: 'cl_1' },
+      { query: 'when do you plow', clientType: 'residential', clientId: 'cl_2' },
+      { query: 'my neighbor at 12 Elm', clientType: 'residential', clientId: 'cl_1' },
+      { query: 'my neighbor at 12 Elm', clientType: 'residential', clientId: 'cl_2' },
+      { query: 'lien', clientType: 'commercial', clientId: 'cl_3' },
+      { query: 'lien', clientType: 'commercial', clientId: 'cl_4' },
+      { query: 'retainage', clientType: 'commercial', clientId: 'cl_3' },
+      { query: 'retainage', clientType: 'commercial', clientId: 'cl_3' },
+      { query: 'free money', clientType: 'hoa', clientId: '' },
+      { query: 'free money', clientType: 'hoa', clientId: '' },
+    ];
+    expect(topSearches(searches, 'residential')).toEqual(['when do you plow']);
+    expect(topSearches(searches, 'commercial')).toEqual(['lien']);
+    expect(topSearches(searches, 'hoa')).toEqual([]);
+  });
+});
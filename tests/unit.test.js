@@ -79,66 +79,972 @@ function simpleHash(str) {
 
 // ─── Document Functions ──────────────────────────────────
 
+// Shared synonyms (mirrors DEFAULT_SYNONYMS in netlify/lib/synonyms.js)
 const SYNONYMS = {
   cancel: ['cancellation', 'terminate', 'termination', 'quit', 'end', 'refund', 'deposit'],
   payment: ['payments', 'invoice', 'billing', 'net', 'fee', 'charge', 'cost', 'price'],
   late: ['late', 'overdue', 'past', 'due', 'interest', 'finance', 'charge', 'apr', 'penalty'],
-  liability: ['liability', 'damage', 'damages', 'responsible', 'responsibility'],
-  snow: ['snow', 'ice', 'plow', 'plowing', 'trigger', 'accumulation', 'storm', 'berm'],
+  liability: ['liability', 'damage', 'damages', 'responsible', 'responsibility', 'injury', 'slip', 'fall', 'warranty', 'warranties', 'indemnif'],
+  dispute: ['dispute', 'arbitration', 'court', 'lawsuit', 'sue', 'venue', 'jury', 'mediation'],
+  snow: ['snow', 'ice', 'plow', 'plowing', 'trigger', 'accumulation', 'storm', 'berm', 'salt', 'deice'],
+  scope: ['scope', 'work', 'change', 'order', 'extras', 'additional', 'addendum'],
+  mowing: ['mowing', 'mow', 'lawn', 'grass', 'turf', 'cut', 'trim', 'edge'],
+  season: ['season', 'term', 'duration', 'length', 'period', 'year', 'annual'],
 };
 
-function parseAgreement(text) {
-  const lines = (text || '').split(/\r?\n/);
-  const chunks = [];
-  let cur = { heading: 'INTRODUCTION', text: '' };
-  const isHeading = (t) => {
-    const s = (t || '').trim();
-    if (!s) return false;
-    if (/^(ARTICLE|SECTION)\b/i.test(s)) return true;
-    if (/^\d+(\.\d+)*\s+/.test(s)) return true;
-    if (/^[A-Z0-9][A-Z0-9\s\-:&]{8,70}$/.test(s) && s === s.toUpperCase()) return true;
-    return false;
-  };
-  for (const line of lines) {
-    const t = line.trim();
-    if (isHeading(t)) {
-      if (cur.text.trim()) chunks.push(cur);
-      cur = { heading: t, text: '' };
-    } else {
-      cur.text += line + '\n';
-    }
-  }
-  if (cur.text.trim()) chunks.push(cur);
-  return chunks.length ? chunks : [{ heading: 'AGREEMENT', text: text || '' }];
+// Flat clause list from the clause tree (mirrors parseAgreement in src/js/docs.js)
+function parseAgreement(text, docId) {
+  const { nodes } = parseDocument(text, docId);
+  return nodes.length ? nodes : [{ id: `${docId || 'doc'}:agreement`, heading: 'AGREEMENT', text: text || '' }];
 }
 
-function expandTokens(question) {
+function expandTokens(question, dictionary = {}) {
   const q = normalize(question);
   const raw = q.split(' ').filter(Boolean);
   const set = new Set(raw);
-  for (const [k, arr] of Object.entries(SYNONYMS)) {
+  for (const [k, arr] of Object.entries(dictionary)) {
+    const stems = [k, ...arr].map(stem);
     for (const w of raw) {
-      if (w === k || arr.includes(w)) { set.add(k); arr.forEach(x => set.add(x)); }
+      if (stems.includes(stem(w))) { set.add(k); arr.forEach(x => set.add(x)); }
     }
   }
   return Array.from(set).filter(t => t.length >= 3).slice(0, 30);
 }
 
-function bestMatches(agreementText, question, top = 3) {
-  const chunks = parseAgreement(agreementText);
-  const tokens = expandTokens(question);
-  const scored = chunks.map(c => {
-    const hay = (c.heading + '\n' + c.text).toLowerCase();
-    let score = 0;
-    for (const t of tokens) {
-      const safe = t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-      const re = new RegExp('\\b' + safe + '\\b', 'g');
-      const m = hay.match(re);
-      if (m) score += m.length;
+// Clause search (mirrors src/js/search.js)
+// BM25 parameters: term-frequency saturation and per-field length normalization
+const K1 = 1.2;
+const B_BODY = 0.75;
+const B_HEADING = 0.5;
+const HEADING_WEIGHT = 2.5;
+// Synonyms widen recall without outranking the client's own words
+const SYNONYM_WEIGHT = 0.7;
+// A typo-corrected word counts for a little less than one spelled as in the document
+const FUZZY_WEIGHT = 0.8;
+
+// Words too common in questions and agreements to say anything about a clause
+const STOPWORDS = new Set(
+  (
+    'a an and are as at be been but by can could do does for from had has have how i if in into is it its ' +
+    'me my no not of on or our shall should so than that the their them then there these they this those ' +
+    'to was we were what when where which who why will with would you your'
+  ).split(' ')
+);
+
+// Derivational endings stem() removes (longest first), when at least four letters remain
+const SUFFIXES = ['ization', 'ation', 'ment', 'ness', 'ity', 'able', 'ible', 'ance', 'ence', 'ive', 'ize', 'ate', 'ful', 'ous', 'al', 'ly'];
+
+function stem(word) {
+  let w = word;
+  if (w.length <= 3 || /\d/.test(w)) return w;
+
+  if (w.endsWith('sses')) w = w.slice(0, -2);
+  else if (w.endsWith('ies') && w.length > 4) w = `${w.slice(0, -3)}y`;
+  else if (w.endsWith('s') && !/(ss|us|is)$/.test(w)) w = w.slice(0, -1);
+
+  if (w.endsWith('eed')) {
+    if (w.length > 4) w = w.slice(0, -1);
+  } else if (w.endsWith('ied') && w.length > 4) {
+    w = `${w.slice(0, -3)}y`;
+  } else {
+    const verb = w.match(/^(.*[aeiouy].*?)(ed|ing)$/);
+    if (verb && verb[1].length >= 3) {
+      w = verb[1];
+      if (/(at|bl|iz)$/.test(w)) w += 'e';
+      else if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+    }
+  }
+
+  // Two passes, so "generally" and "general" meet
+  for (let pass = 0; pass < 2; pass++) {
+    const suffix = SUFFIXES.find((s) => w.endsWith(s) && w.length - s.length >= 4);
+    if (!suffix) break;
+    w = w.slice(0, -suffix.length);
+  }
+
+  if (w.endsWith('e') && w.length >= 4) w = w.slice(0, -1);
+  if (w.endsWith('ll') && w.length > 4) w = w.slice(0, -1);
+  return w;
+}
+
+function tokenize(text) {
+  return normalize(text)
+    .split(' ')
+    .filter((t) => t.length >= 2 && !STOPWORDS.has(t));
+}
+
+function compileSynonyms(...dictionaries) {
+  const groups = new Map();
+  for (const dictionary of dictionaries) {
+    for (const [key, words] of Object.entries(dictionary || {})) {
+      const group = groups.get(key) || new Set();
+      for (const w of tokenize([key, ...words].join(' '))) group.add(stem(w));
+      groups.set(key, group);
+    }
+  }
+  return Array.from(groups.values(), (group) => [...group]);
+}
+
+function queryTerms(question, correct = () => null, synonyms = []) {
+  const stems = [...new Set(tokenize(question).map(stem))];
+  return stems.map((asked) => {
+    const fixed = correct(asked);
+    const term = fixed || asked;
+    const weight = fixed ? FUZZY_WEIGHT : 1;
+    const concept = new Map([[term, weight]]);
+    for (const group of synonyms) {
+      if (!group.includes(term)) continue;
+      for (const t of group) {
+        if (!concept.has(t)) concept.set(t, Math.min(weight, SYNONYM_WEIGHT));
+      }
+    }
+    return Array.from(concept, ([t, w]) => ({ term: t, weight: w }));
+  });
+}
+
+function countTerms(terms) {
+  const counts = new Map();
+  for (const t of terms) counts.set(t, (counts.get(t) || 0) + 1);
+  return counts;
+}
+
+function buildIndex(clauses) {
+  const terms = {};
+  const forms = {};
+  const lengths = [];
+  let headingTotal = 0;
+  let bodyTotal = 0;
+  const stems = (text) => tokenize(text).map((word) => {
+    const s = stem(word);
+    if (!Object.hasOwn(forms, s)) forms[s] = word;
+    return s;
+  });
+
+  clauses.forEach((clause, i) => {
+    const heading = stems(clause.heading);
+    const body = stems(clause.text);
+    lengths.push([heading.length, body.length]);
+    headingTotal += heading.length;
+    bodyTotal += body.length;
+
+    const headingCounts = countTerms(heading);
+    const bodyCounts = countTerms(body);
+    for (const term of new Set([...headingCounts.keys(), ...bodyCounts.keys()])) {
+      if (!Object.hasOwn(terms, term)) terms[term] = [];
+      terms[term].push([i, headingCounts.get(term) || 0, bodyCounts.get(term) || 0]);
+    }
+  });
+
+  return { clauses, lengths, terms, forms, headingTotal, bodyTotal };
+}
+
+// Typos forgiven in a stem: none in short ones, where one edit reaches too many other
+// words ("house" -> "hour"), one from five letters, two from eight
+function maxEdits(term) {
+  if (term.length >= 8) return 2;
+  return term.length >= 5 ? 1 : 0;
+}
+
+// Optimal string alignment distance (a swap of neighbours is one edit); stops
+// counting past `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let before = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d = Math.min(d, before[j - 2] + 1);
+      row.push(d);
+      best = Math.min(best, d);
     }
-    return { ...c, score };
-  }).filter(x => x.score > 0).sort((a, b) => b.score - a.score);
-  return scored.slice(0, top);
+    if (best > max) return max + 1;
+    before = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+function corrector(indexes, synonyms = []) {
+  let vocabulary = null; // stem -> occurrences, built on the first unknown word
+  const fixes = new Map();
+  return (term) => {
+    if (fixes.has(term)) return fixes.get(term);
+    let fixed = null;
+    const max = maxEdits(term);
+    const known = indexes.some((idx) => Object.hasOwn(idx.terms, term)) || synonyms.some((g) => g.includes(term));
+    if (max && !known && !/\d/.test(term)) {
+      if (!vocabulary) {
+        vocabulary = new Map();
+        for (const idx of indexes) {
+          for (const [t, postings] of Object.entries(idx.terms)) {
+            const occurrences = postings.reduce((n, [, headingTf, bodyTf]) => n + headingTf + bodyTf, 0);
+            vocabulary.set(t, (vocabulary.get(t) || 0) + occurrences);
+          }
+        }
+      }
+      let best = { distance: max + 1, occurrences: 0 };
+      for (const [candidate, occurrences] of vocabulary) {
+        if (candidate[0] !== term[0] || /\d/.test(candidate)) continue;
+        const distance = editDistance(term, candidate, max);
+        if (distance < best.distance || (distance === best.distance && occurrences > best.occurrences)) {
+          best = { distance, occurrences };
+          fixed = candidate;
+        }
+      }
+      if (best.distance > max) fixed = null;
+    }
+    fixes.set(term, fixed);
+    return fixed;
+  };
+}
+
+// Score every matching clause: [{ x (index), i (clause), score }], best first
+function rank(indexes, question, correct, synonyms) {
+  const count = indexes.reduce((n, idx) => n + idx.clauses.length, 0);
+  if (!count) return [];
+  const avgHeading = indexes.reduce((n, idx) => n + idx.headingTotal, 0) / count || 1;
+  const avgBody = indexes.reduce((n, idx) => n + idx.bodyTotal, 0) / count || 1;
+
+  // Per index: clause index -> total score
+  const scores = indexes.map(() => new Map());
+  const stats = new Map(); // term -> { df, idf, postings } for the terms seen so far
+  const termStats = (term) => {
+    if (!stats.has(term)) {
+      const postings = indexes.map((idx) => (Object.hasOwn(idx.terms, term) ? idx.terms[term] : []));
+      const df = postings.reduce((n, p) => n + p.length, 0);
+      stats.set(term, { df, idf: Math.log(1 + (count - df + 0.5) / (df + 0.5)), postings });
+    }
+    return stats.get(term);
+  };
+
+  for (const concept of queryTerms(question, correct, synonyms)) {
+    // A concept's terms count as one: their frequencies add up and saturate together,
+    // and its IDF is the weighted mean over the terms the clause contains. A synonym
+    // stands in for the word asked, so it is never rarer than that word.
+    const asked = termStats(concept[0].term);
+    const maxIdf = asked.df ? asked.idf : Infinity;
+    const merged = indexes.map(() => new Map()); // clause index -> { tf, idf, weight }
+    for (const { term, weight } of concept) {
+      const { postings } = termStats(term);
+      const idf = Math.min(termStats(term).idf, maxIdf);
+      postings.forEach((list, x) => {
+        for (const [i, headingTf, bodyTf] of list) {
+          const [headingLen, bodyLen] = indexes[x].lengths[i];
+          const tf =
+            (HEADING_WEIGHT * headingTf) / (1 - B_HEADING + (B_HEADING * headingLen) / avgHeading) +
+            bodyTf / (1 - B_BODY + (B_BODY * bodyLen) / avgBody);
+          const m = merged[x].get(i) || { tf: 0, idf: 0, weight: 0 };
+          m.tf += weight * tf;
+          m.idf += weight * idf;
+          m.weight += weight;
+          merged[x].set(i, m);
+        }
+      });
+    }
+    merged.forEach((byClause, x) => {
+      for (const [i, { tf, idf, weight }] of byClause) {
+        const score = ((idf / weight) * tf * (K1 + 1)) / (K1 + tf);
+        scores[x].set(i, (scores[x].get(i) || 0) + score);
+      }
+    });
+  }
+
+  // Ties keep document order
+  return scores
+    .flatMap((byClause, x) => Array.from(byClause, ([i, score]) => ({ x, i, score })))
+    .sort((a, b) => b.score - a.score || a.x - b.x || a.i - b.i);
+}
+
+// One query token: an optional `-`, an optional `field:`, then a "quoted phrase" (the
+// closing quote may be missing) or a bare word
+const QUERY_TOKEN_RE = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+const QUERY_FIELDS = ['heading', 'doc'];
+
+const emptyFilter = () => ({ words: [], phrases: [], headings: [], docs: [] });
+
+function parseQuery(query) {
+  const alternatives = [emptyFilter()];
+  const exclude = emptyFilter();
+  let advanced = false;
+
+  for (const [token, sign, rawField, quoted, bare] of String(query || '').matchAll(QUERY_TOKEN_RE)) {
+    const alt = alternatives[alternatives.length - 1];
+    if (token === 'OR') {
+      if (alt.words.length || alt.phrases.length || alt.headings.length || alt.docs.length) alternatives.push(emptyFilter());
+      advanced = true;
+      continue;
+    }
+    const field = rawField && QUERY_FIELDS.includes(rawField.toLowerCase()) ? rawField.toLowerCase() : null;
+    const target = sign ? exclude : alt;
+    if (field === 'doc') {
+      // Document IDs are matched as written
+      const id = (quoted ?? bare).trim().toLowerCase();
+      if (id) target.docs.push(id);
+      advanced = true;
+      continue;
+    }
+    // An unknown field ("note:x") is just text
+    const value = normalize(field || !rawField ? (quoted ?? bare) : `${rawField} ${quoted ?? bare}`);
+    if (!value) continue;
+    // An excluded stopword ("-the") has no indexed form, and as a phrase it would rule
+    // out nearly every clause, so it is dropped
+    if (sign && field !== 'heading' && !tokenize(value).length) continue;
+    if (sign || field || quoted !== undefined) advanced = true;
+
+    if (field === 'heading') target.headings.push(value);
+    else if (sign) {
+      // A single word is excluded in any form; anything longer as written
+      const words = tokenize(value);
+      if (words.length === 1) target.words.push(words[0]);
+      else target.phrases.push(value);
+    } else if (quoted !== undefined) target.phrases.push(value);
+    else target.words.push(value);
+  }
+
+  return { alternatives, exclude, advanced };
+}
+
+// Every matching clause for a parsed query: [{ x, i, score }], best first
+function search(indexes, query, correct, synonyms) {
+  const { alternatives, exclude } = parseQuery(query);
+  const key = (r) => `${r.x}:${r.i}`;
+  const texts = new Map(); // key -> normalized heading and text, for phrases
+
+  const hasWord = (x, i, word) => {
+    const t = stem(word);
+    return Object.hasOwn(indexes[x].terms, t) && indexes[x].terms[t].some(([j]) => j === i);
+  };
+  const hasPhrase = (x, i, phrase) => {
+    const k = `${x}:${i}`;
+    if (!texts.has(k)) {
+      const clause = indexes[x].clauses[i];
+      texts.set(k, ` ${normalize(`${clause.heading} ${clause.text}`)} `);
+    }
+    return texts.get(k).includes(` ${phrase} `);
+  };
+  // Heading filters match by stem, typos corrected like the rest of the question
+  const inHeading = (x, i, value, fix) => {
+    const heading = indexes[x].clauses[i].heading;
+    const wanted = tokenize(value).map((w) => (fix && correct(stem(w))) || stem(w));
+    if (!wanted.length) return ` ${normalize(heading)} `.includes(` ${value} `);
+    const stems = tokenize(heading).map(stem);
+    return wanted.every((w) => stems.includes(w));
+  };
+  const inDoc = (x, i, docs) => docs.includes(String(indexes[x].clauses[i].docId || '').toLowerCase());
+
+  const excluded = (x, i) =>
+    exclude.words.some((w) => hasWord(x, i, w)) ||
+    exclude.phrases.some((p) => hasPhrase(x, i, p)) ||
+    exclude.headings.some((h) => inHeading(x, i, h, false)) ||
+    inDoc(x, i, exclude.docs);
+  const allows = (alt, x, i) =>
+    alt.phrases.every((p) => hasPhrase(x, i, p)) &&
+    alt.headings.every((h) => inHeading(x, i, h, true)) &&
+    (!alt.docs.length || inDoc(x, i, alt.docs));
+
+  const best = new Map();
+  for (const alt of alternatives) {
+    let hits = rank(indexes, [...alt.words, ...alt.phrases, ...alt.headings].join(' '), correct, synonyms);
+    // With filters, every clause that passes them is a hit, ranked or not
+    if (alt.phrases.length || alt.headings.length || alt.docs.length) {
+      const scores = new Map(hits.map((r) => [key(r), r.score]));
+      hits = indexes
+        .flatMap((idx, x) => idx.clauses.map((_, i) => ({ x, i, score: scores.get(`${x}:${i}`) || 0 })))
+        .filter((r) => allows(alt, r.x, r.i));
+    }
+    for (const r of hits) {
+      if (excluded(r.x, r.i)) continue;
+      if (!best.has(key(r)) || best.get(key(r)).score < r.score) best.set(key(r), r);
+    }
+  }
+
+  return [...best.values()].sort((a, b) => b.score - a.score || a.x - b.x || a.i - b.i);
+}
+
+function searchIndexes(indexes, question, top = 3, { synonyms = [] } = {}) {
+  if (!indexes.length) return [];
+  return search(indexes, question, corrector(indexes, synonyms), synonyms)
+    .slice(0, top)
+    .map(({ x, i, score }) => ({ ...indexes[x].clauses[i], score }));
+}
+
+function didYouMean(indexes, question, top = 3, { synonyms = [] } = {}) {
+  if (!indexes.length) return null;
+  const correct = corrector(indexes, synonyms);
+  const spell = (t) => indexes.find((idx) => Object.hasOwn(idx.forms, t)).forms[t];
+  let changed = false;
+  const corrected = question.replace(QUERY_TOKEN_RE, (token, sign, field, quoted) => {
+    if (sign || (field && field.toLowerCase() !== 'heading') || (quoted !== undefined && !field)) return token;
+    return token.replace(/[a-z0-9]+/gi, (word, at) => {
+      if (field && at < field.length) return word;
+      const lower = word.toLowerCase();
+      const fixed = STOPWORDS.has(lower) ? null : correct(stem(lower));
+      if (!fixed) return word;
+      changed = true;
+      return spell(fixed);
+    });
+  });
+  if (!changed) return null;
+
+  const key = (r) => `${r.x}:${r.i}`;
+  const asTyped = new Set(search(indexes, question, () => null, synonyms).slice(0, top).map(key));
+  return search(indexes, question, correct, synonyms).slice(0, top).some((r) => !asTyped.has(key(r))) ? corrected : null;
+}
+
+function matchTerms(indexes, question, { synonyms = [] } = {}) {
+  const correct = corrector(indexes, synonyms);
+  const count = indexes.reduce((n, idx) => n + idx.clauses.length, 0);
+  const idf = (term) => {
+    const df = indexes.reduce((n, idx) => n + (Object.hasOwn(idx.terms, term) ? idx.terms[term].length : 0), 0);
+    return Math.log(1 + (count - df + 0.5) / (df + 0.5));
+  };
+  const terms = {};
+  for (const alt of parseQuery(question).alternatives) {
+    for (const concept of queryTerms([...alt.words, ...alt.phrases, ...alt.headings].join(' '), correct, synonyms)) {
+      // As in rank(), a synonym is never rarer than the word asked
+      const maxIdf = idf(concept[0].term);
+      for (const { term, weight } of concept) {
+        terms[term] = Math.max(terms[term] || 0, weight * Math.min(idf(term), maxIdf));
+      }
+    }
+  }
+  return terms;
+}
+
+// Where a clause's text breaks into sentences (and semicolon-separated parts)
+const SENTENCE_BREAK = /(?<=[.!?;:])\s+/;
+// A term already in the snippet counts this much toward another sentence
+const REPEAT_WEIGHT = 0.25;
+
+function snippet(text, terms, limit = 900) {
+  const s = (text || '').trim().replace(/\s+/g, ' ');
+  if (s.length <= limit) return s;
+
+  const sentences = s.split(SENTENCE_BREAK);
+  const stems = sentences.map((sentence) => new Set(tokenize(sentence).map(stem).filter((t) => terms[t])));
+  const picked = new Set();
+  const covered = new Set();
+  let used = 0;
+  const fits = (i) => i >= 0 && i < sentences.length && !picked.has(i) && used + sentences[i].length + 1 <= limit;
+  const pick = (i) => {
+    picked.add(i);
+    used += sentences[i].length + 1;
+    stems[i].forEach((t) => covered.add(t));
+  };
+
+  for (;;) {
+    let best = -1;
+    let bestScore = 0;
+    sentences.forEach((_, i) => {
+      if (!fits(i)) return;
+      let score = 0;
+      for (const t of stems[i]) score += covered.has(t) ? terms[t] * REPEAT_WEIGHT : terms[t];
+      if (score > bestScore) [best, bestScore] = [i, score];
+    });
+    if (best === -1) break;
+    pick(best);
+  }
+
+  if (!picked.size) {
+    // Only a sentence longer than the limit has the terms: cut it around the first one
+    const at = stems.findIndex((set) => set.size);
+    if (at === -1) return `${s.slice(0, limit)}...`;
+    const sentence = sentences[at];
+    const first = [...sentence.matchAll(/[a-z0-9]+/gi)].find((m) => terms[stem(m[0].toLowerCase())]);
+    const start = Math.max(0, sentence.lastIndexOf(' ', Math.max(0, first.index - Math.floor(limit / 4))) + 1);
+    return `${at > 0 || start > 0 ? '...' : ''}${sentence.slice(start, start + limit)}...`;
+  }
+
+  // Fill with context, the sentence after each window before the one before it
+  for (let grew = true; grew; ) {
+    grew = false;
+    for (const i of [...picked].sort((a, b) => a - b)) {
+      for (const j of [i + 1, i - 1]) {
+        if (fits(j)) {
+          pick(j);
+          grew = true;
+        }
+      }
+    }
+  }
+
+  const order = [...picked].sort((a, b) => a - b);
+  const body = order.map((i, k) => (k === 0 ? '' : i === order[k - 1] + 1 ? ' ' : ' ... ') + sentences[i]).join('');
+  return `${order[0] > 0 ? '... ' : ''}${body}${order[order.length - 1] < sentences.length - 1 ? ' ...' : ''}`;
+}
+
+function bestMatches(agreementText, question, top = 3, options = {}) {
+  return searchIndexes([buildIndex(parseAgreement(agreementText))], question, top, options);
+}
+
+// Clause tree (mirrors src/js/clauses.js)
+const HEADING_TAGS = { h1: 1, h2: 2, h3: 3, h4: 4, h5: 5, h6: 6 };
+const BLOCK_TAGS = new Set(['p', 'li', 'div', 'blockquote', ...Object.keys(HEADING_TAGS)]);
+
+// ARTICLE 3 / SECTION 3.2 / Article IV
+const LABELED_RE = /^(ARTICLE|SECTION)\s+(\d{1,3}(?:\.\d{1,3})*|[IVXLC]{1,7})\b[.:)\s-]*(.*)$/i;
+// 3.2.1 Title — a bare number needs a following capital so "2026 Season" isn't a clause
+const NUMBERED_RE = /^(\d{1,3}(?:\.\d{1,3})*)[.)]?\s+([A-Z(“"].*)$/;
+const CAPS_RE = /^[A-Z0-9][A-Z0-9\s\-:&]{8,70}$/;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", apos: "'", nbsp: ' ' };
+
+function decodeEntities(s) {
+  return s.replace(/&(#\d+|#x[0-9a-f]+|[a-z0-9]+);/gi, (m, code) => {
+    if (ENTITIES[code.toLowerCase()] !== undefined) return ENTITIES[code.toLowerCase()];
+    if (code[0] !== '#') return m;
+    const n = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+    return n > 0 && n < 0x110000 ? String.fromCodePoint(n) : m;
+  });
+}
+
+function romanToNumber(roman) {
+  const values = { I: 1, V: 5, X: 10, L: 50, C: 100 };
+  let total = 0;
+  const s = roman.toUpperCase();
+  for (let i = 0; i < s.length; i++) {
+    const v = values[s[i]];
+    total += v < (values[s[i + 1]] || 0) ? -v : v;
+  }
+  return String(total);
+}
+
+function slugify(s) {
+  return (
+    (s || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .slice(0, 48)
+      .replace(/-+$/, '') || 'section'
+  );
+}
+
+function htmlToBlocks(html) {
+  const blocks = [];
+  const lists = []; // open <ul>/<ol>: { ordered, count }
+  let table = null; // { row: [] | null, cell: string | null }
+  let block = null; // { tag, text }
+
+  const flush = () => {
+    if (block) {
+      const text = block.text.replace(/[ \t\u00a0]+/g, ' ').replace(/ ?\n ?/g, '\n').trim();
+      if (text) blocks.push({ tag: block.tag, text: (block.prefix || '') + text });
+    }
+    block = null;
+  };
+  const append = (s) => {
+    if (table) {
+      if (table.cell !== null) table.cell += s;
+    } else if (block) block.text += s;
+    else if (s.trim()) block = { tag: 'p', text: s };
+  };
+
+  const re = /<(\/?)([a-z][a-z0-9]*)\b[^>]*>|([^<]+)/gi;
+  let m;
+  while ((m = re.exec(html || ''))) {
+    if (m[3] !== undefined) {
+      append(decodeEntities(m[3]));
+      continue;
+    }
+    const closing = m[1] === '/';
+    const tag = m[2].toLowerCase();
+
+    if (tag === 'br') append('\n');
+    else if (tag === 'table') {
+      flush();
+      table = closing ? null : { row: null, cell: null };
+    } else if (table) {
+      if (tag === 'tr') {
+        if (closing && table.row) {
+          const text = table.row.join(' | ').trim();
+          if (text.replace(/[|\s]/g, '')) blocks.push({ tag: 'tr', text });
+          table.row = null;
+        } else if (!closing) table.row = [];
+      } else if (tag === 'td' || tag === 'th') {
+        if (closing && table.cell !== null) {
+          table.row?.push(table.cell.replace(/\s+/g, ' ').trim());
+          table.cell = null;
+        } else if (!closing) table.cell = '';
+      } else if (BLOCK_TAGS.has(tag) && table.cell) table.cell += ' ';
+    } else if (tag === 'ul' || tag === 'ol') {
+      flush();
+      if (closing) lists.pop();
+      else lists.push({ ordered: tag === 'ol', count: 0 });
+    } else if (tag === 'li') {
+      flush();
+      if (!closing) {
+        const list = lists[lists.length - 1];
+        const indent = '  '.repeat(Math.max(0, lists.length - 1));
+        const marker = list?.ordered ? `${++list.count}.` : '•';
+        block = { tag: 'li', prefix: `${indent}${marker} `, text: '' };
+      }
+    } else if (BLOCK_TAGS.has(tag)) {
+      // A paragraph inside a list item continues that item
+      if (block?.tag === 'li' && tag === 'p') continue;
+      flush();
+      if (!closing) block = { tag, text: '' };
+    }
+  }
+  flush();
+  return blocks;
+}
+
+function classifyHeading(block) {
+  const text = block.text.split('\n')[0].trim();
+  if (!text || block.tag === 'li' || block.tag === 'tr') return null;
+
+  const labeled = text.match(LABELED_RE);
+  if (labeled) {
+    const number = /^\d/.test(labeled[2]) ? labeled[2] : romanToNumber(labeled[2]);
+    return { number, depth: number.split('.').length };
+  }
+  const numbered = text.match(NUMBERED_RE);
+  if (numbered) return { number: numbered[1], depth: numbered[1].split('.').length };
+  if (HEADING_TAGS[block.tag]) return { number: null, depth: HEADING_TAGS[block.tag] };
+  if (CAPS_RE.test(text) && text === text.toUpperCase()) return { number: null, depth: 1 };
+  return null;
+}
+
+function parseDocument(source, docId = 'doc') {
+  const isHtml = /<[a-z][^>]*>/i.test(source || '');
+  const blocks = isHtml
+    ? htmlToBlocks(source)
+    : (source || '')
+        .split(/\r?\n/)
+        .filter((line) => line.trim())
+        .map((line) => ({ tag: 'p', text: line.trim() }));
+
+  const nodes = [];
+  const roots = [];
+  const usedAnchors = new Set();
+  const stack = []; // open clauses, outermost first
+  let current = null;
+
+  const addNode = (heading, number, depth) => {
+    while (stack.length && stack[stack.length - 1].depth >= depth) stack.pop();
+    const parent = stack[stack.length - 1] || null;
+
+    // `_n` can't occur in a slug or number anchor, so repeats never collide with a real one
+    const base = number ? `s-${number.replace(/\./g, '-')}` : slugify(heading);
+    let anchor = base;
+    for (let n = 2; usedAnchors.has(anchor); n++) anchor = `${base}_${n}`;
+    usedAnchors.add(anchor);
+
+    const node = {
+      id: `${docId}:${anchor}`,
+      anchor,
+      docId,
+      number,
+      numberPath: [...(parent?.numberPath || []), ...(number ? [number] : [])],
+      parentId: parent ? parent.id : null,
+      depth,
+      heading,
+      text: '',
+      children: [],
+    };
+    if (parent) parent.children.push(node.id);
+    else roots.push(node.id);
+    nodes.push(node);
+    stack.push(node);
+    return node;
+  };
+
+  for (const block of blocks) {
+    const heading = classifyHeading(block);
+    if (heading) {
+      const [first, ...rest] = block.text.split('\n');
+      // A long numbered paragraph is a clause in itself: its first sentence is the heading
+      const sentence = first.length > 80 ? first.match(/^(.{4,80}?[.:])\s+(.+)$/) : null;
+      if (sentence) rest.unshift(sentence[2]);
+      current = addNode(sentence ? sentence[1] : first.trim(), heading.number, heading.depth);
+      if (rest.length) current.text += rest.join('\n').trim() + '\n';
+      continue;
+    }
+    if (!current) current = addNode('INTRODUCTION', null, 1);
+    current.text += block.text + '\n';
+  }
+
+  for (const node of nodes) node.text = node.text.trim();
+  return { docId, nodes, roots };
+}
+
+// "Section 7.2 –", "ARTICLE IV", "3.1." in front of a heading
+const HEADING_NUMBER_RE = /^(?:(?:article|section)\s+(?:\d{1,3}(?:\.\d{1,3})*|[ivxlc]{1,7})|\d{1,3}(?:\.\d{1,3})*)\b[.:)\s\-–—]*/i;
+
+function headingTitle(heading) {
+  return heading.replace(HEADING_NUMBER_RE, '');
+}
+
+function findClause(model, ref) {
+  let key;
+  try {
+    key = decodeURIComponent(ref || '').replace(/^#/, '').toLowerCase();
+  } catch {
+    return null;
+  }
+  if (!key) return null;
+  return (
+    model.nodes.find((n) => n.anchor === key) ||
+    model.nodes.find((n) => slugify(headingTitle(n.heading)) === key) ||
+    model.nodes.find((n) => slugify(n.heading) === key) ||
+    null
+  );
+}
+
+function diffWords(before, after) {
+  const a = (before || '').split(/(\s+)/).filter(Boolean);
+  const b = (after || '').split(/(\s+)/).filter(Boolean);
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) last.text += text;
+    else parts.push({ type, text });
+  };
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  let i = 0, j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) { push('same', a[i]); i++; j++; }
+    else if (lcs[i + 1][j] >= lcs[i][j + 1]) push('del', a[i++]);
+    else push('ins', b[j++]);
+  }
+  while (i < a.length) push('del', a[i++]);
+  while (j < b.length) push('ins', b[j++]);
+  return parts;
+}
+
+function diffSections(oldSource, newSource, docId) {
+  const before = parseDocument(oldSource, docId).nodes;
+  const after = parseDocument(newSource, docId).nodes;
+  const oldIndex = new Map(before.map((c, i) => [c.id, i]));
+  const newIds = new Set(after.map((c) => c.id));
+  const sections = [];
+  let next = 0; // next old clause not yet placed
+
+  const placeRemoved = (until) => {
+    for (; next < until; next++) {
+      const c = before[next];
+      if (!newIds.has(c.id)) {
+        sections.push({ id: c.id, heading: c.heading, status: 'removed', parts: [{ type: 'del', text: c.text }] });
+      }
+    }
+  };
+
+  for (const c of after) {
+    const i = oldIndex.get(c.id);
+    if (i === undefined) {
+      sections.push({ id: c.id, heading: c.heading, status: 'added', parts: [{ type: 'ins', text: c.text }] });
+      continue;
+    }
+    if (i >= next) {
+      placeRemoved(i);
+      next = i + 1;
+    }
+    const old = before[i];
+    const section = { id: c.id, heading: c.heading };
+    if (old.heading !== c.heading) section.previousHeading = old.heading;
+    sections.push(
+      old.text === c.text
+        ? { ...section, status: section.previousHeading ? 'changed' : 'unchanged', parts: [{ type: 'same', text: c.text }] }
+        : { ...section, status: 'changed', parts: diffWords(old.text, c.text) }
+    );
+    // Clauses removed right after this one belong here, not at the end
+    while (next < before.length && !newIds.has(before[next].id)) placeRemoved(next + 1);
+  }
+  placeRemoved(before.length);
+  return sections;
+}
+
+// How much of two clauses' similarity comes from their headings; the rest is their text
+const HEADING_SHARE = 0.4;
+// Below this, two clauses are different clauses, not versions of one
+const MIN_SIMILARITY = 0.3;
+
+function compareDocuments(leftSource, rightSource, leftId = 'left', rightId = 'right') {
+  const left = parseDocument(leftSource, leftId).nodes;
+  const right = parseDocument(rightSource, rightId).nodes;
+  const all = [...left, ...right];
+
+  // Text as tf-idf vectors over both documents, so boilerplate shared by every clause counts for little
+  const counts = all.map((c) => {
+    const tf = new Map();
+    for (const t of tokenize(c.text).map(stem)) tf.set(t, (tf.get(t) || 0) + 1);
+    return tf;
+  });
+  const df = new Map();
+  counts.forEach((tf) => tf.forEach((_, t) => df.set(t, (df.get(t) || 0) + 1)));
+  const vectors = counts.map((tf) => {
+    const weights = new Map();
+    let norm = 0;
+    tf.forEach((n, t) => {
+      const w = (1 + Math.log(n)) * Math.log(1 + all.length / df.get(t));
+      weights.set(t, w);
+      norm += w * w;
+    });
+    return { weights, norm: Math.sqrt(norm) };
+  });
+  const headings = all.map((c) => new Set(tokenize(headingTitle(c.heading)).map(stem)));
+
+  const cosine = (a, b) => {
+    if (!a.norm || !b.norm) return 0;
+    let dot = 0;
+    a.weights.forEach((w, t) => {
+      if (b.weights.has(t)) dot += w * b.weights.get(t);
+    });
+    return dot / (a.norm * b.norm);
+  };
+  const overlap = (a, b) => {
+    const shared = [...a].filter((t) => b.has(t)).length;
+    return shared ? shared / (a.size + b.size - shared) : 0;
+  };
+
+  const pairs = [];
+  left.forEach((_, i) => {
+    right.forEach((_, j) => {
+      const k = left.length + j;
+      const similarity = HEADING_SHARE * overlap(headings[i], headings[k]) + (1 - HEADING_SHARE) * cosine(vectors[i], vectors[k]);
+      if (similarity >= MIN_SIMILARITY) pairs.push({ i, j, similarity });
+    });
+  });
+  pairs.sort((a, b) => b.similarity - a.similarity || a.i - b.i || a.j - b.j);
+  const matches = new Map(); // left index -> { j, similarity }
+  const matched = new Set();
+  for (const { i, j, similarity } of pairs) {
+    if (matches.has(i) || matched.has(j)) continue;
+    matches.set(i, { j, similarity });
+    matched.add(j);
+  }
+
+  const rightOnly = (j) => ({ left: null, right: right[j], status: 'right', similarity: 0, parts: [{ type: 'ins', text: right[j].text }] });
+  // Right-only clauses follow the last right clause before them that has a row
+  const following = new Map(); // right index with a row (-1: the top) -> right-only clauses after it
+  let previous = -1;
+  right.forEach((_, j) => {
+    if (matched.has(j)) previous = j;
+    else following.set(previous, [...(following.get(previous) || []), j]);
+  });
+
+  const rows = (following.get(-1) || []).map(rightOnly);
+  left.forEach((c, i) => {
+    const match = matches.get(i);
+    if (!match) {
+      rows.push({ left: c, right: null, status: 'left', similarity: 0, parts: [{ type: 'del', text: c.text }] });
+      return;
+    }
+    const other = right[match.j];
+    const same = normalize(c.text) === normalize(other.text) && normalize(headingTitle(c.heading)) === normalize(headingTitle(other.heading));
+    rows.push({
+      left: c,
+      right: other,
+      status: same ? 'matched' : 'changed',
+      similarity: match.similarity,
+      parts: same ? [{ type: 'same', text: other.text }] : diffWords(c.text, other.text),
+    });
+    rows.push(...(following.get(match.j) || []).map(rightOnly));
+  });
+  return rows;
+}
+
+// Mirrors src/js/faq.js
+const faqStems = (text) => tokenize(text).map(stem);
+const BOILERPLATE_RE = /^(definitions?|general( terms| provisions)?|miscellaneous|recitals?)$/i;
+
+function matchFaq(faq, question) {
+  const asked = new Set(faqStems(question));
+  let best = null;
+  let bestSize = 0;
+  for (const entry of faq || []) {
+    for (const pattern of [...(entry.patterns || []), entry.question]) {
+      const words = [...new Set(faqStems(pattern))];
+      if (words.length > bestSize && words.every((w) => asked.has(w))) {
+        best = { entry, pattern };
+        bestSize = words.length;
+      }
+    }
+  }
+  return best;
+}
+
+function headingQuestion(heading) {
+  const title = headingTitle(heading).replace(/[.:]+$/, '').trim();
+  return title === title.toUpperCase() ? title.charAt(0) + title.slice(1).toLowerCase() : title;
+}
+
+function suggestQuestions({ faq = [], searches = [], headings = [] }, limit = 6) {
+  const seen = new Set();
+  const picked = [];
+  const take = (list, max) => {
+    let taken = 0;
+    for (const text of list) {
+      if (picked.length >= limit || taken >= max) return;
+      const key = normalize(text);
+      if (!key || seen.has(key)) continue;
+      seen.add(key);
+      picked.push(text);
+      taken++;
+    }
+  };
+  const questions = faq.map((e) => e.question);
+  const titles = headings.map(headingQuestion).filter((t) => !BOILERPLATE_RE.test(t));
+  take(questions, 3);
+  take(searches, 2);
+  take(titles, 2);
+  take(questions, limit);
+  take(searches, limit);
+  take(titles, limit);
+  return picked;
+}
+
+// Mirrors src/js/i18n.js (the catalogs themselves are read from the file in the tests)
+const LANGUAGES = { en: 'English', es: 'Español' };
+
+function translate(messages, lang, key, params = {}) {
+  const catalog = Object.hasOwn(messages, lang) ? messages[lang] : messages.en;
+  const lookup = (k) => catalog[k] ?? messages.en[k];
+  const message = (params.count === 1 ? lookup(`${key}_one`) : undefined) ?? lookup(key) ?? key;
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+function detectLanguage(saved, preferred = []) {
+  if (Object.hasOwn(LANGUAGES, saved)) return saved;
+  for (const tag of preferred) {
+    const lang = String(tag || '').toLowerCase().split('-')[0];
+    if (Object.hasOwn(LANGUAGES, lang)) return lang;
+  }
+  return 'en';
+}
+
+// Mirrors src/js/indexer.js and the stored-copy lookup and sign-out cleanup in index.html
+async function contentHash(html) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(html));
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('').slice(0, 16);
+}
+
+async function storedDocument(docId, getDocument, putDocument) {
+  const stored = await getDocument(docId);
+  if (stored) return stored;
+  const legacy = ['', 'etag_', 'version_', 'retrieved_', 'time_'].map((part) => `fw_doc_${part}${docId}`);
+  const [html, etag, version, retrievedAt] = legacy.map((key) => localStorage.getItem(key));
+  legacy.forEach((key) => localStorage.removeItem(key));
+  if (!html || !etag) return null;
+  const record = { docId, html, etag, version, retrievedAt };
+  putDocument(record);
+  return record;
+}
+
+async function clearClientData(storage, clearStoredDocuments) {
+  Object.keys(storage)
+    .filter((key) => key.startsWith('fw_doc_') || key.startsWith('fw_faq_') || key === 'fw_analytics')
+    .forEach((key) => storage.removeItem(key));
+  await clearStoredDocuments();
 }
 
 // ─── Tests ────────────────────────────────────────────────
@@ -313,27 +1219,28 @@ Snow plowing is triggered at 2 inch accumulation. Salt and deicing are additiona
     });
 
     test('identifies section headings', () => {
-      const chunks = parseAgreement(sampleAgreement);
+      const chunks = parseAgreement(sampleAgreement, 'res_msa');
       const headings = chunks.map(c => c.heading);
       expect(headings).toContain('SECTION 1: PAYMENT TERMS');
       expect(headings).toContain('SECTION 2: CANCELLATION POLICY');
+      expect(chunks.find(c => c.heading === 'SECTION 2: CANCELLATION POLICY').id).toBe('res_msa:s-2');
     });
 
     test('handles empty text', () => {
-      const chunks = parseAgreement('');
-      expect(chunks).toEqual([{ heading: 'AGREEMENT', text: '' }]);
+      expect(parseAgreement('', 'res_msa')).toEqual([{ id: 'res_msa:agreement', heading: 'AGREEMENT', text: '' }]);
+      expect(parseAgreement('')).toEqual([{ id: 'doc:agreement', heading: 'AGREEMENT', text: '' }]);
     });
 
     test('handles text with no headings', () => {
-      const chunks = parseAgreement('Just some plain text here.');
+      const chunks = parseAgreement('Just some plain text here.', 'res_msa');
       expect(chunks.length).toBe(1);
-      expect(chunks[0].heading).toBe('INTRODUCTION');
+      expect(chunks[0]).toMatchObject({ id: 'res_msa:introduction', heading: 'INTRODUCTION', text: 'Just some plain text here.' });
     });
   });
 
   describe('expandTokens', () => {
     test('expands cancel to related terms', () => {
-      const tokens = expandTokens('cancel');
+      const tokens = expandTokens('cancel', SYNONYMS);
       expect(tokens).toContain('cancel');
       expect(tokens).toContain('cancellation');
       expect(tokens).toContain('terminate');
@@ -341,21 +1248,31 @@ Snow plowing is triggered at 2 inch accumulation. Salt and deicing are additiona
     });
 
     test('expands payment-related queries', () => {
-      const tokens = expandTokens('payment');
+      const tokens = expandTokens('payment', SYNONYMS);
       expect(tokens).toContain('payment');
       expect(tokens).toContain('invoice');
       expect(tokens).toContain('billing');
     });
 
+    test('expands other forms of a synonym', () => {
+      const tokens = expandTokens('cancelation', SYNONYMS);
+      expect(tokens).toContain('cancel');
+      expect(tokens).toContain('terminate');
+    });
+
     test('filters short tokens', () => {
-      const tokens = expandTokens('a b');
+      const tokens = expandTokens('a b', SYNONYMS);
       expect(tokens.every(t => t.length >= 3)).toBe(true);
     });
 
     test('limits number of tokens', () => {
-      const tokens = expandTokens('cancel payment late liability snow');
+      const tokens = expandTokens('cancel payment late liability snow', SYNONYMS);
       expect(tokens.length).toBeLessThanOrEqual(30);
     });
+
+    test('expands nothing without a dictionary', () => {
+      expect(expandTokens('cancel')).toEqual(['cancel']);
+    });
   });
 
   describe('bestMatches', () => {
@@ -395,3 +1312,674 @@ Snow plowing is triggered at 2 inch accumulation. Salt and deicing are additiona
     });
   });
 });
+
+describe('Document Redline', () => {
+  const v1 = `SECTION 1 PAYMENT
+Invoices are due within 30 days.
+
+SECTION 2 CANCELLATION
+Either party may cancel with 10 days notice.
+
+SECTION 3 SNOW REMOVAL
+Plowing starts at 2 inches.`;
+
+  const v2 = `SECTION 1 PAYMENT
+Invoices are due within 15 days.
+
+SECTION 2 CANCELLATION
+Either party may cancel with 10 days notice.
+
+SECTION 4 DEICING
+Salt is applied after each plow.`;
+
+  test('marks word-level insertions and deletions', () => {
+    expect(diffWords('due within 30 days', 'due within 15 days')).toEqual([
+      { type: 'same', text: 'due within ' },
+      { type: 'del', text: '30' },
+      { type: 'ins', text: '15' },
+      { type: 'same', text: ' days' },
+    ]);
+  });
+
+  test('keys sections on clause ids', () => {
+    const byHeading = Object.fromEntries(diffSections(v1, v2).map(s => [s.heading, s.status]));
+    expect(byHeading).toEqual({
+      'SECTION 1 PAYMENT': 'changed',
+      'SECTION 2 CANCELLATION': 'unchanged',
+      'SECTION 3 SNOW REMOVAL': 'removed',
+      'SECTION 4 DEICING': 'added',
+    });
+  });
+
+  test('removed sections stay where they used to be', () => {
+    const headings = diffSections(v1, v2).map(s => s.heading);
+    expect(headings.indexOf('SECTION 3 SNOW REMOVAL')).toBe(2);
+  });
+
+  test('identical texts have no changes', () => {
+    expect(diffSections(v1, v1).every(s => s.status === 'unchanged')).toBe(true);
+  });
+
+  test('a renamed heading is the same clause', () => {
+    const renamed = v1.replace('SECTION 1 PAYMENT', 'SECTION 1 PAYMENT TERMS');
+    const [first] = diffSections(v1, renamed, 'res_msa');
+    expect(first).toMatchObject({ id: 'res_msa:s-1', status: 'changed', previousHeading: 'SECTION 1 PAYMENT' });
+  });
+});
+
+describe('Document Comparison', () => {
+  const fs = require('fs');
+  const path = require('path');
+  const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+  const residential = fixture('residential-agreement.txt');
+  const commercial = fixture('commercial-agreement.txt');
+  const rows = compareDocuments(residential, commercial, 'res_msa', 'com_msa');
+  const row = (title) => rows.find(r => [r.left, r.right].some(c => c && headingTitle(c.heading) === title));
+
+  test('pairs renumbered sections by heading and wording', () => {
+    expect(row('CHANGE ORDERS AND ADDITIONAL WORK')).toMatchObject({
+      left: { id: 'res_msa:s-3' },
+      right: { id: 'com_msa:s-4' },
+      status: 'changed',
+    });
+    expect(row('GENERAL TERMS')).toMatchObject({ left: { id: 'res_msa:s-17' }, right: { id: 'com_msa:s-15' }, status: 'matched' });
+    expect(row('WEATHER AND FORCE MAJEURE').status).toBe('matched');
+  });
+
+  test('marks word-level differences in changed sections', () => {
+    const payment = row('PAYMENT TERMS');
+    expect(payment.status).toBe('changed');
+    expect(payment.parts.filter(p => p.type === 'ins').map(p => p.text).join(' ')).toContain('net 30');
+    expect(payment.parts.filter(p => p.type === 'del').map(p => p.text).join(' ')).toContain('15');
+  });
+
+  test('lists sections only one document has', () => {
+    const only = (status) => rows.filter(r => r.status === status).map(r => headingTitle((r.left || r.right).heading));
+    expect(only('left')).toEqual(['SLIP AND FALL AND ICE CONDITIONS', 'PLANT AND MATERIALS WARRANTY', 'MECHANICS LIEN NOTICE', 'PRIVACY AND PHOTOS']);
+    expect(only('right')).toEqual(['SITE MAP AND PRIORITY AREAS', 'CERTIFICATES AND ADDITIONAL INSURED']);
+  });
+
+  test('keeps left order and places right-only sections after their neighbour', () => {
+    const titles = rows.map(r => headingTitle((r.left || r.right).heading));
+    expect(titles.indexOf('SITE MAP AND PRIORITY AREAS')).toBe(titles.indexOf('SCOPE OF SERVICES') + 1);
+    expect(titles.indexOf('CERTIFICATES AND ADDITIONAL INSURED')).toBe(titles.indexOf('LIABILITY AND INSURANCE') + 1);
+    expect(rows.filter(r => r.left).map(r => r.left.id)).toEqual(parseDocument(residential, 'res_msa').nodes.map(n => n.id));
+  });
+
+  test('a document compared with itself is all matched', () => {
+    expect(compareDocuments(commercial, commercial).every(r => r.status === 'matched')).toBe(true);
+  });
+});
+
+describe('Curated Answers', () => {
+  const faq = [
+    { id: 'cancel', question: 'Can I cancel mid-season?', patterns: ['cancel', 'cancel mid season'] },
+    { id: 'late', question: 'What is the late fee?', patterns: ['late fee', 'late payment'] },
+  ];
+
+  test('a pattern matches any form of its words', () => {
+    expect(matchFaq(faq, 'If I cancelled mid-season, what do I owe?').entry.id).toBe('cancel');
+    expect(matchFaq(faq, 'cancellation policy').entry.id).toBe('cancel');
+    expect(matchFaq(faq, 'Are there fees for late payments?').entry.id).toBe('late');
+  });
+
+  test('the most specific pattern wins, and every word must be asked', () => {
+    expect(matchFaq(faq, 'cancel mid season').pattern).toBe('cancel mid season');
+    expect(matchFaq(faq, 'How much snow before you plow?')).toBeNull();
+    expect(matchFaq(faq, 'Is there a fee?')).toBeNull();
+    expect(matchFaq([], 'cancel')).toBeNull();
+  });
+
+  test('suggestions mix approved questions, top searches and headings without repeats', () => {
+    const fs = require('fs');
+    const path = require('path');
+    const text = fs.readFileSync(path.join(__dirname, 'fixtures', 'residential-agreement.txt'), 'utf8');
+    const headings = parseDocument(text).nodes.filter((n) => !n.parentId && n.number).map((n) => n.heading);
+    const chips = suggestQuestions({ faq, searches: ['When do you plow?', 'can i cancel mid season'], headings });
+    expect(chips).toEqual([
+      'Can I cancel mid-season?',
+      'What is the late fee?',
+      'When do you plow?',
+      'Scope of services',
+      'Change orders and additional work',
+      'Season and term',
+    ]);
+    expect(chips).not.toContain('Definitions');
+  });
+
+  test('headings read as plain titles', () => {
+    expect(headingQuestion('SECTION 8: SNOW AND ICE MANAGEMENT')).toBe('Snow and ice management');
+    expect(headingQuestion('7.2 Snow Trigger')).toBe('Snow Trigger');
+  });
+});
+
+describe('Portal Language', () => {
+  const messages = {
+    en: { 'docs.count': '{count} documents', 'docs.count_one': '{count} document', greet: 'Welcome back, {name}!', only: 'English only' },
+    es: { 'docs.count': '{count} documentos', 'docs.count_one': '{count} documento', greet: '¡Bienvenido de nuevo, {name}!' },
+  };
+
+  // { key: [placeholders] } for one catalog in src/js/i18n.js
+  function catalog(lang) {
+    const fs = require('fs');
+    const path = require('path');
+    const source = fs.readFileSync(path.join(__dirname, '..', 'src', 'js', 'i18n.js'), 'utf8');
+    const [en, es] = source.split('\n  es: {');
+    const block = lang === 'en' ? en.split('\n  en: {')[1] : es.split('\n};')[0];
+    const entries = {};
+    for (const [, key, text] of block.matchAll(/^ {4}'?([\w.]+)'?: (['"].*['"]),$/gm)) {
+      entries[key] = [...text.matchAll(/\{(\w+)\}/g)].map((m) => m[1]).sort();
+    }
+    return entries;
+  }
+
+  test('fills placeholders and picks the singular form for one', () => {
+    expect(translate(messages, 'es', 'greet', { name: 'Ana' })).toBe('¡Bienvenido de nuevo, Ana!');
+    expect(translate(messages, 'es', 'docs.count', { count: 1 })).toBe('1 documento');
+    expect(translate(messages, 'es', 'docs.count', { count: 0 })).toBe('0 documentos');
+    expect(translate(messages, 'en', 'greet')).toBe('Welcome back, {name}!');
+  });
+
+  test('falls back to English, then to the key', () => {
+    expect(translate(messages, 'es', 'only')).toBe('English only');
+    expect(translate(messages, 'fr', 'docs.count', { count: 2 })).toBe('2 documents');
+    expect(translate(messages, 'es', 'missing.key')).toBe('missing.key');
+  });
+
+  test('a saved choice wins over the browser languages', () => {
+    expect(detectLanguage('en', ['es-MX'])).toBe('en');
+    expect(detectLanguage(null, ['fr-CA', 'es-US', 'en'])).toBe('es');
+    expect(detectLanguage('constructor', ['de'])).toBe('en');
+    expect(detectLanguage(null)).toBe('en');
+  });
+
+  test('the Spanish catalog has every English message with the same placeholders', () => {
+    const en = catalog('en');
+    const es = catalog('es');
+    expect(Object.keys(en).length).toBeGreaterThan(50);
+    expect(Object.keys(es).sort()).toEqual(Object.keys(en).sort());
+    for (const key of Object.keys(en)) expect([key, es[key]]).toEqual([key, en[key]]);
+  });
+
+  test('every message the portal asks for is in the catalogs', () => {
+    const fs = require('fs');
+    const path = require('path');
+    const page = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8');
+    const en = catalog('en');
+    const used = new Set([...page.matchAll(/\bt\('([\w.]+)'/g)].map((m) => m[1]));
+    // Looked up by status and urgency id
+    ['submitted', 'quoted', 'approved', 'declined'].forEach((s) => used.add(`changeOrder.status.${s}`));
+    ['routine', 'soon', 'urgent'].forEach((u) => used.add(`changeOrder.urgency.${u}`));
+    expect([...used].filter((key) => !en[key])).toEqual([]);
+  });
+});
+
+describe('Search Indexing', () => {
+  const fs = require('fs');
+  const path = require('path');
+  const html = fs.readFileSync(path.join(__dirname, 'fixtures', 'commercial-agreement.txt'), 'utf8');
+
+  test('the content hash is the version the server gives the same text', async () => {
+    const serverVersion = require('crypto').createHash('sha256').update(html).digest('hex').slice(0, 16);
+    expect(await contentHash(html)).toBe(serverVersion);
+    expect(await contentHash(`${html} `)).not.toBe(serverVersion);
+  });
+
+  test('a stored index searches like a fresh one', () => {
+    const { nodes, roots } = parseDocument(html, 'com_msa');
+    const entry = { docId: 'com_msa', nodes, roots, index: buildIndex(nodes) };
+    // IndexedDB and postMessage both store a structured clone
+    const stored = structuredClone(entry);
+    expect(stored.index.clauses).toBe(stored.nodes);
+    const question = 'How much snow before you plow?';
+    expect(searchIndexes([stored.index], question).map((c) => c.anchor))
+      .toEqual(searchIndexes([entry.index], question).map((c) => c.anchor));
+  });
+
+  test('localStorage copies move to the store once; unsanitized ones are dropped', async () => {
+    const store = new Map();
+    const get = async (id) => store.get(id) || null;
+    const put = (record) => store.set(record.docId, record);
+    localStorage.setItem('fw_doc_res_msa', '<p>Terms</p>');
+    localStorage.setItem('fw_doc_etag_res_msa', '"abc"');
+    localStorage.setItem('fw_doc_version_res_msa', 'abc');
+    localStorage.setItem('fw_doc_old_msa', '<p onclick="x">Old</p>');
+
+    expect(await storedDocument('res_msa', get, put)).toMatchObject({ html: '<p>Terms</p>', etag: '"abc"', version: 'abc' });
+    expect(localStorage.getItem('fw_doc_res_msa')).toBeNull();
+    expect(store.get('res_msa').html).toBe('<p>Terms</p>');
+    expect(await storedDocument('old_msa', get, put)).toBeNull();
+    expect(localStorage.getItem('fw_doc_old_msa')).toBeNull();
+    expect(store.has('old_msa')).toBe(false);
+  });
+
+  test('signing out leaves none of the client\'s documents on the device', async () => {
+    // Like localStorage, its items are its own keys
+    const storage = Object.defineProperty(
+      {
+        fw_lang: 'es',
+        fw_synonyms: '{}',
+        fw_doc_list_hoa_c1: '[{"id":"res_msa"}]',
+        fw_doc_list_hoa_portal_2025: '[]',
+        fw_faq_hoa_c1: '{"faq":[]}',
+        fw_doc_seen: '{"res_msa":"abc"}',
+        fw_analytics: '[{"event":"search","query":"my invoice"}]',
+      },
+      'removeItem',
+      { value(key) { delete this[key]; } }
+    );
+    const store = new Map([['res_msa', { docId: 'res_msa', html: '<p>Terms</p>' }]]);
+    await clearClientData(storage, async () => store.clear());
+    expect(Object.keys(storage)).toEqual(['fw_lang', 'fw_synonyms']);
+    expect(store.size).toBe(0);
+  });
+});
+
+describe('Clause Tree', () => {
+  const html = `
+    <p>This Agreement is made between Freshwater and the Client.</p>
+    <h1>ARTICLE IV SERVICES</h1>
+    <p>4.1 Snow Removal</p>
+    <p>Plowing starts at 2&nbsp;inches.</p>
+    <ul><li>Driveways</li><li>Walkways<ul><li>Front steps</li></ul></li></ul>
+    <p>4.2 Deicing</p>
+    <table><tr><td>Salt</td><td>$40</td></tr></table>
+    <p>2026 Season pricing applies.</p>
+    <h2>Notes</h2>
+    <h2>Notes</h2>`;
+
+  test('numbers clauses and links them to their parents', () => {
+    const { nodes, roots } = parseDocument(html, 'res_msa');
+    const byId = Object.fromEntries(nodes.map(n => [n.id, n]));
+    expect(roots).toEqual(['res_msa:introduction', 'res_msa:s-4']);
+    expect(byId['res_msa:s-4-1']).toMatchObject({ number: '4.1', numberPath: ['4', '4.1'], parentId: 'res_msa:s-4' });
+    expect(byId['res_msa:s-4'].children).toEqual(['res_msa:s-4-1', 'res_msa:s-4-2', 'res_msa:notes', 'res_msa:notes_2']);
+  });
+
+  test('keeps lists and tables readable', () => {
+    const { nodes } = parseDocument(html, 'res_msa');
+    expect(nodes.find(n => n.number === '4.1').text).toBe('Plowing starts at 2 inches.\n• Driveways\n• Walkways\n  • Front steps');
+    expect(nodes.find(n => n.number === '4.2').text).toBe('Salt | $40\n2026 Season pricing applies.');
+  });
+
+  test('gives repeated headings distinct anchors', () => {
+    const anchors = parseDocument(html, 'res_msa').nodes.map(n => n.anchor);
+    expect(new Set(anchors).size).toBe(anchors.length);
+  });
+
+  test('does not treat a year as a section number', () => {
+    expect(classifyHeading({ tag: 'p', text: '2026 Season pricing applies.' })).toBeNull();
+    expect(classifyHeading({ tag: 'p', text: '3.2.1 Payment Terms' })).toEqual({ number: '3.2.1', depth: 3 });
+    expect(classifyHeading({ tag: 'p', text: 'Section 12: Insurance' })).toEqual({ number: '12', depth: 1 });
+  });
+
+  test('resolves deep links by anchor or heading slug', () => {
+    const model = parseDocument('ARTICLE VII WINTER\n7.2 Snow Trigger\nPlowing starts at 2 inches.', 'com_msa');
+    expect(findClause(model, 's-7-2').heading).toBe('7.2 Snow Trigger');
+    expect(findClause(model, '#snow-trigger').anchor).toBe('s-7-2');
+    expect(findClause(model, 'winter').anchor).toBe('s-7');
+    expect(findClause(model, 'fees')).toBeNull();
+    expect(findClause(model, '%E0%A4%A')).toBeNull();
+  });
+
+  test('parses plain text one line per block', () => {
+    const { nodes } = parseDocument('1. Scope\nWe plow.\n2. Payment\nNet 30.', 'doc');
+    expect(nodes.map(n => [n.anchor, n.text])).toEqual([['s-1', 'We plow.'], ['s-2', 'Net 30.']]);
+  });
+});
+
+describe('Clause Search Index', () => {
+  const fs = require('fs');
+  const path = require('path');
+  const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+  // The raw match-count ranker this index replaced, kept to measure against
+  function countMatches(chunks, question) {
+    const tokens = expandTokens(question, SYNONYMS);
+    return chunks
+      .map(c => {
+        const hay = (c.heading + '\n' + c.text).toLowerCase();
+        const score = tokens.reduce((n, t) => n + (hay.match(new RegExp('\\b' + t + '\\b', 'g')) || []).length, 0);
+        return { ...c, score };
+      })
+      .filter(x => x.score > 0)
+      .sort((a, b) => b.score - a.score);
+  }
+
+  test('indexes heading and body counts per clause', () => {
+    const index = buildIndex([
+      { heading: 'Snow Plowing', text: 'Plowing starts at two inches. Plowing ends in April.' },
+      { heading: 'Payment', text: 'Invoices are due monthly.' },
+    ]);
+    expect(index.terms.plow).toEqual([[0, 1, 2]]);
+    expect(index.terms.invoic).toEqual([[1, 0, 1]]);
+    expect(index.forms.invoic).toBe('invoices');
+    expect(index.terms.the).toBeUndefined();
+    expect(index.lengths[1]).toEqual([1, 3]);
+  });
+
+  test('rare terms outweigh common ones', () => {
+    const clauses = [
+      { heading: 'Scope', text: 'Work includes mowing work, trimming work and cleanup work. Extra work is quoted.' },
+      { heading: 'Disputes', text: 'Any dispute about the work goes to arbitration.' },
+      { heading: 'Schedule', text: 'Work is scheduled weekly.' },
+    ];
+    expect(searchIndexes([buildIndex(clauses)], 'work arbitration', 1)[0].heading).toBe('Disputes');
+  });
+
+  test('normalizes for clause length', () => {
+    const filler = 'Crews follow the route plan and record each visit. '.repeat(20);
+    const clauses = [
+      { heading: 'Operations', text: `${filler} Gates must be unlocked.` },
+      { heading: 'Access', text: 'Gates must be unlocked on service days.' },
+    ];
+    expect(searchIndexes([buildIndex(clauses)], 'unlocked gates', 1)[0].heading).toBe('Access');
+  });
+
+  test('boosts heading matches', () => {
+    const clauses = [
+      { heading: 'General', text: 'Insurance certificates are available on request.' },
+      { heading: 'Insurance', text: 'Freshwater carries general liability coverage.' },
+    ];
+    expect(searchIndexes([buildIndex(clauses)], 'insurance', 1)[0].heading).toBe('Insurance');
+  });
+
+  test('stems words to a shared form', () => {
+    const same = (...words) => expect(new Set(words.map(stem)).size).toBe(1);
+    same('cancel', 'cancels', 'cancelled', 'canceled', 'cancellation', 'cancelation');
+    same('plow', 'plows', 'plowed', 'plowing');
+    same('invoice', 'invoices', 'invoiced');
+    same('terminate', 'terminated', 'termination');
+    same('guarantee', 'guaranteed');
+    same('warranty', 'warranties');
+    expect(stem('fee')).toBe('fee');
+    expect(stem('2026')).toBe('2026');
+  });
+
+  test('matches other forms of a word', () => {
+    const clauses = [
+      { heading: 'Snow', text: 'Plowing starts at two inches.' },
+      { heading: 'Payment', text: 'Each invoice is due in 15 days.' },
+    ];
+    const index = buildIndex(clauses);
+    expect(searchIndexes([index], 'when is it plowed', 1)[0].heading).toBe('Snow');
+    expect(searchIndexes([index], 'invoices', 1)[0].heading).toBe('Payment');
+  });
+
+  test('corrects typos against the document vocabulary', () => {
+    const clauses = [
+      { heading: 'Warranty', text: 'Shrubs are guaranteed for one year.' },
+      { heading: 'Disputes', text: 'Disputes go to binding arbitration.' },
+    ];
+    const index = buildIndex(clauses);
+    expect(searchIndexes([index], 'warrenty', 1)[0].heading).toBe('Warranty');
+    expect(searchIndexes([index], 'arbitation', 1)[0].heading).toBe('Disputes');
+    // Short words are too close to other words to correct
+    expect(searchIndexes([index], 'yeer', 1)).toEqual([]);
+  });
+
+  test('suggests the corrected question only when it finds more', () => {
+    const index = buildIndex([
+      { heading: 'Warranty', text: 'Shrubs are guaranteed for one year.' },
+      { heading: 'Disputes', text: 'Disputes go to binding arbitration.' },
+    ]);
+    expect(didYouMean([index], 'Is there a warrenty?')).toBe('Is there a warranty?');
+    expect(didYouMean([index], 'Is there a warranty?')).toBeNull();
+    expect(didYouMean([index], 'cancelled')).toBeNull();
+    expect(didYouMean([], 'warrenty')).toBeNull();
+  });
+
+  describe('query syntax', () => {
+    const index = buildIndex([
+      { heading: 'Snow Plowing', text: 'Plowing starts at two inches. Salt is billed per visit.', docId: 'res_msa' },
+      { heading: 'Late Payment', text: 'A late fee of $25 applies after 15 days.', docId: 'res_msa' },
+      { heading: 'Payment', text: 'Invoices are due monthly. Late invoices accrue a finance charge.', docId: 'res_msa' },
+      { heading: 'Ice Management', text: 'Snow and ice on walks are treated with salt.', docId: 'res_msa' },
+    ]);
+    const other = buildIndex([{ heading: 'Snow Trigger', text: 'Lots are plowed at one inch.', docId: 'com_msa' }]);
+    const headings = (query, indexes = [index]) => searchIndexes(indexes, query, 10).map(h => h.heading);
+
+    test('parses phrases, exclusions, fields and OR', () => {
+      const query = parseQuery('heading:snow -"late fee" OR doc:com_msa plow -salt "open');
+      expect(query.alternatives).toEqual([
+        { words: [], phrases: [], headings: ['snow'], docs: [] },
+        { words: ['plow'], phrases: ['open'], headings: [], docs: ['com_msa'] },
+      ]);
+      expect(query.exclude).toEqual({ words: ['salt'], phrases: ['late fee'], headings: [], docs: [] });
+      expect(query.advanced).toBe(true);
+      expect(parseQuery('What is the late fee?').advanced).toBe(false);
+      expect(parseQuery('note:weather').alternatives[0].words).toEqual(['note weather']);
+    });
+
+    test('requires exact phrases', () => {
+      expect(headings('"late fee"')).toEqual(['Late Payment']);
+      expect(headings('"fee late"')).toEqual([]);
+    });
+
+    test('leaves out excluded words in any form', () => {
+      expect(headings('snow')).toContain('Ice Management');
+      expect(headings('snow -salted')).toEqual([]);
+      expect(headings('late -"finance charge"')).toEqual(['Late Payment']);
+    });
+
+    test('ignores excluded stopwords', () => {
+      expect(parseQuery('-the -and').exclude).toEqual({ words: [], phrases: [], headings: [], docs: [] });
+      expect(parseQuery('-the -and').advanced).toBe(false);
+      expect(headings('late fee -the')).toEqual(headings('late fee'));
+      expect(headings('late fee -the')).toContain('Late Payment');
+    });
+
+    test('filters on the heading', () => {
+      expect(headings('heading:payment')).toEqual(['Payment', 'Late Payment']);
+      expect(headings('heading:snow')).toEqual(['Snow Plowing']);
+      expect(headings('heading:"late payment"')).toEqual(['Late Payment']);
+    });
+
+    test('filters on the document', () => {
+      expect(headings('plowing doc:com_msa', [index, other])).toEqual(['Snow Trigger']);
+      expect(headings('plowing -doc:com_msa', [index, other])).not.toContain('Snow Trigger');
+      expect(headings('doc:com_msa', [index, other])).toEqual(['Snow Trigger']);
+    });
+
+    test('matches either side of OR', () => {
+      expect(headings('"late fee" OR "finance charge"').sort()).toEqual(['Late Payment', 'Payment']);
+      expect(headings('heading:ice OR heading:plowing').sort()).toEqual(['Ice Management', 'Snow Plowing']);
+    });
+
+    test('corrects heading filters but not phrases', () => {
+      expect(headings('heading:paymnet')).toEqual(['Payment', 'Late Payment']);
+      expect(didYouMean([index], 'heading:paymnet')).toBe('heading:payment');
+      expect(headings('"late feees"')).toEqual([]);
+      expect(didYouMean([index], '"late feees"')).toBeNull();
+    });
+  });
+
+  test('ranks across documents with pooled statistics', () => {
+    const a = buildIndex([{ heading: 'Fees', text: 'Late fees apply.', docId: 'a' }]);
+    const b = buildIndex([{ heading: 'Arbitration', text: 'Disputes go to arbitration.', docId: 'b' }]);
+    const hits = searchIndexes([a, b], 'arbitration late fees', 3);
+    expect(hits.map(h => h.docId).sort()).toEqual(['a', 'b']);
+    expect(searchIndexes([], 'anything')).toEqual([]);
+  });
+
+  test('compiles synonym dictionaries into stem groups', () => {
+    expect(compileSynonyms({ cancel: ['Terminated', 'quit'] })).toEqual([['cancel', stem('terminate'), 'quit']]);
+    // An overlay extends the shared group with the same key and adds its own
+    const groups = compileSynonyms({ cancel: ['terminate'] }, { cancel: ['withdraw'], rfp: ['proposal', 'bid'] });
+    expect(groups).toEqual([['cancel', stem('terminate'), 'withdraw'], ['rfp', stem('proposal'), 'bid']]);
+  });
+
+  test('widens a search only with the synonyms passed in', () => {
+    const index = buildIndex([
+      { heading: 'Procurement', text: 'This contract was awarded through a public bid.' },
+      { heading: 'Payment', text: 'Invoices are due in 30 days.' },
+    ]);
+    expect(searchIndexes([index], 'rfp')).toEqual([]);
+    const municipal = compileSynonyms(SYNONYMS, { rfp: ['proposal', 'bid'] });
+    expect(searchIndexes([index], 'rfp', 1, { synonyms: municipal })[0].heading).toBe('Procurement');
+    // A synonym is a known word, so it is never typo-corrected
+    expect(didYouMean([index], 'rfp', 3, { synonyms: municipal })).toBeNull();
+  });
+
+  describe('snippets', () => {
+    const liability = [
+      'Freshwater carries general liability insurance of at least $1,000,000 per occurrence.',
+      'Certificates of insurance are available on request and list the client as certificate holder.',
+      'Workers compensation coverage is maintained as required by Minnesota law.',
+      'Total liability under this Agreement is limited to the amount paid for Services in the current Season.',
+      'Freshwater is not liable for indirect or consequential damages.',
+      'Vehicles and equipment are insured under a commercial auto policy.',
+      'The client is responsible for monitoring walkways between visits.',
+      'Freshwater is not liable for a slip and fall on ice except to the extent caused by its negligence.',
+    ].join(' ');
+    const index = buildIndex([
+      { heading: 'Liability', text: liability },
+      { heading: 'Payment', text: 'Invoices are due in 15 days. Late invoices accrue interest.' },
+    ]);
+
+    test('weights rare words above common ones and includes synonyms', () => {
+      const terms = matchTerms([index], 'who pays for a slip and fall', { synonyms: compileSynonyms(SYNONYMS) });
+      expect(terms.slip).toBeGreaterThan(0);
+      expect(terms.injury).toBeGreaterThan(0); // from the liability group
+      expect(terms.injury).toBeLessThan(terms.slip);
+      expect(terms.who).toBeUndefined();
+      expect(Object.keys(matchTerms([index], 'invoices -interest'))).toEqual(['invoic']);
+      expect(matchTerms([index], 'slpi').slip).toBeUndefined();
+      expect(matchTerms([index], 'paymnet').payment).toBeGreaterThan(0);
+    });
+
+    test('quotes the sentences that answer, not the opening', () => {
+      const terms = matchTerms([index], 'slip and fall');
+      expect(excerpt(liability, 200)).not.toContain('slip');
+      const quote = snippet(liability, terms, 200);
+      expect(quote).toContain('slip and fall on ice');
+      expect(quote.startsWith('... ')).toBe(true);
+      expect(quote.length).toBeLessThanOrEqual(208);
+    });
+
+    test('joins windows that are apart with an ellipsis', () => {
+      const quote = snippet(liability, matchTerms([index], 'certificates slip'), 200);
+      expect(quote).toBe(
+        '... Certificates of insurance are available on request and list the client as certificate holder. ... ' +
+        'Freshwater is not liable for a slip and fall on ice except to the extent caused by its negligence.'
+      );
+    });
+
+    test('fills leftover room with the surrounding sentences', () => {
+      const quote = snippet(liability, matchTerms([index], 'commercial auto'), 400);
+      expect(quote).toContain('commercial auto policy. The client is responsible');
+      expect(quote.length).toBeLessThanOrEqual(408);
+    });
+
+    test('returns short text whole and unmatched text like excerpt', () => {
+      expect(snippet('Invoices are  due in 15 days.', { invoic: 1 })).toBe('Invoices are due in 15 days.');
+      expect(snippet(liability, {}, 100)).toBe(excerpt(liability, 100));
+      expect(snippet('', {})).toBe('');
+    });
+
+    test('cuts a sentence longer than the limit around its first match', () => {
+      const long = `${'The crew will mow and edge every lawn area on the route. '.repeat(3)}Edging of beds, ${'and trimming of shrubs, '.repeat(20)}excludes hedges over six feet.`;
+      const quote = snippet(long, { hedg: 2 }, 120);
+      expect(quote).toContain('hedges');
+      expect(quote.startsWith('...')).toBe(true);
+      expect(quote.endsWith('...')).toBe(true);
+    });
+  });
+
+  describe('test corpus', () => {
+    // Indexed the way the portal and src/js/indexer.js index it: the clause tree's nodes
+    const chunks = parseDocument(fixture('residential-agreement.txt'), 'res_msa').nodes;
+    const questions = JSON.parse(fixture('search-questions.json'));
+    const index = buildIndex(chunks);
+    const synonyms = compileSynonyms(SYNONYMS);
+
+    const rankOf = (hits, expected) => hits.findIndex(h => h.heading === expected) + 1;
+
+    test('every expected clause exists in the corpus', () => {
+      const headings = chunks.map(c => c.heading);
+      for (const { expected } of questions) expect(headings).toContain(expected);
+    });
+
+    test('answers real client questions with the right clause', () => {
+      const ranks = questions.map(({ question, expected }) => rankOf(searchIndexes([index], question, 5, { synonyms }), expected));
+      const top1 = ranks.filter(r => r === 1).length / ranks.length;
+      const mrr = ranks.reduce((sum, r) => sum + (r ? 1 / r : 0), 0) / ranks.length;
+      const misses = questions.filter((_, i) => ranks[i] !== 1).map(q => q.question);
+      expect({ top1: top1 >= 0.9, mrr: mrr >= 0.9, misses }).toEqual(expect.objectContaining({ top1: true, mrr: true }));
+    });
+
+    test('beats the raw match-count ranker', () => {
+      const correct = (rank) => questions.filter(({ question, expected }) => rank(question)[0]?.heading === expected).length;
+      const bm25 = correct((q) => searchIndexes([index], q, 1, { synonyms }));
+      const legacy = correct((q) => countMatches(chunks, q));
+      expect(bm25).toBeGreaterThan(legacy);
+    });
+  });
+});
+
+// ─── PDF Export (mirrors src/js/pdf.js) ────────────────────────
+describe('PDF Export', () => {
+  const WIN_ANSI = { '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '…': 0x85 };
+
+  function toWinAnsi(text) {
+    let out = '';
+    for (const ch of String(text || '')) {
+      const code = ch.codePointAt(0);
+      if (WIN_ANSI[ch]) out += String.fromCharCode(WIN_ANSI[ch]);
+      else if (code === 0xa0 || code === 0x2009 || code === 0x202f) out += ' ';
+      else if ((code >= 32 && code < 127) || (code > 0xa0 && code <= 0xff)) out += ch;
+      else if (code === 9) out += ' ';
+      else out += '?';
+    }
+    return out;
+  }
+
+  // Courier metrics: every glyph is 600/1000 em
+  const textWidth = (text, size) => (text.length * 600 * size) / 1000;
+
+  function wrapText(text, size, width) {
+    const lines = [];
+    let line = '';
+    for (let word of text.split(/ +/).filter(Boolean)) {
+      while (textWidth(word, size) > width) {
+        let cut = word.length - 1;
+        while (cut > 1 && textWidth(word.slice(0, cut), size) > width) cut--;
+        if (line) lines.push(line);
+        lines.push(word.slice(0, cut));
+        line = '';
+        word = word.slice(cut);
+      }
+      const candidate = line ? `${line} ${word}` : word;
+      if (line && textWidth(candidate, size) > width) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = candidate;
+      }
+    }
+    if (line) lines.push(line);
+    return lines;
+  }
+
+  test('encodes typographic punctuation as single WinAnsi bytes', () => {
+    const encoded = toWinAnsi('“Snow” — café • 5 PM');
+    expect([...encoded].every((ch) => ch.charCodeAt(0) < 256)).toBe(true);
+    expect(encoded.charCodeAt(0)).toBe(0x93);
+    expect(encoded).toContain('café');
+    expect(encoded.endsWith('5 PM')).toBe(true);
+    expect(toWinAnsi('日本')).toBe('??');
+  });
+
+  test('wraps text to the line width', () => {
+    // 10pt Courier is 6pt per character, so 60pt holds 10 characters
+    expect(wrapText('Plowing starts at two inches', 10, 60)).toEqual(['Plowing', 'starts at', 'two inches']);
+    expect(wrapText('   ', 10, 60)).toEqual([]);
+  });
+
+  test('splits words longer than a line', () => {
+    const lines = wrapText('see https://example.com/a/very/long/path', 10, 60);
+    expect(lines[0]).toBe('see');
+    expect(lines.every((l) => textWidth(l, 10) <= 60)).toBe(true);
+    expect(lines.slice(1).join('')).toBe('https://example.com/a/very/long/path');
+  });
+});